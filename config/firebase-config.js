@@ -15,7 +15,8 @@ import {
     setDoc, 
     getDoc, 
     updateDoc,
-    deleteDoc
+    deleteDoc,
+    writeBatch
 } from 'https://www.gstatic.com/firebasejs/9.22.0/firebase-firestore.js';
 
 // Your Firebase configuration
@@ -51,6 +52,7 @@ window.setDoc = setDoc;
 window.getDoc = getDoc;
 window.updateDoc = updateDoc;
 window.deleteDoc = deleteDoc;
+window.writeBatch = writeBatch;
 
 // Log successful initialization
 console.log('✅ Firebase initialized successfully');
@@ -69,5 +71,6 @@ export {
     setDoc, 
     getDoc, 
     updateDoc,
-    deleteDoc 
+    deleteDoc,
+    writeBatch
 };
\ No newline at end of file
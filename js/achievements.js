@@ -0,0 +1,377 @@
+// js/achievements.js - XP, levels and badges
+// XP comes from lesson results, assessments, practice answers and dictionary lookups.
+// The XP table, level thresholds and badge rules are curriculum data (manifest `achievements`);
+// a badge's `when` lists conditions that must all hold. Earned XP, level and badges are stored
+// on the journey (userJourneys/{uid}.achievements) through the progress store.
+import { db, doc, getDoc, updateDoc } from '../config/firebase-config.js';
+import progressOutbox from './progress-outbox.js';
+import progressStore from './progress-store.js';
+import streakEngine from './streak-engine.js';
+import curriculumManifest from './curriculum-manifest.js';
+import { LEARNER_RANKS } from './curriculum-schema.js';
+
+// Badge conditions: lists must all be done, numbers are minimums
+const CONDITIONS = {
+    lessons: (facts, ids) => ids.every(id => facts.masteredLessons.has(id)),
+    modulesCompleted: (facts, modules) => modules.every(module => facts.completedModules.includes(module)),
+    lessonsMastered: (facts, min) => facts.lessonsMastered >= min,
+    assessmentsPassed: (facts, min) => facts.assessmentsPassed >= min,
+    streak: (facts, min) => facts.longestStreak >= min,
+    goalDays: (facts, min) => facts.goalDays >= min,
+    practiceAnswers: (facts, min) => facts.practiceAnswers >= min,
+    practiceCorrect: (facts, min) => facts.practiceCorrect >= min,
+    dictionaryLookups: (facts, min) => facts.dictionaryLookups >= min,
+    xp: (facts, min) => facts.xp >= min,
+    level: (facts, min) => facts.level >= min
+};
+
+class AchievementEngine {
+    constructor() {
+        this.rules = null;
+
+        // Badges and levels already announced on this page (a queued result is previewed, then replayed)
+        this.announced = new Set();
+        this.activeToasts = 0;
+
+        // Practice answers and dictionary lookups queued while offline
+        progressOutbox.register('achievement', async event => {
+            const rules = await this.loadRules();
+            return progressStore.applyEvent(event, journey => this.buildUpdates(journey, event, rules));
+        });
+
+        if (typeof window !== 'undefined') {
+            window.addEventListener('progressChanged', (event) => {
+                const { userId, journey, previous } = event.detail;
+                this.announceChanges(userId, journey, previous);
+            });
+        }
+
+        console.log('🏆 Achievement Engine initialized');
+    }
+
+    // ========== RULES ==========
+
+    // From the shared manifest loader (js/curriculum-manifest.js)
+    async loadRules() {
+        if (this.rules) return this.rules;
+        return this.setRules((await curriculumManifest.load()).achievements);
+    }
+
+    // The learning engine already has the manifest and hands its section over
+    setRules(achievements = {}) {
+        this.rules = {
+            xp: achievements.xp || {},
+            levels: achievements.levels?.length ? achievements.levels : [0],
+            ranks: achievements.ranks || {},
+            badges: achievements.badges || []
+        };
+        return this.rules;
+    }
+
+    // ========== AWARDING ==========
+
+    createState() {
+        return {
+            xp: 0,
+            level: 1,
+            badges: {},
+            stats: { practiceAnswers: 0, practiceCorrect: 0, dictionaryLookups: 0 },
+            dictionaryDay: null,
+            dictionaryXpToday: 0
+        };
+    }
+
+    getState(journey) {
+        const saved = journey?.achievements || {};
+        const state = { ...this.createState(), ...saved };
+        state.badges = { ...state.badges };
+        state.stats = { ...this.createState().stats, ...(saved.stats || {}) };
+        return state;
+    }
+
+    // XP for one activity. activity: { source: 'lesson', module, score, previousBest, mastered }
+    // | { source: 'practice', answers, correct } | { source: 'dictionary' }
+    scoreActivity(state, activity, xp, recordedAt) {
+        switch (activity.source) {
+            case 'lesson': {
+                // Attempt XP only for the points that raise the lesson's best score, so repeating
+                // a lesson earns nothing more than its best result did
+                const score = Math.max(0, Math.min(100, Number(activity.score) || 0));
+                const previousBest = Math.max(0, Math.min(100, Number(activity.previousBest) || 0));
+                let gained = Math.round((xp.lessonAttempt || 0) * Math.max(0, score - previousBest) / 100);
+                if (activity.mastered) {
+                    gained += activity.module === 'assessment' ? (xp.assessmentPassed || 0) : (xp.lessonMastered || 0);
+                }
+                return gained;
+            }
+            case 'practice': {
+                const answers = Math.max(0, Math.round(activity.answers) || 0);
+                const correct = Math.max(0, Math.min(answers, Math.round(activity.correct) || 0));
+                state.stats.practiceAnswers += answers;
+                state.stats.practiceCorrect += correct;
+                return answers * (xp.practiceAnswer || 0) + correct * (xp.practiceCorrect || 0);
+            }
+            case 'dictionary': {
+                state.stats.dictionaryLookups += 1;
+                // Lookups earn a little XP, up to a daily cap
+                const day = streakEngine.dayKey(recordedAt, activity.timeZone || streakEngine.getTimeZone());
+                if (state.dictionaryDay !== day) {
+                    state.dictionaryDay = day;
+                    state.dictionaryXpToday = 0;
+                }
+                const limit = xp.dictionaryDailyXp ?? Infinity;
+                const gained = Math.max(0, Math.min(xp.dictionaryLookup || 0, limit - state.dictionaryXpToday));
+                state.dictionaryXpToday += gained;
+                return gained;
+            }
+            default:
+                console.warn(`⚠️ Unknown XP source "${activity.source}"`);
+                return 0;
+        }
+    }
+
+    // Journey updates for one activity: XP, level and any badges the journey now qualifies for.
+    // journey must already include the activity's own changes (mastery, streak).
+    // event: { recordedAt, payload: activity }
+    buildUpdates(journey, event, rules = this.rules) {
+        if (!rules) {
+            throw new Error('Achievement rules not loaded');
+        }
+
+        const state = this.getState(journey);
+        const gained = this.scoreActivity(state, event.payload, rules.xp, event.recordedAt);
+        state.xp += gained;
+
+        // Badge XP can unlock more badges (xp and level conditions), so check until nothing changes
+        let unlocked;
+        do {
+            state.level = this.getLevel(state.xp, rules.levels);
+            const facts = this.getFacts(journey, state);
+            unlocked = rules.badges.filter(badge =>
+                !state.badges[badge.id] && this.appliesTo(badge, journey) && this.isEarned(badge, facts));
+
+            unlocked.forEach(badge => {
+                state.badges[badge.id] = event.recordedAt;
+                state.xp += badge.xp || 0;
+                console.log(`🏅 Badge unlocked: ${badge.name}`);
+            });
+        } while (unlocked.length > 0);
+
+        if (gained > 0) {
+            console.log(`✨ +${gained} XP (${state.xp} total, level ${state.level})`);
+        }
+        return { achievements: state };
+    }
+
+    // Practice answers and dictionary lookups (lesson XP is recorded with the lesson result)
+    async record(userId, activity) {
+        try {
+            if (!userId) {
+                throw new Error('Missing user ID');
+            }
+
+            const event = await progressOutbox.enqueue('achievement', userId, {
+                ...activity, timeZone: streakEngine.getTimeZone()
+            });
+            const results = await progressOutbox.flush(userId);
+            if (results[event.id]) return results[event.id];
+
+            const rules = await this.loadRules();
+            return progressStore.preview(userId, this.buildUpdates(progressStore.getLocal(userId), event, rules));
+        } catch (error) {
+            console.error('❌ Error recording XP:', error);
+            return { success: false, error: error.message };
+        }
+    }
+
+    // ========== BADGES ==========
+
+    // Everything a badge condition can look at
+    getFacts(journey, state) {
+        const modules = journey?.modules || {};
+        const masteredLessons = new Set();
+        Object.values(modules).forEach(moduleData => {
+            Object.entries(moduleData.lessons || {}).forEach(([lessonId, record]) => {
+                if (record.mastered) masteredLessons.add(lessonId);
+            });
+            (moduleData.lessonsCompleted || []).forEach(lessonId => masteredLessons.add(lessonId));
+        });
+
+        return {
+            masteredLessons,
+            completedModules: Object.keys(modules).filter(module => modules[module].completed),
+            lessonsMastered: masteredLessons.size,
+            assessmentsPassed: Object.values(modules.assessment?.lessons || {}).filter(record => record.mastered).length,
+            longestStreak: journey?.streak?.longest || 0,
+            goalDays: journey?.streak?.goalDays || 0,
+            ...state.stats,
+            xp: state.xp,
+            level: state.level
+        };
+    }
+
+    // Language-specific badges (e.g. Tamil vowels) only count for that target language
+    appliesTo(badge, journey) {
+        return !badge.language || badge.language === journey?.targetLanguage;
+    }
+
+    isEarned(badge, facts) {
+        const conditions = Object.entries(badge.when || {});
+        if (conditions.length === 0) return false;
+
+        return conditions.every(([name, value]) => {
+            if (!CONDITIONS[name]) {
+                console.warn(`⚠️ Unknown condition "${name}" on badge ${badge.id}`);
+                return false;
+            }
+            return CONDITIONS[name](facts, value);
+        });
+    }
+
+    // Badges for the gallery: every badge for this journey's language, earned ones first
+    getGallery(journey, rules = this.rules) {
+        if (!rules) return [];
+        const state = this.getState(journey);
+
+        return rules.badges
+            .filter(badge => this.appliesTo(badge, journey))
+            .map(badge => ({ ...badge, unlockedAt: state.badges[badge.id] || null }))
+            .sort((a, b) => Number(!!b.unlockedAt) - Number(!!a.unlockedAt));
+    }
+
+    // ========== LEVELS ==========
+
+    // levels[i] is the total XP needed for level i + 1
+    getLevel(xp, levels = this.rules?.levels || [0]) {
+        return Math.max(1, levels.filter(threshold => xp >= threshold).length);
+    }
+
+    getLevelProgress(journey, rules = this.rules) {
+        const state = this.getState(journey);
+        const levels = rules?.levels || [0];
+        const level = this.getLevel(state.xp, levels);
+        const floor = levels[level - 1] || 0;
+        const next = levels[level] ?? null;
+
+        return {
+            xp: state.xp,
+            level,
+            nextLevelXp: next,
+            percent: next === null ? 100 : Math.round(((state.xp - floor) / (next - floor)) * 100)
+        };
+    }
+
+    // Highest profile rank the level has reached (ranks: { rank: first level })
+    getRank(level, ranks = this.rules?.ranks || {}) {
+        return LEARNER_RANKS.filter(rank => ranks[rank] !== undefined && level >= ranks[rank]).pop() || LEARNER_RANKS[0];
+    }
+
+    // The profile level only ever moves up (a placement result may already be higher)
+    async raiseProfileLevel(userId, level) {
+        try {
+            const rank = this.getRank(level);
+            const userRef = doc(db, 'users', userId);
+            const profile = await getDoc(userRef);
+            const current = profile.exists() ? profile.data().level : null;
+
+            if (LEARNER_RANKS.indexOf(rank) > LEARNER_RANKS.indexOf(current)) {
+                await updateDoc(userRef, { level: rank });
+                console.log(`🎓 Profile level raised to ${rank}`);
+            }
+        } catch (error) {
+            console.warn('⚠️ Could not update profile level:', error.message);
+        }
+    }
+
+    // ========== UNLOCK TOASTS ==========
+
+    // Toasts for badges and levels a change brought; a level up also raises the profile level
+    // (retried when a result queued offline reaches Firestore)
+    async announceChanges(userId, journey, previous) {
+        const state = journey?.achievements;
+        if (!userId || !state || !previous) return;
+
+        const before = previous.achievements || this.createState();
+        const fresh = Object.keys(state.badges || {}).filter(id =>
+            !before.badges?.[id] && !this.announced.has(`${userId}:${id}`));
+        const levelUp = state.level > (before.level || 1);
+        if (fresh.length === 0 && !levelUp) return;
+
+        let rules = this.rules;
+        try {
+            rules = await this.loadRules();
+        } catch (error) {
+            console.warn('⚠️ Badge details unavailable:', error.message);
+        }
+
+        fresh.forEach(id => {
+            this.announced.add(`${userId}:${id}`);
+            const badge = rules?.badges.find(candidate => candidate.id === id) || { name: id, icon: '🏅' };
+            this.showToast(badge.icon, `Badge unlocked: ${badge.name}`);
+        });
+
+        if (levelUp) {
+            if (!this.announced.has(`${userId}:level${state.level}`)) {
+                this.announced.add(`${userId}:level${state.level}`);
+                this.showToast('⬆️', `Level ${state.level} reached!`);
+            }
+            this.raiseProfileLevel(userId, state.level);
+        }
+    }
+
+    // Same look as ProgressTracker.showCompletionMessage; several toasts stack downwards
+    showToast(icon, text) {
+        if (typeof document === 'undefined') return;
+
+        const message = document.createElement('div');
+        message.className = 'completion-toast achievement-toast';
+        message.style.cssText = `
+            position: fixed;
+            top: ${20 + this.activeToasts * 90}px;
+            right: 20px;
+            background: linear-gradient(135deg, #667eea 0%, #764ba2 100%);
+            color: white;
+            padding: 20px 30px;
+            border-radius: 15px;
+            box-shadow: 0 10px 30px rgba(0,0,0,0.3);
+            z-index: 10000;
+            display: flex;
+            align-items: center;
+            gap: 15px;
+            font-size: 18px;
+            font-weight: 500;
+            opacity: 0;
+            transform: translateY(-20px);
+            transition: all 0.3s ease;
+        `;
+        message.innerHTML = `
+            <span style="font-size: 32px;">${icon}</span>
+            <span>${text}</span>
+        `;
+        document.body.appendChild(message);
+        this.activeToasts++;
+
+        setTimeout(() => {
+            message.style.opacity = '1';
+            message.style.transform = 'translateY(0)';
+        }, 100);
+
+        setTimeout(() => {
+            message.style.opacity = '0';
+            message.style.transform = 'translateY(-20px)';
+            setTimeout(() => {
+                message.remove();
+                this.activeToasts--;
+            }, 300);
+        }, 3000);
+    }
+}
+
+// Create singleton instance
+const achievementEngine = new AchievementEngine();
+
+if (typeof window !== 'undefined') {
+    window.achievementEngine = achievementEngine;
+}
+
+export default achievementEngine;
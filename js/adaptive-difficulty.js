@@ -0,0 +1,328 @@
+// js/adaptive-difficulty.js - Elo-style ability and difficulty ratings
+// Every logged answer (js/learning-events.js) moves the learner's ability up or down for the
+// skills it belongs to (manifest `skills`), its module and its language, and moves the
+// exercise's own rating the other way. Ratings are on a logistic (logit) scale:
+//   P(correct) = 1 / (1 + e^(difficulty - ability))
+// so an exercise about 1.4 below the learner's ability is answered right ~80% of the time.
+// Abilities and exercise ratings are stored on the journey (userJourneys/{uid}.adaptive); each
+// device sends its new answers through the progress outbox, so nothing is counted twice.
+import progressOutbox from './progress-outbox.js';
+import progressStore from './progress-store.js';
+import learningEvents from './learning-events.js';
+import learningAnalytics from './learning-analytics.js';
+import curriculumManifest from './curriculum-manifest.js';
+import { EXERCISE_TYPES, LEARNER_RANKS, normalizeExerciseType } from './curriculum-schema.js';
+
+const CURSOR_PREFIX = 'adaptiveCursor_';
+
+// Starting difficulty by exercise type, for exercises without a `difficulty` of their own:
+// recognising is easier than combining, which is easier than producing an answer
+const TYPE_DIFFICULTY = {
+    recognition: -1,
+    building: -0.5,
+    production: 0
+};
+const BUILDING_TYPES = ['blending', 'combine', 'decompose', 'word-family', 'word-formation', 'synonym', 'antonym',
+    'tense-choice', 'tense-identification', 'multiple-choice'];
+const PRODUCTION_TYPES = ['fill-blank', 'translation', 'sentence-formation', 'sentence-completion', 'sentence-correction',
+    'sentence-combining', 'word-order', 'verb-conjugation', 'question-formation', 'negative-formation', 'comprehension'];
+
+class AdaptiveDifficultyEngine {
+    constructor() {
+        this.targetSuccess = 0.8;       // chance of a right answer the engine aims for
+        this.minAnswers = 3;            // answers before a skill's (or module's) ability is trusted
+        this.learnerK = { max: 0.8, min: 0.15, halfLife: 20 };  // ability moves less as answers pile up
+        this.itemK = { max: 0.4, min: 0.05, halfLife: 30 };
+        this.maxLessonExercises = 6;    // longer exercise lists are trimmed to the best-matched ones
+        this.delay = 1500;
+        this.timers = {};
+        // Starting difficulty of curriculum exercises seen on this page (used when their answers are synced)
+        this.itemPriors = {};
+
+        // New answers from this device, queued while offline
+        progressOutbox.register('adaptive', event =>
+            progressStore.applyEvent(event, journey => this.buildUpdates(journey, event)));
+
+        if (typeof window !== 'undefined') {
+            // Lesson results and practice sessions both end in a progress write
+            window.addEventListener('progressChanged', (event) => {
+                this.schedule(event.detail.userId);
+            });
+        }
+
+        console.log('🎚️ Adaptive Difficulty Engine initialized');
+    }
+
+    // ========== SKILLS ==========
+
+    // The manifest's skills (js/curriculum-manifest.js); without them answers are rated by module only
+    loadSkills() {
+        return curriculumManifest.load()
+            .then(manifest => manifest.skills || [])
+            .catch(error => {
+                console.warn('⚠️ Skills unavailable, rating by module only:', error.message);
+                return [];
+            });
+    }
+
+    // Rating keys of an answer, most specific first: its skills, then its module (or practice
+    // type), then its language
+    keysFor(answer, skills = []) {
+        const language = answer.language || 'any';
+        const general = answer.source === 'practice'
+            ? `${language}:practice:${answer.type}`
+            : `${language}:${answer.module || 'general'}`;
+        return [
+            ...skills.filter(skill => learningAnalytics.answerMatches(skill, answer)).map(skill => skill.id),
+            general,
+            language
+        ];
+    }
+
+    // ========== RATINGS ==========
+
+    probability(ability, difficulty) {
+        return 1 / (1 + Math.exp(difficulty - ability));
+    }
+
+    // Difficulty at which the learner succeeds targetSuccess of the time
+    targetDifficulty(ability) {
+        return ability - Math.log(this.targetSuccess / (1 - this.targetSuccess));
+    }
+
+    stepSize(k, answers) {
+        return Math.max(k.min, k.max / (1 + answers / k.halfLife));
+    }
+
+    typeDifficulty(type) {
+        const canonical = normalizeExerciseType(type) || type;
+        if (PRODUCTION_TYPES.includes(canonical)) return TYPE_DIFFICULTY.production;
+        if (BUILDING_TYPES.includes(canonical)) return TYPE_DIFFICULTY.building;
+        return EXERCISE_TYPES[canonical] ? TYPE_DIFFICULTY.recognition : TYPE_DIFFICULTY.building;
+    }
+
+    // Curriculum `difficulty` (1 easiest - 5 hardest) when set, else by type
+    itemPrior(exercise) {
+        if (typeof exercise?.difficulty === 'number') return (exercise.difficulty - 3) * 0.75;
+        return this.typeDifficulty(exercise?.type);
+    }
+
+    // Profile level as a starting ability for learners with no answers yet
+    levelAbility(level) {
+        return Math.max(0, LEARNER_RANKS.indexOf(level));
+    }
+
+    // Generated questions: a level's questions are rated one step above the level before it,
+    // starting at -1 for beginner (so a new beginner gets beginner questions)
+    levelDifficulty(level) {
+        return this.levelAbility(level) - 1;
+    }
+
+    // Practice prompt level whose questions are closest to a difficulty
+    levelFor(difficulty) {
+        const index = Math.round(difficulty + 1);
+        return LEARNER_RANKS[Math.min(LEARNER_RANKS.length - 1, Math.max(0, index))];
+    }
+
+    // start: ability of a skill with no answers yet, from the profile level when rating began
+    createState(start = 0) {
+        return { start, abilities: {}, items: {}, answers: 0, updatedAt: null };
+    }
+
+    // Fold answers ({ exerciseId, keys, outcome, difficulty, generated, timestamp }) into a state
+    fold(state, answers, start = 0) {
+        const next = { ...this.createState(start), ...(state || {}) };
+        next.abilities = { ...next.abilities };
+        next.items = { ...next.items };
+
+        answers.forEach(answer => {
+            const item = next.items[answer.exerciseId];
+            const difficulty = item?.rating ?? answer.difficulty ?? 0;
+            const ability = this.getAbility(next, answer.keys).rating;
+            const surprise = answer.outcome - this.probability(ability, difficulty);
+
+            answer.keys.forEach(key => {
+                const current = next.abilities[key] || { rating: ability, answers: 0 };
+                next.abilities[key] = {
+                    rating: this.round(current.rating + this.stepSize(this.learnerK, current.answers) * surprise),
+                    answers: current.answers + 1
+                };
+            });
+
+            // Generated practice questions are never shown twice, so only their answer counts
+            if (!answer.generated) {
+                const answered = item?.answers || 0;
+                next.items[answer.exerciseId] = {
+                    rating: this.round(difficulty - this.stepSize(this.itemK, answered) * surprise),
+                    answers: answered + 1
+                };
+            }
+
+            next.answers += 1;
+            next.updatedAt = answer.timestamp || next.updatedAt;
+        });
+        return next;
+    }
+
+    round(value) {
+        return Math.round(value * 1000) / 1000;
+    }
+
+    // Most specific trusted rating among the keys; falls back to the least specific one seen,
+    // then to the starting ability
+    getAbility(state, keys) {
+        const abilities = state?.abilities || {};
+        const trusted = keys.find(key => abilities[key]?.answers >= this.minAnswers);
+        if (trusted) return { key: trusted, ...abilities[trusted] };
+
+        const seen = [...keys].reverse().find(key => abilities[key]);
+        if (seen) return { key: seen, ...abilities[seen] };
+        return { key: null, rating: state?.start ?? 0, answers: 0 };
+    }
+
+    // ========== ANSWERS ==========
+
+    // An answer after a hint counts as partly right; scored answers keep their partial credit
+    outcomeOf(event) {
+        if (typeof event.score === 'number' && event.score > 0 && event.score < 100) return event.score / 100;
+        if (!event.correct) return 0;
+        return event.hintsUsed > 0 ? 0.75 : 1;
+    }
+
+    readProfileLevel() {
+        try {
+            return JSON.parse(sessionStorage.getItem('userProfile'))?.level || 'beginner';
+        } catch (error) {
+            return 'beginner';
+        }
+    }
+
+    readCursor(userId) {
+        if (typeof localStorage === 'undefined') return '';
+        return localStorage.getItem(`${CURSOR_PREFIX}${userId}`) || '';
+    }
+
+    // Answers logged on this device that have not been sent yet
+    async pendingAnswers(userId) {
+        const cursor = this.readCursor(userId);
+        const skills = await this.loadSkills();
+        return learningEvents.getEvents(userId)
+            .filter(event => event.timestamp > cursor)
+            .map(event => ({
+                exerciseId: event.exerciseId,
+                keys: this.keysFor(event, skills),
+                outcome: this.outcomeOf(event),
+                difficulty: event.difficulty ?? this.itemPriors[event.exerciseId] ?? this.typeDifficulty(event.type),
+                generated: event.source === 'practice',
+                timestamp: event.timestamp
+            }));
+    }
+
+    // Current ratings: the journey's plus this device's answers not sent yet
+    async getState(userId, level = this.readProfileLevel()) {
+        const start = this.levelAbility(level);
+        if (!userId) return this.createState(start);
+
+        const journey = progressStore.getLocal(userId);
+        return this.fold(journey.adaptive, await this.pendingAnswers(userId), start);
+    }
+
+    // ========== SYNC ==========
+
+    schedule(userId) {
+        if (!userId) return;
+        clearTimeout(this.timers[userId]);
+        this.timers[userId] = setTimeout(() => {
+            delete this.timers[userId];
+            this.sync(userId);
+        }, this.delay);
+    }
+
+    // Journey updates for one batch of answers. event: { payload: { answers, start } }
+    buildUpdates(journey, event) {
+        return { adaptive: this.fold(journey?.adaptive, event.payload.answers, event.payload.start) };
+    }
+
+    async sync(userId) {
+        try {
+            const answers = await this.pendingAnswers(userId);
+            if (answers.length === 0) return { success: true, sent: 0 };
+
+            const start = this.levelAbility(this.readProfileLevel());
+            const event = await progressOutbox.enqueue('adaptive', userId, { answers, start });
+            localStorage.setItem(`${CURSOR_PREFIX}${userId}`, answers[answers.length - 1].timestamp);
+
+            const results = await progressOutbox.flush(userId);
+            if (results[event.id]) return { ...results[event.id], sent: answers.length };
+
+            return { ...progressStore.preview(userId, this.buildUpdates(progressStore.getLocal(userId), event)), sent: answers.length };
+        } catch (error) {
+            console.error('❌ Error saving difficulty ratings:', error);
+            return { success: false, error: error.message };
+        }
+    }
+
+    // ========== SELECTION ==========
+
+    // Exercises of a lesson for this learner. Each gets its chance of success; when the lesson has
+    // more than maxLessonExercises, the ones closest to the target are kept. Shown easiest first.
+    // Returns [{ exercise, index, difficulty, probability }] (index is the position in the lesson).
+    async selectExercises(userId, lesson, { module, language, level } = {}) {
+        const exercises = lesson?.exercises || [];
+        if (!userId || exercises.length === 0) return exercises.map((exercise, index) => ({ exercise, index }));
+
+        const state = await this.getState(userId, level);
+        const skills = await this.loadSkills();
+
+        const rated = exercises.map((exercise, index) => {
+            const exerciseId = `${lesson.id}#${index}`;
+            const prior = this.itemPrior(exercise);
+            this.itemPriors[exerciseId] = prior;
+
+            const keys = this.keysFor({ type: exercise.type, module, lessonId: lesson.id, language, correctAnswer: exercise.answer }, skills);
+            const ability = this.getAbility(state, keys).rating;
+            const difficulty = state.items[exerciseId]?.rating ?? prior;
+            return { exercise, index, difficulty, probability: this.probability(ability, difficulty) };
+        });
+
+        const kept = rated.length > this.maxLessonExercises
+            ? [...rated]
+                .sort((a, b) => Math.abs(a.probability - this.targetSuccess) - Math.abs(b.probability - this.targetSuccess))
+                .slice(0, this.maxLessonExercises)
+            : rated;
+
+        return kept.sort((a, b) => b.probability - a.probability || a.index - b.index);
+    }
+
+    // Overall level in a language: the level whose questions the learner answers right ~80% of the time
+    async getLevel(userId, language, level) {
+        const state = await this.getState(userId, level);
+        const ability = this.getAbility(state, [language]);
+        return { level: this.levelFor(this.targetDifficulty(ability.rating)), ability: ability.rating, answers: ability.answers };
+    }
+
+    // Level to ask the AI for in practice mode, and the difficulty rating of the question it returns
+    async getPracticeLevel(userId, language, type, level) {
+        const state = await this.getState(userId, level);
+        const keys = [`${language}:practice:${type}`, language];
+        const ability = this.getAbility(state, keys);
+        const difficulty = this.targetDifficulty(ability.rating);
+        const practiceLevel = this.levelFor(difficulty);
+
+        return {
+            level: practiceLevel,
+            difficulty: this.levelDifficulty(practiceLevel),
+            ability: ability.rating,
+            answers: ability.answers
+        };
+    }
+}
+
+// Create singleton instance
+const adaptiveDifficulty = new AdaptiveDifficultyEngine();
+
+if (typeof window !== 'undefined') {
+    window.adaptiveDifficulty = adaptiveDifficulty;
+}
+
+export default adaptiveDifficulty;
@@ -0,0 +1,247 @@
+// js/answer-grading.js - Shared answer grading for every lesson and assessment page
+// Pure helpers (no DOM, no Firebase) so it loads in the browser and in Node.
+// Answers are compared after Unicode normalization, per the language's policy (manifest
+// `grading`): missing accents on Latin letters and punctuation can be tolerated, and a few
+// typos are forgiven, counted in grapheme clusters so a Tamil or Devanagari letter with its
+// vowel sign is one character. A question may list `acceptableAnswers` besides its `answer`.
+// Word-order items (word-order, sentence-formation) earn partial credit for the right words
+// in a partly right order. Picked options are never fuzzy-matched: a distractor may differ
+// from the answer by one letter on purpose.
+import { normalizeExerciseType } from './curriculum-schema.js';
+
+// Used where the manifest sets no `grading` (fields are described in js/curriculum-schema.js)
+export const GRADING_DEFAULTS = {
+    accents: 'strict',
+    punctuation: 'ignore',
+    typoRate: 0.2,
+    maxTypos: 2
+};
+
+// Accepted spellings without the accented letter (German umlauts and ß)
+const ACCENT_SPELLINGS = {
+    de: [['ä', 'ae'], ['ö', 'oe'], ['ü', 'ue'], ['ß', 'ss']]
+};
+const WORD_ORDER_TYPES = ['word-order', 'sentence-formation'];
+
+class AnswerGrader {
+    constructor() {
+        this.policies = { default: { ...GRADING_DEFAULTS }, languages: {} };
+        this.segmenter = typeof Intl !== 'undefined' && Intl.Segmenter
+            ? new Intl.Segmenter(undefined, { granularity: 'grapheme' })
+            : null;
+    }
+
+    // ========== POLICIES ==========
+
+    // The learning engine hands over the manifest's `grading` section: { default, languages: { fr: {...} } }
+    setPolicies(grading = {}) {
+        this.policies = {
+            default: { ...GRADING_DEFAULTS, ...(grading?.default || {}) },
+            languages: grading?.languages || {}
+        };
+        return this.policies;
+    }
+
+    policyFor(language) {
+        return { ...this.policies.default, ...(this.policies.languages[language] || {}) };
+    }
+
+    // ========== TEXT ==========
+
+    // User-perceived characters; a base letter and its combining marks stay together
+    graphemes(text) {
+        const value = String(text ?? '');
+        if (this.segmenter) return Array.from(this.segmenter.segment(value), part => part.segment);
+        return value.match(/\P{M}\p{M}*|\p{M}+/gu) || [];
+    }
+
+    // Levenshtein distance over grapheme clusters
+    editDistance(a, b) {
+        const left = Array.isArray(a) ? a : this.graphemes(a);
+        const right = Array.isArray(b) ? b : this.graphemes(b);
+        let previous = Array.from({ length: right.length + 1 }, (value, index) => index);
+
+        for (let i = 1; i <= left.length; i++) {
+            const current = [i];
+            for (let j = 1; j <= right.length; j++) {
+                current[j] = Math.min(
+                    previous[j] + 1,
+                    current[j - 1] + 1,
+                    previous[j - 1] + (left[i - 1] === right[j - 1] ? 0 : 1)
+                );
+            }
+            previous = current;
+        }
+        return previous[right.length];
+    }
+
+    // Case, spacing and (per policy) punctuation never matter
+    normalize(text, policy = GRADING_DEFAULTS) {
+        let value = String(text ?? '').normalize('NFC').toLowerCase();
+        if (policy.punctuation === 'ignore') value = value.replace(/\p{P}+/gu, ' ');
+        return value.replace(/\s+/g, ' ').trim();
+    }
+
+    // Accent-free forms of normalized text: marks on Latin letters removed, and for languages with
+    // accepted spellings (ü → ue) that form too. Marks in other scripts are letters, so they stay.
+    foldAccents(text, language) {
+        const strip = value => value.normalize('NFD').replace(/(\p{Script=Latin})\p{M}+/gu, '$1').normalize('NFC');
+        const forms = [strip(text)];
+        const spellings = ACCENT_SPELLINGS[language];
+        if (spellings) {
+            forms.push(strip(spellings.reduce((value, [letter, spelling]) => value.split(letter).join(spelling), text)));
+        }
+        return [...new Set(forms)];
+    }
+
+    // Letter or number labels (A, 2) stand for options in multiple choice
+    answerText(value, question) {
+        const options = question?.options || [];
+        const text = String(value ?? '').trim();
+        if (normalizeExerciseType(question?.type) !== 'multiple-choice' || options.includes(text)) return text;
+
+        if (/^[A-Za-z]$/.test(text)) {
+            const index = text.toUpperCase().charCodeAt(0) - 65;
+            if (index < options.length) return options[index];
+        }
+        if (/^\d+$/.test(text)) {
+            const index = parseInt(text, 10) - 1;
+            if (index >= 0 && index < options.length) return options[index];
+        }
+        return text;
+    }
+
+    // ========== GRADING ==========
+
+    // Every answer that counts as right, the main one first
+    acceptedAnswers(question) {
+        const answers = [question?.answer, ...(question?.acceptableAnswers || [])];
+        return answers.filter(answer => typeof answer === 'string' && answer.trim() !== '');
+    }
+
+    // Grade one answer to one question. Returns { answered, correct, score (0-1), expected,
+    // accents (accepted despite accents), typos (accepted with this many edits), partial }
+    grade(userAnswer, question, language) {
+        const policy = this.policyFor(language);
+        const text = this.answerText(userAnswer, question);
+        const accepted = this.acceptedAnswers(question);
+        const result = { answered: text !== '', correct: false, score: 0, expected: accepted[0] ?? null, accents: false, typos: 0, partial: false };
+        if (!result.answered || accepted.length === 0) return result;
+
+        const given = this.normalize(text, policy);
+        const exact = accepted.find(answer => this.normalize(answer, policy) === given);
+        if (exact !== undefined) return { ...result, correct: true, score: 1, expected: exact };
+
+        // A picked option is right or wrong as it stands
+        const picked = (question.options || []).includes(text);
+        if (!picked) {
+            const typed = this.gradeTyped(given, accepted, question, language, policy);
+            if (typed) return { ...result, ...typed, correct: true, score: 1 };
+        }
+
+        if (WORD_ORDER_TYPES.includes(normalizeExerciseType(question.type))) {
+            const credit = Math.max(...accepted.map(answer => this.wordOrderCredit(given, this.normalize(answer, policy), language, policy)));
+            if (credit > 0) return { ...result, score: credit, partial: true };
+        }
+        return result;
+    }
+
+    // Typed answers: accepted when only accents differ (tolerant policy) or within the typo allowance,
+    // unless a distractor option is at least as close
+    gradeTyped(given, accepted, question, language, policy) {
+        const tolerant = policy.accents === 'tolerant';
+        const forms = tolerant ? this.foldAccents(given, language) : [given];
+        const formsOf = answer => {
+            const normalized = this.normalize(answer, policy);
+            return tolerant ? this.foldAccents(normalized, language) : [normalized];
+        };
+        const distance = answer => Math.min(...formsOf(answer).flatMap(form => forms.map(own => this.editDistance(own, form))));
+
+        let best = null;
+        accepted.forEach(answer => {
+            const typos = distance(answer);
+            const allowed = Math.min(policy.maxTypos, Math.floor(this.graphemes(answer).length * policy.typoRate));
+            if (typos <= allowed && (!best || typos < best.typos)) best = { expected: answer, typos };
+        });
+        if (!best) return null;
+
+        const distractors = (question.options || []).filter(option => !accepted.includes(option));
+        if (distractors.some(option => distance(option) <= best.typos)) return null;
+
+        // Only accents differ when the accent-free forms match exactly
+        return best.typos === 0 ? { expected: best.expected, accents: true } : best;
+    }
+
+    // Same words, partly right order: the longest run of words already in order, as a share of
+    // the answer. Different words earn nothing here.
+    wordOrderCredit(given, expected, language, policy) {
+        const words = text => (policy.accents === 'tolerant' ? this.foldAccents(text, language)[0] : text).split(' ').filter(Boolean);
+        const own = words(given);
+        const target = words(expected);
+        if (target.length < 2 || own.length !== target.length) return 0;
+        if ([...own].sort().join(' ') !== [...target].sort().join(' ')) return 0;
+
+        const lengths = Array.from({ length: own.length + 1 }, () => new Array(target.length + 1).fill(0));
+        for (let i = 1; i <= own.length; i++) {
+            for (let j = 1; j <= target.length; j++) {
+                lengths[i][j] = own[i - 1] === target[j - 1]
+                    ? lengths[i - 1][j - 1] + 1
+                    : Math.max(lengths[i - 1][j], lengths[i][j - 1]);
+            }
+        }
+        const credit = lengths[own.length][target.length] / target.length;
+        return credit < 1 ? Math.round(credit * 100) / 100 : 0;
+    }
+
+    // Matching rows and comprehension sub-questions: one answer per row, each graded on its own;
+    // the question is right when every row is
+    gradeRows(userAnswers, question, language) {
+        const expected = Array.isArray(question.answer) ? question.answer : [];
+        const rows = Array.isArray(userAnswers) ? userAnswers : [];
+        const options = index => question.pairs?.[index]?.options || question.questions?.[index]?.options;
+        const grades = expected.map((answer, index) =>
+            this.grade(rows[index], { type: question.type, answer, options: options(index) }, language));
+
+        const correct = grades.length > 0 && rows.length === expected.length && grades.every(grade => grade.correct);
+        return {
+            answered: rows.some(row => String(row ?? '').trim() !== ''),
+            correct,
+            score: correct ? 1 : 0,
+            expected,
+            accents: grades.some(grade => grade.accents),
+            typos: grades.reduce((sum, grade) => sum + grade.typos, 0),
+            partial: false
+        };
+    }
+
+    // Any question: array answers (matching, comprehension) row by row, a single answer against
+    // a list of right answers when the question has one, else grade()
+    gradeQuestion(userAnswer, question, language) {
+        if (Array.isArray(question?.answer)) {
+            if (Array.isArray(userAnswer)) return this.gradeRows(userAnswer, question, language);
+            const grades = question.answer.map(answer => this.grade(userAnswer, { ...question, answer, acceptableAnswers: [] }, language));
+            return grades.find(grade => grade.correct) || grades[0] || this.grade(userAnswer, { ...question, answer: null }, language);
+        }
+        return this.grade(userAnswer, question, language);
+    }
+
+    // ========== FEEDBACK ==========
+
+    // A short note on how an accepted or partly right answer differed, or null
+    describe(result) {
+        if (!result?.answered) return null;
+        if (result.correct && result.accents) return `Watch the accents: ${result.expected}`;
+        if (result.correct && result.typos > 0) return `Check the spelling: ${result.expected}`;
+        if (result.partial) return `Right words, but the order is off (${Math.round(result.score * 100)}% credit)`;
+        return null;
+    }
+}
+
+// Create singleton instance
+const answerGrading = new AnswerGrader();
+
+if (typeof window !== 'undefined') {
+    window.answerGrading = answerGrading;
+}
+
+export default answerGrading;
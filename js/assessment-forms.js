@@ -0,0 +1,167 @@
+// js/assessment-forms.js - Randomized assessment forms
+// Each attempt at an assessment gets its own form: sections with `draw` rules serve `count`
+// random questions per skill tag from their question bank, and question and option order are
+// shuffled. Answers stay option text, so scoring is unaffected by the shuffle. The form served
+// (bank question per position and option order) is recorded in Firestore
+// (assessmentForms/{uid}/forms/{formId}) together with the attempt's score.
+import { db, doc, setDoc } from '../config/firebase-config.js';
+
+class AssessmentFormBuilder {
+    constructor() {
+        console.log('🔀 Assessment Form Builder initialized');
+    }
+
+    // ========== SHUFFLING ==========
+
+    createId() {
+        if (typeof crypto !== 'undefined' && crypto.randomUUID) return crypto.randomUUID();
+        return `${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 10)}`;
+    }
+
+    // Fisher-Yates; returns a shuffled copy
+    shuffle(items) {
+        const shuffled = [...items];
+        for (let i = shuffled.length - 1; i > 0; i--) {
+            const j = Math.floor(Math.random() * (i + 1));
+            [shuffled[i], shuffled[j]] = [shuffled[j], shuffled[i]];
+        }
+        return shuffled;
+    }
+
+    // Shuffled positions 0..length-1
+    order(length) {
+        return this.shuffle([...Array(length).keys()]);
+    }
+
+    // ========== FORMS ==========
+
+    // Bank indices of the questions to serve from a section
+    pick(section) {
+        const questions = section.questions || [];
+        if (!Array.isArray(section.draw)) return questions.map((question, index) => index);
+
+        return section.draw.flatMap(rule => {
+            const tagged = questions
+                .map((question, index) => ({ question, index }))
+                .filter(({ question }) => question.skill === rule.skill)
+                .map(({ index }) => index);
+            return this.shuffle(tagged).slice(0, rule.count);
+        });
+    }
+
+    // Option order of one question: options, matching rows (and each row's options), or
+    // comprehension sub-question options. The passage's sub-questions keep their order.
+    // Orders are kept as objects in lists since Firestore cannot store nested arrays.
+    shuffleQuestion(question) {
+        const served = {};
+        if (Array.isArray(question.options)) served.options = this.order(question.options.length);
+        if (Array.isArray(question.pairs)) {
+            served.pairs = this.order(question.pairs.length).map(row => ({
+                row,
+                options: this.order(question.pairs[row].options?.length || 0)
+            }));
+        }
+        if (Array.isArray(question.questions)) {
+            served.subquestions = question.questions.map(subQ => ({ options: this.order(subQ.options?.length || 0) }));
+        }
+        return served;
+    }
+
+    // Form: { id, lessonId, createdAt, sections: [{ name, questions: [{ index, options?, pairs?, subquestions? }] }] }
+    // index is the question's place in the section's bank; options are served order as bank positions,
+    // pairs: [{ row, options }] and subquestions: [{ options }]
+    createForm(lesson) {
+        return {
+            id: this.createId(),
+            lessonId: lesson.id,
+            createdAt: new Date().toISOString(),
+            sections: (lesson.sections || []).map(section => ({
+                name: section.name,
+                questions: this.shuffle(this.pick(section)).map(index => ({
+                    index,
+                    ...this.shuffleQuestion(section.questions[index])
+                }))
+            }))
+        };
+    }
+
+    // The lesson as served: each section holds the form's questions, options in served order.
+    // Questions keep their text answers and gain `bankIndex` (their place in the bank).
+    applyForm(lesson, form) {
+        const arrange = (items, order) => (order ? order.map(index => items[index]) : items);
+
+        return {
+            ...lesson,
+            formId: form.id,
+            sections: (lesson.sections || []).map((section, sIndex) => ({
+                ...section,
+                questions: (form.sections[sIndex]?.questions || []).map(served => {
+                    const question = section.questions[served.index];
+                    const arranged = { ...question, bankIndex: served.index };
+
+                    if (question.options) arranged.options = arrange(question.options, served.options);
+                    if (question.pairs) {
+                        const rows = served.pairs || question.pairs.map((pair, row) => ({ row }));
+                        arranged.pairs = rows.map(({ row, options }) => ({
+                            ...question.pairs[row],
+                            options: arrange(question.pairs[row].options || [], options)
+                        }));
+                        // Matching answers are one per row, so they move with their rows
+                        if (Array.isArray(question.answer)) arranged.answer = rows.map(({ row }) => question.answer[row]);
+                    }
+                    if (question.questions) {
+                        arranged.questions = question.questions.map((subQ, subIndex) => ({
+                            ...subQ,
+                            options: arrange(subQ.options || [], served.subquestions?.[subIndex]?.options)
+                        }));
+                    }
+                    return arranged;
+                })
+            }))
+        };
+    }
+
+    // ========== RECORDING ==========
+
+    async recordForm(userId, form, language) {
+        try {
+            if (!userId) throw new Error('Missing user ID');
+
+            await setDoc(doc(db, 'assessmentForms', userId, 'forms', form.id), {
+                ...form,
+                userId,
+                language,
+                servedAt: new Date().toISOString()
+            });
+            console.log(`🔀 Form ${form.id} recorded for ${form.lessonId}`);
+            return { success: true };
+        } catch (error) {
+            console.warn('📡 Assessment form not recorded:', error.message);
+            return { success: false, error: error.message };
+        }
+    }
+
+    // result: { score, passed, correct, total }
+    async recordResult(userId, formId, result) {
+        try {
+            if (!userId || !formId) throw new Error('Missing user or form ID');
+
+            await setDoc(doc(db, 'assessmentForms', userId, 'forms', formId), {
+                result: { ...result, submittedAt: new Date().toISOString() }
+            }, { merge: true });
+            return { success: true };
+        } catch (error) {
+            console.warn('📡 Assessment result not added to its form:', error.message);
+            return { success: false, error: error.message };
+        }
+    }
+}
+
+// Create singleton instance
+const assessmentForms = new AssessmentFormBuilder();
+
+if (typeof window !== 'undefined') {
+    window.assessmentForms = assessmentForms;
+}
+
+export default assessmentForms;
@@ -0,0 +1,125 @@
+// js/assessment-session.js - Autosave and resume for timed assessments
+// An attempt in progress (its form, answers, current section and deadline) is saved on this device
+// on every autosave and sent to Firestore (assessmentSessions/{uid}, one field per lesson) at most
+// every remoteInterval. After a reload, or on another device, the newer copy is resumed with the
+// time that is left; an attempt whose deadline passed meanwhile is submitted as it stands.
+import { db, doc, getDoc, setDoc } from '../config/firebase-config.js';
+
+const STORAGE_PREFIX = 'assessmentSession_';
+
+class AssessmentSessionStore {
+    constructor() {
+        this.remoteInterval = 15000;  // ms between Firestore saves of the same attempt
+        this.lastRemoteSave = {};
+        this.pending = {};
+
+        if (typeof window !== 'undefined') {
+            // Leaving the page sends the latest answers right away
+            document.addEventListener('visibilitychange', () => {
+                if (document.visibilityState === 'hidden') this.flushAll();
+            });
+        }
+
+        console.log('💾 Assessment Session Store initialized');
+    }
+
+    key(userId, lessonId) {
+        return `${STORAGE_PREFIX}${userId}_${lessonId}`;
+    }
+
+    // ========== SAVING ==========
+
+    // session: { lessonId, language, form, startedAt, deadline, userAnswers, answerTimes, currentSectionIndex }
+    save(userId, session) {
+        if (!userId || !session?.lessonId) return null;
+
+        const saved = { ...session, savedAt: new Date().toISOString() };
+        try {
+            localStorage.setItem(this.key(userId, session.lessonId), JSON.stringify(saved));
+        } catch (error) {
+            console.warn('⚠️ Assessment autosave failed on this device:', error.message);
+        }
+
+        const pendingKey = this.key(userId, session.lessonId);
+        this.pending[pendingKey] = { userId, session: saved };
+        const wait = this.remoteInterval - (Date.now() - (this.lastRemoteSave[pendingKey] || 0));
+        if (wait <= 0) {
+            this.flush(pendingKey);
+        } else if (!this.pending[pendingKey].timer) {
+            this.pending[pendingKey].timer = setTimeout(() => this.flush(pendingKey), wait);
+        }
+        return saved;
+    }
+
+    async flush(pendingKey) {
+        const entry = this.pending[pendingKey];
+        if (!entry) return { success: true };
+        clearTimeout(entry.timer);
+        delete this.pending[pendingKey];
+        this.lastRemoteSave[pendingKey] = Date.now();
+
+        try {
+            await setDoc(doc(db, 'assessmentSessions', entry.userId), {
+                [entry.session.lessonId]: entry.session
+            }, { merge: true });
+            return { success: true };
+        } catch (error) {
+            console.warn('📡 Assessment autosave kept on this device:', error.message);
+            return { success: false, error: error.message };
+        }
+    }
+
+    flushAll() {
+        return Promise.all(Object.keys(this.pending).map(pendingKey => this.flush(pendingKey)));
+    }
+
+    // ========== RESUMING ==========
+
+    readLocal(userId, lessonId) {
+        try {
+            return JSON.parse(localStorage.getItem(this.key(userId, lessonId))) || null;
+        } catch (error) {
+            return null;
+        }
+    }
+
+    // The attempt in progress for a lesson (this device's or Firestore's, whichever was saved
+    // last), or null. remainingMs is 0 once the deadline has passed.
+    async load(userId, lessonId) {
+        let session = this.readLocal(userId, lessonId);
+
+        try {
+            const snapshot = await getDoc(doc(db, 'assessmentSessions', userId));
+            const remote = snapshot.exists() ? snapshot.data()[lessonId] : null;
+            if (remote && (!session || remote.savedAt > session.savedAt)) session = remote;
+        } catch (error) {
+            console.warn('📡 Saved assessment not checked online:', error.message);
+        }
+
+        if (!session?.form || !session.deadline) return null;
+        return { ...session, remainingMs: Math.max(0, Date.parse(session.deadline) - Date.now()) };
+    }
+
+    // Submitted (or abandoned) attempts are removed from both copies
+    async clear(userId, lessonId) {
+        const pendingKey = this.key(userId, lessonId);
+        clearTimeout(this.pending[pendingKey]?.timer);
+        delete this.pending[pendingKey];
+        localStorage.removeItem(pendingKey);
+
+        try {
+            await setDoc(doc(db, 'assessmentSessions', userId), { [lessonId]: null }, { merge: true });
+        } catch (error) {
+            console.warn('📡 Saved assessment not cleared online:', error.message);
+        }
+    }
+}
+
+// Create singleton instance
+const assessmentSessions = new AssessmentSessionStore();
+
+if (typeof window !== 'undefined') {
+    window.assessmentSessions = assessmentSessions;
+}
+
+export default assessmentSessions;
@@ -0,0 +1,316 @@
+// js/certificates.js - Completion certificates
+// Passing an assessment issues a certificate with a unique code. Firestore keeps two copies:
+// certificates/{code} holds only what is printed on the certificate (name, language,
+// assessment, score, sections, date) and is what the public page (pages/verify-certificate.html)
+// reads; userCertificates/{uid}/certificates/{code} is the learner's own record of it.
+// Both are written in one batch: firestore.rules only accepts the pair for an assessment the
+// learner's journey records as mastered, with at least the printed score. The journey is written
+// by the learner's own browser, so a code proves the certificate was issued and has not changed
+// since, not that the assessment was actually passed.
+// The certificate is drawn on a canvas and downloaded as a PNG, or as a one-page PDF that wraps
+// the same picture (built here, so no PDF library is needed).
+import { db, doc, getDoc, writeBatch } from '../config/firebase-config.js';
+
+// No 0/O or 1/I, so codes can be read back over the phone
+const CODE_ALPHABET = 'ABCDEFGHJKLMNPQRSTUVWXYZ23456789';
+
+class CertificateService {
+    constructor() {
+        this.codeGroups = 3;            // NS-XXXX-XXXX-XXXX
+        this.groupLength = 4;
+        this.maxCodeAttempts = 5;
+        this.size = { width: 1600, height: 1131 };          // canvas pixels (A4 landscape)
+        this.pageSize = { width: 842, height: 595 };        // PDF points (A4 landscape)
+        this.verifyUrl = new URL('../pages/verify-certificate.html', import.meta.url).href;
+
+        console.log('🏆 Certificate Service initialized');
+    }
+
+    // ========== CODES ==========
+
+    createCode() {
+        const length = this.codeGroups * this.groupLength;
+        const values = new Uint32Array(length);
+        if (typeof crypto !== 'undefined' && crypto.getRandomValues) {
+            crypto.getRandomValues(values);
+        } else {
+            values.forEach((value, index) => { values[index] = Math.floor(Math.random() * 2 ** 32); });
+        }
+
+        const characters = Array.from(values, value => CODE_ALPHABET[value % CODE_ALPHABET.length]).join('');
+        const groups = characters.match(new RegExp(`.{${this.groupLength}}`, 'g'));
+        return `NS-${groups.join('-')}`;
+    }
+
+    // Codes are typed by hand on the verification page: case, spaces and missing dashes are forgiven
+    normalizeCode(code) {
+        const length = this.codeGroups * this.groupLength;
+        let characters = String(code || '').toUpperCase().replace(/[^A-Z0-9]/g, '');
+        if (characters.length === length + 2 && characters.startsWith('NS')) characters = characters.slice(2);
+        if (characters.length !== length) return null;
+        if ([...characters].some(character => !CODE_ALPHABET.includes(character))) return null;
+        return `NS-${characters.match(new RegExp(`.{${this.groupLength}}`, 'g')).join('-')}`;
+    }
+
+    // The section's score with part credit, as the results screen showed it. Certificates issued
+    // before it was stored fall back to whole correct answers.
+    sectionPercentage(section) {
+        if (typeof section.percentage === 'number') return section.percentage;
+        return section.total > 0 ? Math.round((section.correct / section.total) * 100) : 0;
+    }
+
+    verificationLink(code) {
+        return `${this.verifyUrl}?code=${encodeURIComponent(code)}`;
+    }
+
+    // ========== ISSUING ==========
+
+    // details: { name, language, languageName, lessonId, assessmentTitle, score, sections: [{ name, correct, total, percentage }], formId }
+    // Returns { success, certificate } where certificate holds the public fields and the code
+    async issue(userId, details) {
+        try {
+            if (!userId || !details?.lessonId) {
+                throw new Error('Missing user or assessment');
+            }
+
+            const issuedAt = new Date().toISOString();
+            let code = null;
+            for (let attempt = 0; attempt < this.maxCodeAttempts && !code; attempt++) {
+                const candidate = this.createCode();
+                const existing = await getDoc(doc(db, 'certificates', candidate));
+                if (!existing.exists()) code = candidate;
+            }
+            if (!code) {
+                throw new Error('Could not create a unique verification code');
+            }
+
+            const certificate = {
+                code,
+                name: details.name || 'Learner',
+                language: details.language || null,
+                languageName: details.languageName || details.language || '',
+                assessmentTitle: details.assessmentTitle || '',
+                score: details.score,
+                sections: (details.sections || []).map(({ name, correct, total, percentage }) => ({ name, correct, total, percentage })),
+                issuedAt
+            };
+
+            const batch = writeBatch(db);
+            batch.set(doc(db, 'certificates', code), certificate);
+            batch.set(doc(db, 'userCertificates', userId, 'certificates', code), {
+                ...certificate,
+                userId,
+                lessonId: details.lessonId,
+                formId: details.formId || null
+            });
+            await batch.commit();
+
+            console.log(`🏆 Certificate ${code} issued for ${details.lessonId}`);
+            return { success: true, certificate };
+        } catch (error) {
+            console.error('❌ Error issuing certificate:', error);
+            return { success: false, error: error.message };
+        }
+    }
+
+    // ========== VERIFYING ==========
+
+    // Only the printed fields are ever read, so a code reveals nothing else about the learner
+    async verify(code) {
+        const normalized = this.normalizeCode(code);
+        if (!normalized) {
+            return { success: true, valid: false, reason: 'This is not a NativeSpark verification code.' };
+        }
+
+        try {
+            const snapshot = await getDoc(doc(db, 'certificates', normalized));
+            if (!snapshot.exists()) {
+                return { success: true, valid: false, code: normalized, reason: 'No certificate was issued with this code.' };
+            }
+            return { success: true, valid: true, certificate: snapshot.data() };
+        } catch (error) {
+            console.error('❌ Error verifying certificate:', error);
+            return { success: false, valid: false, error: error.message };
+        }
+    }
+
+    // ========== RENDERING ==========
+
+    formatDate(iso) {
+        return new Date(iso).toLocaleDateString(undefined, { year: 'numeric', month: 'long', day: 'numeric' });
+    }
+
+    // Shrinks the font until the text fits the width
+    fitText(context, text, maxWidth, size, style = '', family = 'Georgia, serif') {
+        let fontSize = size;
+        context.font = `${style} ${fontSize}px ${family}`;
+        while (context.measureText(text).width > maxWidth && fontSize > 12) {
+            fontSize -= 2;
+            context.font = `${style} ${fontSize}px ${family}`;
+        }
+        return fontSize;
+    }
+
+    render(certificate) {
+        const { width, height } = this.size;
+        const canvas = document.createElement('canvas');
+        canvas.width = width;
+        canvas.height = height;
+        const context = canvas.getContext('2d');
+        const center = width / 2;
+
+        // Paper and double border
+        context.fillStyle = '#fffdf6';
+        context.fillRect(0, 0, width, height);
+        context.strokeStyle = '#2e7d32';
+        context.lineWidth = 14;
+        context.strokeRect(40, 40, width - 80, height - 80);
+        context.lineWidth = 3;
+        context.strokeRect(70, 70, width - 140, height - 140);
+
+        context.textAlign = 'center';
+        context.textBaseline = 'alphabetic';
+
+        context.fillStyle = '#2e7d32';
+        context.font = 'bold 34px Georgia, serif';
+        context.fillText('NativeSpark AI', center, 160);
+
+        context.fillStyle = '#333';
+        context.font = 'bold 72px Georgia, serif';
+        context.fillText('Certificate of Achievement', center, 260);
+
+        context.font = 'italic 30px Georgia, serif';
+        context.fillStyle = '#666';
+        context.fillText('This certifies that', center, 340);
+
+        context.fillStyle = '#1b5e20';
+        this.fitText(context, certificate.name, width - 300, 64, 'bold');
+        context.fillText(certificate.name, center, 425);
+
+        context.fillStyle = '#666';
+        context.font = 'italic 30px Georgia, serif';
+        context.fillText(`has passed the ${certificate.languageName} assessment`, center, 490);
+
+        context.fillStyle = '#333';
+        this.fitText(context, certificate.assessmentTitle, width - 300, 44, 'bold');
+        context.fillText(certificate.assessmentTitle, center, 560);
+
+        context.fillStyle = '#2e7d32';
+        context.font = 'bold 40px Georgia, serif';
+        context.fillText(`Score: ${certificate.score}%`, center, 630);
+
+        // Section breakdown, one line per section in up to two columns
+        const sections = certificate.sections || [];
+        const columns = sections.length > 4 ? 2 : 1;
+        const rows = Math.ceil(sections.length / columns);
+        const lineHeight = Math.min(40, 220 / Math.max(1, rows));
+        context.fillStyle = '#444';
+        context.font = `${Math.min(26, lineHeight - 6)}px Georgia, serif`;
+        sections.forEach((section, index) => {
+            const column = Math.floor(index / rows);
+            const x = columns === 1 ? center : center + (column === 0 ? -330 : 330);
+            const y = 690 + (index % rows) * lineHeight;
+            context.fillText(`${section.name}: ${section.correct}/${section.total} (${this.sectionPercentage(section)}%)`, x, y);
+        });
+
+        // Date and verification code along the bottom
+        context.fillStyle = '#555';
+        context.font = '26px Georgia, serif';
+        context.textAlign = 'left';
+        context.fillText(`Issued ${this.formatDate(certificate.issuedAt)}`, 130, height - 150);
+        context.textAlign = 'right';
+        context.fillText(`Verification code: ${certificate.code}`, width - 130, height - 150);
+        context.textAlign = 'center';
+        context.font = '20px Georgia, serif';
+        context.fillStyle = '#888';
+        context.fillText(`Verify at ${this.verificationLink(certificate.code)}`, center, height - 105);
+
+        return canvas;
+    }
+
+    // ========== DOWNLOADS ==========
+
+    fileName(certificate, extension) {
+        return `nativespark-certificate-${certificate.code}.${extension}`;
+    }
+
+    save(blob, fileName) {
+        const url = URL.createObjectURL(blob);
+        const link = document.createElement('a');
+        link.href = url;
+        link.download = fileName;
+        document.body.appendChild(link);
+        link.click();
+        link.remove();
+        setTimeout(() => URL.revokeObjectURL(url), 1000);
+    }
+
+    async downloadPng(certificate) {
+        const canvas = this.render(certificate);
+        const blob = await new Promise(resolve => canvas.toBlob(resolve, 'image/png'));
+        this.save(blob, this.fileName(certificate, 'png'));
+    }
+
+    async downloadPdf(certificate) {
+        const canvas = this.render(certificate);
+        const jpeg = await new Promise(resolve => canvas.toBlob(resolve, 'image/jpeg', 0.92));
+        const pdf = this.buildPdf(new Uint8Array(await jpeg.arrayBuffer()), canvas.width, canvas.height);
+        this.save(new Blob([pdf], { type: 'application/pdf' }), this.fileName(certificate, 'pdf'));
+    }
+
+    // ========== PDF ==========
+
+    // One page showing one JPEG full-size: catalog, page tree, page, image and drawing commands,
+    // followed by the cross-reference table of byte offsets
+    buildPdf(jpegBytes, imageWidth, imageHeight) {
+        const encoder = new TextEncoder();
+        const { width, height } = this.pageSize;
+        const drawing = `q ${width} 0 0 ${height} 0 0 cm /Im0 Do Q`;
+        const objects = [
+            ['<< /Type /Catalog /Pages 2 0 R >>'],
+            ['<< /Type /Pages /Kids [3 0 R] /Count 1 >>'],
+            [`<< /Type /Page /Parent 2 0 R /MediaBox [0 0 ${width} ${height}] /Resources << /XObject << /Im0 4 0 R >> >> /Contents 5 0 R >>`],
+            [`<< /Type /XObject /Subtype /Image /Width ${imageWidth} /Height ${imageHeight} /ColorSpace /DeviceRGB /BitsPerComponent 8 /Filter /DCTDecode /Length ${jpegBytes.length} >>\nstream\n`, jpegBytes, '\nendstream'],
+            [`<< /Length ${drawing.length} >>\nstream\n${drawing}\nendstream`]
+        ];
+
+        const parts = [];
+        let length = 0;
+        const push = part => {
+            const bytes = typeof part === 'string' ? encoder.encode(part) : part;
+            parts.push(bytes);
+            length += bytes.length;
+        };
+
+        push('%PDF-1.4\n');
+        const offsets = objects.map((object, index) => {
+            const offset = length;
+            push(`${index + 1} 0 obj\n`);
+            object.forEach(push);
+            push('\nendobj\n');
+            return offset;
+        });
+
+        const xref = length;
+        push(`xref\n0 ${objects.length + 1}\n0000000000 65535 f \n`);
+        offsets.forEach(offset => push(`${String(offset).padStart(10, '0')} 00000 n \n`));
+        push(`trailer\n<< /Size ${objects.length + 1} /Root 1 0 R >>\nstartxref\n${xref}\n%%EOF\n`);
+
+        const pdf = new Uint8Array(length);
+        let position = 0;
+        parts.forEach(bytes => {
+            pdf.set(bytes, position);
+            position += bytes.length;
+        });
+        return pdf;
+    }
+}
+
+// Create singleton instance
+const certificates = new CertificateService();
+
+if (typeof window !== 'undefined') {
+    window.certificates = certificates;
+}
+
+export default certificates;
@@ -0,0 +1,54 @@
+// js/curriculum-manifest.js - The curriculum manifest, fetched once per page
+// content/curriculum/manifest.json lists the content packs and holds the mastery, prerequisite,
+// skill, grading and achievement rules. Every module that needs it loads it through here, so a
+// page downloads it once; a failed request is not cached, so the next call tries again.
+
+class CurriculumManifest {
+    constructor() {
+        this.url = new URL('../content/curriculum/manifest.json', import.meta.url).href;
+        this.manifest = null;
+        this.request = null;
+
+        console.log('🗂️ Curriculum Manifest initialized');
+    }
+
+    load() {
+        if (this.manifest) {
+            return Promise.resolve(this.manifest);
+        }
+
+        if (!this.request) {
+            this.request = fetch(this.url, { cache: 'no-cache' })
+                .then(response => {
+                    if (!response.ok) {
+                        throw new Error(`Failed to load curriculum manifest: ${response.status}`);
+                    }
+                    return response.json();
+                })
+                .then(manifest => {
+                    this.manifest = manifest;
+                    console.log(`📦 Curriculum manifest v${manifest.version} loaded`);
+                    return manifest;
+                })
+                .catch(error => {
+                    this.request = null;
+                    throw error;
+                });
+        }
+        return this.request;
+    }
+
+    // URL of a file the manifest lists (entry.path is relative to the manifest)
+    resolve(relativePath) {
+        return new URL(relativePath, this.url).href;
+    }
+}
+
+// Create singleton instance
+const curriculumManifest = new CurriculumManifest();
+
+if (typeof window !== 'undefined') {
+    window.curriculumManifest = curriculumManifest;
+}
+
+export default curriculumManifest;
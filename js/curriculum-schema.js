@@ -0,0 +1,209 @@
+// js/curriculum-schema.js - Formal shape of curriculum content packs
+// Pure data + helpers (no DOM, no Firebase) so it loads in the browser and in Node.
+
+// ========== EXERCISE TYPES ==========
+// Canonical exercise/question type names. `aliases` are spellings that exist in
+// older content and are still accepted, but the validator reports them so
+// editors can move to the canonical name. `answer` describes the answer shape:
+//   'option'       - a single string that must be one of `options`
+//   'pairs'        - option form, or (assessments) an array with one entry
+//                    per `pairs[i]`, each found in `pairs[i].options`
+//   'subquestions' - an array with one entry per `questions[i]`
+export const EXERCISE_TYPES = {
+    // Recognition
+    'match': { aliases: ['matching'], answer: 'pairs' },
+    'identify': { aliases: [], answer: 'option' },
+    'sequence': { aliases: ['alphabet-order'], answer: 'option' },
+    'letter-sound': { aliases: [], answer: 'option' },
+    'sound-match': { aliases: [], answer: 'option' },
+    'pronunciation': { aliases: ['pronounce'], answer: 'option' },
+    'blending': { aliases: [], answer: 'option' },
+    'combine': { aliases: [], answer: 'option' },
+    'decompose': { aliases: [], answer: 'option' },
+    'vowel-sign': { aliases: [], answer: 'option' },
+    'word-family': { aliases: [], answer: 'option' },
+    'word-formation': { aliases: [], answer: 'option' },
+    'write': { aliases: [], answer: 'option' },
+    'categorize': { aliases: [], answer: 'option' },
+    'count': { aliases: [], answer: 'option' },
+    'color-identification': { aliases: [], answer: 'option' },
+    'number-word': { aliases: [], answer: 'option' },
+    'word-choice': { aliases: [], answer: 'option' },
+    'article-choice': { aliases: [], answer: 'option' },
+    'tense-choice': { aliases: [], answer: 'option' },
+    'synonym': { aliases: [], answer: 'option' },
+    'antonym': { aliases: [], answer: 'option' },
+    'tense-identification': { aliases: [], answer: 'option' },
+
+    // Production
+    'fill-blank': { aliases: ['fill', 'fill-blanks'], answer: 'option' },
+    'translation': { aliases: ['translate'], answer: 'option' },
+    'sentence-formation': { aliases: [], answer: 'option' },
+    'sentence-completion': { aliases: [], answer: 'option' },
+    'sentence-correction': { aliases: [], answer: 'option' },
+    'sentence-combining': { aliases: [], answer: 'option' },
+    'word-order': { aliases: [], answer: 'option' },
+    'verb-conjugation': { aliases: [], answer: 'option' },
+    'question-formation': { aliases: [], answer: 'option' },
+    'negative-formation': { aliases: [], answer: 'option' },
+
+    // Assessment-only
+    'multiple-choice': { aliases: [], answer: 'option' },
+    'comprehension': { aliases: [], answer: 'subquestions' }
+};
+
+const TYPE_ALIASES = Object.entries(EXERCISE_TYPES).reduce((map, [canonical, spec]) => {
+    spec.aliases.forEach(alias => {
+        map[alias] = canonical;
+    });
+    return map;
+}, {});
+
+// Resolve any known spelling to its canonical type name (null if unknown)
+export function normalizeExerciseType(type) {
+    if (!type) return null;
+    if (EXERCISE_TYPES[type]) return type;
+    return TYPE_ALIASES[type] || null;
+}
+
+// ========== ITEM SHAPES ==========
+// Field specs: 'string', 'number', 'string[]', 'object[]' or 'shape:<name>'.
+// A trailing '?' marks the field optional.
+export const ITEM_SHAPES = {
+    letterExample: { word: 'string', pronunciation: 'string?', speakText: 'string' },
+    practiceWord: { word: 'string', pronunciation: 'string?', speakText: 'string' },
+    wordFamily: { family: 'string', words: 'string[]', pronunciation: 'string?' },
+    word: { word: 'string', meaning: 'string', pronunciation: 'string?', example: 'string?', synonyms: 'string[]?', speakText: 'string' },
+    phrase: { phrase: 'string', meaning: 'string', pronunciation: 'string?', speakText: 'string' },
+    dialogLine: { text: 'string', pronunciation: 'string?', speakText: 'string' },
+    dialog: { personA: 'shape:dialogLine', personB: 'shape:dialogLine' },
+    numberWord: { number: 'string', word: 'string', pronunciation: 'string?', speakText: 'string' },
+    colorWord: { color: 'string', pronunciation: 'string?', speakText: 'string' },
+    concept: { name: 'string', explanation: 'string', examples: 'string[]?', rules: 'string[]?' },
+    exercise: { type: 'string', question: 'string', options: 'string[]', answer: 'string', explanation: 'string?', audioText: 'string?', difficulty: 'number?', skill: 'string?', acceptableAnswers: 'string[]?' },
+    section: { name: 'string', questions: 'object[]', draw: 'list:drawRule?' },
+    drawRule: { skill: 'string', count: 'number' },
+    scoring: { totalPoints: 'number', passingScore: 'number', timeLimit: 'number' },
+    prerequisite: { module: 'string?', lesson: 'string?', completed: 'boolean?', minProgress: 'number?', minScore: 'number?' },
+    badge: { id: 'string', name: 'string', icon: 'string', description: 'string', language: 'string?', xp: 'number?', when: 'shape:badgeRule' },
+    badgeRule: {
+        lessons: 'string[]?',
+        modulesCompleted: 'string[]?',
+        lessonsMastered: 'number?',
+        assessmentsPassed: 'number?',
+        streak: 'number?',
+        goalDays: 'number?',
+        practiceAnswers: 'number?',
+        practiceCorrect: 'number?',
+        dictionaryLookups: 'number?',
+        xp: 'number?',
+        level: 'number?'
+    },
+    gradingPolicy: { accents: 'string?', punctuation: 'string?', typoRate: 'number?', maxTypos: 'number?' },
+    skill: { id: 'string', name: 'string', language: 'string', module: 'string', when: 'shape:skillRule', lessons: 'string[]?', practice: 'string[]?' },
+    skillRule: {
+        lessons: 'string[]?',
+        types: 'string[]?',
+        answers: 'string[]?',
+        sections: 'string[]?'
+    }
+};
+
+// Fields whose items are spoken by the TTS layer and therefore need `speakText`
+export const SPOKEN_SHAPES = ['letterExample', 'practiceWord', 'word', 'phrase', 'dialogLine', 'numberWord', 'colorWord'];
+
+// ========== MODULE SCHEMAS ==========
+// Lesson fields per module. `list:<shape>` is an array of that shape,
+// `map:<shape>` an object keyed by letter/word whose values have that shape.
+export const MODULE_SCHEMAS = {
+    alphabets: {
+        id: 'string',
+        title: 'string',
+        content: 'string',
+        prerequisites: 'list:prerequisite?',
+        passingScore: 'number?',
+        letters: 'string[]',
+        examples: 'map:letterExample',
+        pronunciation: 'map:string?',
+        phoneticGuide: 'map:string?',
+        formation: 'map:string?',
+        exercises: 'list:exercise',
+        practiceWords: 'list:practiceWord?',
+        wordFamilies: 'list:wordFamily?',
+        writingPractice: 'string[]?',
+        tips: 'string[]?'
+    },
+    vocabulary: {
+        id: 'string',
+        title: 'string',
+        content: 'string',
+        prerequisites: 'list:prerequisite?',
+        passingScore: 'number?',
+        words: 'list:word',
+        phrases: 'list:phrase?',
+        numbers: 'list:numberWord?',
+        colors: 'list:colorWord?',
+        exercises: 'list:exercise',
+        practiceDialogs: 'list:dialog?',
+        practiceSentences: 'string[]?',
+        culturalNotes: 'string[]?',
+        tips: 'string[]?'
+    },
+    grammar: {
+        id: 'string',
+        title: 'string',
+        content: 'string',
+        prerequisites: 'list:prerequisite?',
+        passingScore: 'number?',
+        concepts: 'list:concept',
+        exercises: 'list:exercise',
+        practiceSentences: 'string[]?',
+        tips: 'string[]?'
+    },
+    assessment: {
+        id: 'string',
+        title: 'string',
+        content: 'string',
+        prerequisites: 'list:prerequisite?',
+        sections: 'list:section',
+        scoring: 'shape:scoring',
+        feedback: 'map:string?'
+    }
+};
+
+export const MODULE_TYPES = Object.keys(MODULE_SCHEMAS);
+
+// ========== PREREQUISITES ==========
+// Conditions a prerequisite rule may set (see LearningEngine.checkPrerequisite);
+// a rule needs at least one of these or a `lesson`.
+export const PREREQUISITE_CONDITIONS = ['completed', 'minProgress', 'minScore'];
+
+// ========== ACHIEVEMENTS ==========
+// Manifest `achievements`: XP per activity, level thresholds, the profile level each rank
+// starts at, and badge rules (see AchievementEngine.isEarned). A badge's `when` needs at
+// least one condition, and all of them must hold.
+export const BADGE_CONDITIONS = Object.keys(ITEM_SHAPES.badgeRule);
+export const XP_SOURCES = ['lessonAttempt', 'lessonMastered', 'assessmentPassed', 'practiceAnswer', 'practiceCorrect', 'dictionaryLookup', 'dictionaryDailyXp'];
+export const LEARNER_RANKS = ['beginner', 'elementary', 'intermediate', 'advanced'];
+
+// ========== ASSESSMENT FORMS ==========
+// An assessment section's `questions` are its question bank. With `draw` rules, each attempt
+// serves `count` random questions per `skill` tag (see AssessmentFormBuilder.pick); without,
+// every question. Question and option order are shuffled per attempt either way.
+
+// ========== GRADING ==========
+// Manifest `grading`: a `default` policy and per-language overrides (`languages.fr`), used by
+// js/answer-grading.js. accents: 'strict' (must match) or 'tolerant' (missing accents on Latin
+// letters are accepted and pointed out); punctuation: 'strict' or 'ignore'; typoRate: edits
+// allowed per character of the answer, at most maxTypos.
+export const ACCENT_MODES = ['strict', 'tolerant'];
+export const PUNCTUATION_MODES = ['strict', 'ignore'];
+
+// ========== SKILLS ==========
+// Manifest `skills`: named skills per language (e.g. Tamil retroflex consonants) that answers
+// are grouped into to find weak areas (see LearningAnalytics.scoreSkills). An answer belongs to
+// a skill when every answer condition it sets holds; `sections` names assessment sections whose
+// results count too. `lessons` and `practice` (AI practice types) are what gets recommended.
+export const SKILL_CONDITIONS = Object.keys(ITEM_SHAPES.skillRule);
+export const SKILL_ANSWER_CONDITIONS = ['lessons', 'types', 'answers'];
+export const PRACTICE_TYPES = ['translation', 'vocabulary', 'sentence', 'conversation', 'listening', 'grammar'];
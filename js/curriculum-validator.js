@@ -0,0 +1,857 @@
+// js/curriculum-validator.js - Validates curriculum content packs against the schema
+// Runs in the browser (window.curriculumValidator) and headless in Node
+// (scripts/validate-curriculum.js). No DOM or Firebase dependencies.
+import {
+    EXERCISE_TYPES,
+    ITEM_SHAPES,
+    SPOKEN_SHAPES,
+    MODULE_SCHEMAS,
+    MODULE_TYPES,
+    PREREQUISITE_CONDITIONS,
+    BADGE_CONDITIONS,
+    XP_SOURCES,
+    LEARNER_RANKS,
+    SKILL_CONDITIONS,
+    SKILL_ANSWER_CONDITIONS,
+    PRACTICE_TYPES,
+    ACCENT_MODES,
+    PUNCTUATION_MODES,
+    normalizeExerciseType
+} from './curriculum-schema.js';
+
+class CurriculumValidator {
+    constructor() {
+        this.seenLessonIds = new Map();
+        this.seenSections = new Map();
+        this.lessonPrerequisites = [];
+    }
+
+    // Validate a whole curriculum: manifest + a loader returning packs by module/language
+    async validateCurriculum(manifest, loadPack) {
+        const report = this.createReport();
+        this.seenLessonIds = new Map();
+        this.seenSections = new Map();
+        this.lessonPrerequisites = [];
+
+        if (!manifest || typeof manifest.modules !== 'object') {
+            this.addIssue(report, 'error', 'manifest-invalid', 'manifest', 'Manifest has no modules map');
+            return this.finishReport(report);
+        }
+
+        for (const [module, languages] of Object.entries(manifest.modules)) {
+            if (!MODULE_SCHEMAS[module]) {
+                this.addIssue(report, 'error', 'unknown-module', `manifest.modules.${module}`, `Unknown module "${module}" (expected ${MODULE_TYPES.join(', ')})`);
+                continue;
+            }
+
+            for (const [language, entry] of Object.entries(languages)) {
+                const path = `${module}/${language}`;
+                let pack;
+
+                try {
+                    pack = await loadPack(module, language, entry);
+                } catch (error) {
+                    this.addIssue(report, 'error', 'pack-missing', path, `Could not load ${entry.path}: ${error.message}`);
+                    continue;
+                }
+
+                this.validateContentPack(pack, { module, language, entry }, report);
+            }
+        }
+
+        this.validateMastery(manifest.mastery, report);
+        this.validateGrading(manifest.grading, manifest.languages, report);
+        this.validatePrerequisiteGraph(manifest.prerequisites, report);
+        this.validateAchievements(manifest.achievements, report);
+        this.validateSkills(manifest.skills, report);
+
+        // Stroke templates for letter tracing; several languages may share one pack
+        const checkedStrokePacks = new Set();
+        for (const [language, entry] of Object.entries(manifest.strokes || {})) {
+            if (checkedStrokePacks.has(entry.path)) continue;
+            checkedStrokePacks.add(entry.path);
+
+            try {
+                const pack = await loadPack('strokes', language, entry);
+                this.validateStrokePack(pack, entry.path, report);
+            } catch (error) {
+                this.addIssue(report, 'error', 'pack-missing', `strokes/${language}`, `Could not load ${entry.path}: ${error.message}`);
+            }
+        }
+
+        return this.finishReport(report);
+    }
+
+    // Validate one content pack; pass an existing report to accumulate across packs
+    validateContentPack(pack, expected = {}, report = null) {
+        const standalone = !report;
+        if (standalone) {
+            report = this.createReport();
+            this.seenLessonIds = new Map();
+            this.seenSections = new Map();
+        }
+
+        const module = expected.module || pack?.module;
+        const language = expected.language || pack?.language;
+        const path = `${module}/${language}`;
+
+        if (!pack || !Array.isArray(pack.lessons)) {
+            this.addIssue(report, 'error', 'pack-invalid', path, 'Content pack has no lessons array');
+            return standalone ? this.finishReport(report) : report;
+        }
+
+        if (expected.module && pack.module !== expected.module) {
+            this.addIssue(report, 'error', 'pack-mismatch', path, `Pack declares module "${pack.module}"`);
+        }
+        if (expected.language && pack.language !== expected.language) {
+            this.addIssue(report, 'error', 'pack-mismatch', path, `Pack declares language "${pack.language}"`);
+        }
+
+        const entry = expected.entry;
+        if (entry) {
+            if (entry.lessonCount !== undefined && entry.lessonCount !== pack.lessons.length) {
+                this.addIssue(report, 'error', 'lesson-count', path, `Manifest lists ${entry.lessonCount} lessons, pack has ${pack.lessons.length}`);
+            }
+            if (entry.version !== undefined && entry.version !== pack.version) {
+                this.addIssue(report, 'warning', 'version-mismatch', path, `Manifest version ${entry.version}, pack version ${pack.version}`);
+            }
+        }
+
+        pack.lessons.forEach((lesson, index) => {
+            const lessonPath = `${path}.lessons[${index}]`;
+            this.validateLesson(lesson, module, lessonPath, report);
+
+            // Lesson references are resolved once every pack is loaded (validatePrerequisiteGraph)
+            if (Array.isArray(lesson?.prerequisites)) {
+                lesson.prerequisites.forEach((rule, rIndex) => {
+                    this.lessonPrerequisites.push({ rule, module, language, lessonId: lesson.id, path: `${lessonPath}.prerequisites[${rIndex}]` });
+                });
+            }
+        });
+
+        report.stats.packs++;
+        return standalone ? this.finishReport(report) : report;
+    }
+
+    // Validate a single lesson object for the given module
+    validateLesson(lesson, module, path = 'lesson', report = null) {
+        const standalone = !report;
+        if (standalone) report = this.createReport();
+
+        const schema = MODULE_SCHEMAS[module];
+        if (!schema) {
+            this.addIssue(report, 'error', 'unknown-module', path, `Unknown module "${module}"`);
+            return standalone ? this.finishReport(report) : report;
+        }
+
+        if (!lesson || typeof lesson !== 'object') {
+            this.addIssue(report, 'error', 'lesson-invalid', path, 'Lesson is not an object');
+            return standalone ? this.finishReport(report) : report;
+        }
+
+        // Lesson ids must be unique across the whole curriculum (progress is keyed by them)
+        if (lesson.id) {
+            const firstPath = this.seenLessonIds.get(lesson.id);
+            if (firstPath) {
+                this.addIssue(report, 'error', 'duplicate-id', path, `Duplicate lesson id "${lesson.id}" (first seen at ${firstPath})`);
+            } else {
+                this.seenLessonIds.set(lesson.id, path);
+            }
+        }
+
+        // Assessment section names, for skill rules (by name, since results are stored by name)
+        if (Array.isArray(lesson.sections)) {
+            lesson.sections.forEach(section => {
+                if (!section?.name) return;
+                this.seenSections.set(section.name, [...(this.seenSections.get(section.name) || []), path]);
+            });
+        }
+
+        this.checkFields(lesson, schema, path, report);
+
+        this.checkPercentage(lesson.passingScore, `${path}.passingScore`, report);
+        this.checkPercentage(lesson.scoring?.passingScore, `${path}.scoring.passingScore`, report);
+
+        if (Array.isArray(lesson.prerequisites)) {
+            lesson.prerequisites.forEach((rule, index) => {
+                this.checkPrerequisiteRule(rule, `${path}.prerequisites[${index}]`, report);
+            });
+        }
+
+        if (Array.isArray(lesson.exercises)) {
+            lesson.exercises.forEach((exercise, index) => {
+                this.validateExercise(exercise, `${path}.exercises[${index}]`, report);
+            });
+        }
+
+        if (Array.isArray(lesson.sections)) {
+            lesson.sections.forEach((section, sIndex) => {
+                (section.questions || []).forEach((question, qIndex) => {
+                    this.validateExercise(question, `${path}.sections[${sIndex}].questions[${qIndex}]`, report);
+                });
+                this.checkDrawRules(section, `${path}.sections[${sIndex}]`, report);
+            });
+        }
+
+        // Partial example coverage is usually an oversight; lessons without any examples (e.g. generated grids) are fine
+        if (module === 'alphabets' && Array.isArray(lesson.letters) && lesson.examples && Object.keys(lesson.examples).length > 0) {
+            lesson.letters.forEach(letter => {
+                if (!lesson.examples[letter]) {
+                    this.addIssue(report, 'warning', 'missing-example', `${path}.examples`, `No example word for letter "${letter}"`);
+                }
+            });
+        }
+
+        report.stats.lessons++;
+        return standalone ? this.finishReport(report) : report;
+    }
+
+    // Validate an exercise or assessment question: type name and answer/options consistency
+    validateExercise(exercise, path, report) {
+        if (!exercise || typeof exercise !== 'object') {
+            this.addIssue(report, 'error', 'exercise-invalid', path, 'Exercise is not an object');
+            return;
+        }
+
+        report.stats.exercises++;
+
+        const canonical = normalizeExerciseType(exercise.type);
+        if (!canonical) {
+            this.addIssue(report, 'error', 'unknown-type', `${path}.type`, `Unknown exercise type "${exercise.type}"`);
+            return;
+        }
+        if (canonical !== exercise.type) {
+            this.addIssue(report, 'warning', 'type-alias', `${path}.type`, `Exercise type "${exercise.type}" should be "${canonical}"`);
+        }
+
+        // Optional hand-set difficulty: 1 (easiest) to 5; without it, adaptive difficulty starts from the type
+        if (exercise.difficulty !== undefined && (!Number.isInteger(exercise.difficulty) || exercise.difficulty < 1 || exercise.difficulty > 5)) {
+            this.addIssue(report, 'error', 'invalid-difficulty', `${path}.difficulty`, 'Difficulty must be a whole number from 1 to 5');
+        }
+        if (exercise.skill !== undefined && (typeof exercise.skill !== 'string' || !exercise.skill.trim())) {
+            this.addIssue(report, 'error', 'wrong-type', `${path}.skill`, 'Skill tag must be a non-empty string');
+        }
+
+        const answerShape = EXERCISE_TYPES[canonical].answer;
+
+        // Comprehension carries its prompts on the sub-questions instead
+        if (answerShape !== 'subquestions' && (typeof exercise.question !== 'string' || !exercise.question.trim())) {
+            this.addIssue(report, 'error', 'missing-field', `${path}.question`, 'Missing question text');
+        }
+
+        if (answerShape === 'subquestions') {
+            this.checkSubquestions(exercise, path, report);
+        } else if (answerShape === 'pairs' && Array.isArray(exercise.pairs)) {
+            this.checkPairAnswers(exercise, path, report);
+        } else {
+            this.checkOptionAnswer(exercise, path, report);
+        }
+    }
+
+    // Assessment question banks: each `draw` rule needs that many questions tagged with its skill,
+    // and a question whose tag no rule draws is never served
+    checkDrawRules(section, path, report) {
+        if (!Array.isArray(section?.draw) || !Array.isArray(section.questions)) return;
+
+        const drawn = new Set();
+        section.draw.forEach((rule, index) => {
+            const rulePath = `${path}.draw[${index}]`;
+            if (drawn.has(rule?.skill)) {
+                this.addIssue(report, 'error', 'invalid-draw', rulePath, `Skill "${rule.skill}" is drawn twice`);
+            }
+            drawn.add(rule?.skill);
+
+            // A missing count is reported by the shape check
+            if (rule?.count === undefined) return;
+            const tagged = section.questions.filter(question => question?.skill === rule.skill).length;
+            if (!Number.isInteger(rule.count) || rule.count < 1) {
+                this.addIssue(report, 'error', 'invalid-draw', `${rulePath}.count`, 'Count must be a whole number of at least 1');
+            } else if (rule.count > tagged) {
+                this.addIssue(report, 'error', 'invalid-draw', `${rulePath}.count`, `Draws ${rule.count} "${rule.skill}" question(s) but the bank has ${tagged}`);
+            }
+        });
+
+        section.questions.forEach((question, qIndex) => {
+            if (question && !drawn.has(question.skill)) {
+                this.addIssue(report, 'warning', 'undrawn-question', `${path}.questions[${qIndex}]`, question.skill
+                    ? `No draw rule for skill "${question.skill}", so this question is never served`
+                    : 'Question has no skill tag, so this section\'s draw rules never serve it');
+            }
+        });
+    }
+
+    // Single-answer exercises: `answer` must be one of `options`
+    checkOptionAnswer(exercise, path, report) {
+        if (!Array.isArray(exercise.options) || exercise.options.length === 0) {
+            this.addIssue(report, 'error', 'missing-field', `${path}.options`, 'Missing options');
+            return;
+        }
+
+        if (typeof exercise.answer !== 'string' || !exercise.answer.trim()) {
+            this.addIssue(report, 'error', 'missing-field', `${path}.answer`, 'Missing answer');
+            return;
+        }
+
+        if (!exercise.options.includes(exercise.answer)) {
+            this.addIssue(report, 'error', 'answer-not-in-options', `${path}.answer`, `Answer "${exercise.answer}" is not one of the options`);
+        }
+
+        const duplicates = exercise.options.filter((option, index) => exercise.options.indexOf(option) !== index);
+        if (duplicates.length > 0) {
+            this.addIssue(report, 'warning', 'duplicate-option', `${path}.options`, `Repeated option(s): ${[...new Set(duplicates)].join(', ')}`);
+        }
+    }
+
+    // Matching questions: answer[i] must be one of pairs[i].options
+    checkPairAnswers(exercise, path, report) {
+        if (!Array.isArray(exercise.answer) || exercise.answer.length !== exercise.pairs.length) {
+            this.addIssue(report, 'error', 'answer-shape', `${path}.answer`, `Expected ${exercise.pairs.length} answers, one per pair`);
+            return;
+        }
+
+        exercise.pairs.forEach((pair, index) => {
+            if (!Array.isArray(pair.options) || !pair.options.includes(exercise.answer[index])) {
+                this.addIssue(report, 'error', 'answer-not-in-options', `${path}.pairs[${index}]`, `Answer "${exercise.answer[index]}" is not one of the options for "${pair.item}"`);
+            }
+        });
+    }
+
+    // Comprehension questions: each sub-question has its own options/answer
+    checkSubquestions(exercise, path, report) {
+        if (!Array.isArray(exercise.questions) || exercise.questions.length === 0) {
+            this.addIssue(report, 'error', 'missing-field', `${path}.questions`, 'Comprehension has no sub-questions');
+            return;
+        }
+
+        if (typeof exercise.passage !== 'string' || !exercise.passage.trim()) {
+            this.addIssue(report, 'error', 'missing-field', `${path}.passage`, 'Comprehension has no passage');
+        }
+
+        exercise.questions.forEach((question, index) => {
+            this.checkOptionAnswer(question, `${path}.questions[${index}]`, report);
+
+            if (Array.isArray(exercise.answer) && exercise.answer[index] !== question.answer) {
+                this.addIssue(report, 'error', 'answer-mismatch', `${path}.answer[${index}]`, `Top-level answer "${exercise.answer[index]}" differs from sub-question answer "${question.answer}"`);
+            }
+        });
+    }
+
+    // ========== MASTERY ==========
+
+    // manifest.mastery: { passingScore, modules: { <module>: passingScore } }
+    validateMastery(mastery, report) {
+        if (!mastery) return;
+
+        this.checkPercentage(mastery.passingScore, 'manifest.mastery.passingScore', report);
+        Object.entries(mastery.modules || {}).forEach(([module, score]) => {
+            const path = `manifest.mastery.modules.${module}`;
+            if (!MODULE_SCHEMAS[module]) {
+                this.addIssue(report, 'error', 'unknown-module', path, `Unknown module "${module}"`);
+            }
+            this.checkPercentage(score, path, report);
+        });
+    }
+
+    checkPercentage(value, path, report) {
+        if (value !== undefined && (typeof value !== 'number' || value < 0 || value > 100)) {
+            this.addIssue(report, 'error', 'invalid-score', path, 'Expected a percentage from 0 to 100');
+        }
+    }
+
+    // ========== PREREQUISITES ==========
+
+    // Rule-level checks shared by manifest and lesson rules
+    checkPrerequisiteRule(rule, path, report) {
+        // Non-objects are already reported by the prerequisite shape check
+        if (!rule || typeof rule !== 'object') return;
+
+        if (rule.module && !MODULE_SCHEMAS[rule.module]) {
+            this.addIssue(report, 'error', 'invalid-prerequisite', `${path}.module`, `Unknown module "${rule.module}"`);
+        }
+        if (!rule.lesson && !PREREQUISITE_CONDITIONS.some(condition => rule[condition] !== undefined)) {
+            this.addIssue(report, 'error', 'invalid-prerequisite', path, `Prerequisite needs a lesson or one of ${PREREQUISITE_CONDITIONS.join(', ')}`);
+        }
+        ['minProgress', 'minScore'].forEach(field => {
+            if (rule[field] !== undefined && (typeof rule[field] !== 'number' || rule[field] < 0 || rule[field] > 100)) {
+                this.addIssue(report, 'error', 'invalid-prerequisite', `${path}.${field}`, `${field} must be a number from 0 to 100`);
+            }
+        });
+    }
+
+    // Manifest rules (module -> rules), module-level cycles and lesson references
+    validatePrerequisiteGraph(prerequisites, report) {
+        const graph = {};
+
+        Object.entries(prerequisites || {}).forEach(([module, rules]) => {
+            const path = `manifest.prerequisites.${module}`;
+            if (!MODULE_SCHEMAS[module]) {
+                this.addIssue(report, 'error', 'unknown-module', path, `Unknown module "${module}"`);
+                return;
+            }
+            if (!Array.isArray(rules)) {
+                this.addIssue(report, 'error', 'wrong-type', path, 'Expected an array of prerequisites');
+                return;
+            }
+
+            graph[module] = [];
+            rules.forEach((rule, index) => {
+                const rulePath = `${path}[${index}]`;
+                this.checkShape(rule, 'prerequisite', rulePath, report);
+                this.checkPrerequisiteRule(rule, rulePath, report);
+
+                // Lesson ids differ per language, so lesson rules belong in the packs
+                if (rule?.lesson) {
+                    this.addIssue(report, 'error', 'invalid-prerequisite', `${rulePath}.lesson`, 'Lesson prerequisites go in the lesson\'s own "prerequisites" (lesson ids are per language)');
+                }
+                if (!rule?.module) {
+                    this.addIssue(report, 'error', 'invalid-prerequisite', `${rulePath}.module`, 'Module prerequisites must name a module');
+                } else {
+                    graph[module].push(rule.module);
+                }
+            });
+        });
+
+        const cycle = this.findCycle(graph);
+        if (cycle) {
+            this.addIssue(report, 'error', 'prerequisite-cycle', 'manifest.prerequisites', `Modules require each other: ${cycle.join(' → ')}`);
+        }
+
+        this.lessonPrerequisites.forEach(({ rule, module, language, lessonId, path }) => {
+            if (!rule?.lesson) return;
+
+            const targetModule = rule.module || module;
+            const target = this.seenLessonIds.get(rule.lesson);
+            if (!target) {
+                this.addIssue(report, 'error', 'invalid-prerequisite', `${path}.lesson`, `Unknown lesson "${rule.lesson}"`);
+            } else if (!target.startsWith(`${targetModule}/${language}.`)) {
+                this.addIssue(report, 'error', 'invalid-prerequisite', `${path}.lesson`, `Lesson "${rule.lesson}" is not in ${targetModule}/${language}`);
+            } else if (rule.lesson === lessonId) {
+                this.addIssue(report, 'error', 'prerequisite-cycle', `${path}.lesson`, 'A lesson cannot require itself');
+            }
+        });
+    }
+
+    // ========== ACHIEVEMENTS ==========
+
+    // manifest.achievements: { xp, levels, ranks, badges }. Runs after every pack is loaded
+    // so badge lesson references can be resolved.
+    validateAchievements(achievements, report) {
+        if (!achievements) return;
+
+        Object.entries(achievements.xp || {}).forEach(([source, amount]) => {
+            const path = `manifest.achievements.xp.${source}`;
+            if (!XP_SOURCES.includes(source)) {
+                this.addIssue(report, 'error', 'invalid-achievement', path, `Unknown XP source "${source}" (expected ${XP_SOURCES.join(', ')})`);
+            }
+            if (typeof amount !== 'number' || amount < 0) {
+                this.addIssue(report, 'error', 'invalid-achievement', path, 'XP must be a number of 0 or more');
+            }
+        });
+
+        const levels = achievements.levels || [0];
+        if (!Array.isArray(levels) || levels[0] !== 0 || levels.some((xp, index) => typeof xp !== 'number' || (index > 0 && xp <= levels[index - 1]))) {
+            this.addIssue(report, 'error', 'invalid-achievement', 'manifest.achievements.levels', 'Levels must be rising XP thresholds starting at 0');
+        }
+
+        let previousRank = 0;
+        LEARNER_RANKS.forEach(rank => {
+            const level = achievements.ranks?.[rank];
+            if (level === undefined) return;
+            if (!Number.isInteger(level) || level < 1 || level <= previousRank) {
+                this.addIssue(report, 'error', 'invalid-achievement', `manifest.achievements.ranks.${rank}`, `Rank levels must be whole numbers that rise in the order ${LEARNER_RANKS.join(', ')}`);
+            }
+            previousRank = Math.max(previousRank, level);
+        });
+        Object.keys(achievements.ranks || {}).forEach(rank => {
+            if (!LEARNER_RANKS.includes(rank)) {
+                this.addIssue(report, 'error', 'invalid-achievement', `manifest.achievements.ranks.${rank}`, `Unknown rank "${rank}"`);
+            }
+        });
+
+        if (!Array.isArray(achievements.badges)) {
+            if (achievements.badges !== undefined) {
+                this.addIssue(report, 'error', 'wrong-type', 'manifest.achievements.badges', 'Expected an array of badges');
+            }
+            return;
+        }
+
+        const seenBadges = new Set();
+        achievements.badges.forEach((badge, index) => {
+            const path = `manifest.achievements.badges[${index}]`;
+            this.checkShape(badge, 'badge', path, report);
+            if (!badge || typeof badge !== 'object') return;
+
+            if (seenBadges.has(badge.id)) {
+                this.addIssue(report, 'error', 'duplicate-id', `${path}.id`, `Duplicate badge id "${badge.id}"`);
+            }
+            seenBadges.add(badge.id);
+            this.checkBadgeRule(badge, `${path}.when`, levels.length, report);
+        });
+    }
+
+    checkBadgeRule(badge, path, maxLevel, report) {
+        const rule = badge.when;
+        if (!rule || typeof rule !== 'object') return;
+
+        const conditions = Object.keys(rule);
+        if (conditions.length === 0) {
+            this.addIssue(report, 'error', 'invalid-achievement', path, `Badge needs at least one of ${BADGE_CONDITIONS.join(', ')}`);
+        }
+        conditions.filter(condition => !BADGE_CONDITIONS.includes(condition)).forEach(condition => {
+            this.addIssue(report, 'error', 'invalid-achievement', `${path}.${condition}`, `Unknown badge condition "${condition}"`);
+        });
+
+        (Array.isArray(rule.lessons) ? rule.lessons : []).forEach(lessonId => {
+            const target = this.seenLessonIds.get(lessonId);
+            if (!target) {
+                this.addIssue(report, 'error', 'invalid-achievement', `${path}.lessons`, `Unknown lesson "${lessonId}"`);
+            } else if (badge.language && !target.includes(`/${badge.language}.`)) {
+                this.addIssue(report, 'error', 'invalid-achievement', `${path}.lessons`, `Lesson "${lessonId}" is not a ${badge.language} lesson`);
+            }
+        });
+        (Array.isArray(rule.modulesCompleted) ? rule.modulesCompleted : []).forEach(module => {
+            if (!MODULE_SCHEMAS[module]) {
+                this.addIssue(report, 'error', 'unknown-module', `${path}.modulesCompleted`, `Unknown module "${module}"`);
+            }
+        });
+        if (typeof rule.level === 'number' && rule.level > maxLevel) {
+            this.addIssue(report, 'warning', 'invalid-achievement', `${path}.level`, `Level ${rule.level} cannot be reached (highest is ${maxLevel})`);
+        }
+    }
+
+    // ========== GRADING ==========
+
+    // manifest.grading: { default, languages: { <language>: policy } }
+    validateGrading(grading, languages = [], report) {
+        if (grading === undefined) return;
+        if (!grading || typeof grading !== 'object') {
+            this.addIssue(report, 'error', 'wrong-type', 'manifest.grading', 'Expected a grading object');
+            return;
+        }
+
+        if (grading.default !== undefined) this.checkGradingPolicy(grading.default, 'manifest.grading.default', report);
+        Object.entries(grading.languages || {}).forEach(([language, policy]) => {
+            const path = `manifest.grading.languages.${language}`;
+            if (Array.isArray(languages) && !languages.includes(language)) {
+                this.addIssue(report, 'warning', 'invalid-grading', path, `Language "${language}" is not in the manifest`);
+            }
+            this.checkGradingPolicy(policy, path, report);
+        });
+    }
+
+    checkGradingPolicy(policy, path, report) {
+        this.checkShape(policy, 'gradingPolicy', path, report);
+        if (!policy || typeof policy !== 'object') return;
+
+        if (policy.accents !== undefined && !ACCENT_MODES.includes(policy.accents)) {
+            this.addIssue(report, 'error', 'invalid-grading', `${path}.accents`, `Expected one of ${ACCENT_MODES.join(', ')}`);
+        }
+        if (policy.punctuation !== undefined && !PUNCTUATION_MODES.includes(policy.punctuation)) {
+            this.addIssue(report, 'error', 'invalid-grading', `${path}.punctuation`, `Expected one of ${PUNCTUATION_MODES.join(', ')}`);
+        }
+        if (typeof policy.typoRate === 'number' && (policy.typoRate < 0 || policy.typoRate > 1)) {
+            this.addIssue(report, 'error', 'invalid-grading', `${path}.typoRate`, 'Expected a rate from 0 to 1');
+        }
+        if (typeof policy.maxTypos === 'number' && (!Number.isInteger(policy.maxTypos) || policy.maxTypos < 0)) {
+            this.addIssue(report, 'error', 'invalid-grading', `${path}.maxTypos`, 'Expected a whole number of 0 or more');
+        }
+    }
+
+    // ========== SKILLS ==========
+
+    // manifest.skills: [{ id, name, language, module, when, lessons, practice }]. Runs after every
+    // pack is loaded so lesson and section references can be resolved.
+    validateSkills(skills, report) {
+        if (skills === undefined) return;
+        if (!Array.isArray(skills)) {
+            this.addIssue(report, 'error', 'wrong-type', 'manifest.skills', 'Expected an array of skills');
+            return;
+        }
+
+        const seenSkills = new Set();
+        skills.forEach((skill, index) => {
+            const path = `manifest.skills[${index}]`;
+            this.checkShape(skill, 'skill', path, report);
+            if (!skill || typeof skill !== 'object') return;
+
+            if (seenSkills.has(skill.id)) {
+                this.addIssue(report, 'error', 'duplicate-id', `${path}.id`, `Duplicate skill id "${skill.id}"`);
+            }
+            seenSkills.add(skill.id);
+
+            if (skill.module && !MODULE_SCHEMAS[skill.module]) {
+                this.addIssue(report, 'error', 'unknown-module', `${path}.module`, `Unknown module "${skill.module}"`);
+            }
+            this.checkSkillLessons(skill.lessons, skill.language, `${path}.lessons`, report);
+            (Array.isArray(skill.practice) ? skill.practice : []).forEach(type => {
+                if (!PRACTICE_TYPES.includes(type)) {
+                    this.addIssue(report, 'error', 'invalid-skill', `${path}.practice`, `Unknown practice type "${type}" (expected ${PRACTICE_TYPES.join(', ')})`);
+                }
+            });
+            this.checkSkillRule(skill, `${path}.when`, report);
+        });
+    }
+
+    checkSkillRule(skill, path, report) {
+        const rule = skill.when;
+        if (!rule || typeof rule !== 'object') return;
+
+        const conditions = Object.keys(rule);
+        if (conditions.length === 0) {
+            this.addIssue(report, 'error', 'invalid-skill', path, `Skill needs at least one of ${SKILL_CONDITIONS.join(', ')}`);
+        }
+        conditions.filter(condition => !SKILL_CONDITIONS.includes(condition)).forEach(condition => {
+            this.addIssue(report, 'error', 'invalid-skill', `${path}.${condition}`, `Unknown skill condition "${condition}"`);
+        });
+        if (conditions.length > 0 && !SKILL_ANSWER_CONDITIONS.some(condition => rule[condition]) && !rule.sections) {
+            this.addIssue(report, 'warning', 'invalid-skill', path, 'Skill matches no answers or sections');
+        }
+
+        this.checkSkillLessons(rule.lessons, skill.language, `${path}.lessons`, report);
+        (Array.isArray(rule.types) ? rule.types : []).forEach(type => {
+            if (!normalizeExerciseType(type) && !PRACTICE_TYPES.includes(type)) {
+                this.addIssue(report, 'error', 'invalid-skill', `${path}.types`, `Unknown exercise or practice type "${type}"`);
+            }
+        });
+        (Array.isArray(rule.sections) ? rule.sections : []).forEach(name => {
+            const paths = this.seenSections.get(name) || [];
+            if (!paths.some(sectionPath => sectionPath.includes(`/${skill.language}.`))) {
+                this.addIssue(report, 'error', 'invalid-skill', `${path}.sections`, `No ${skill.language} assessment has a section named "${name}"`);
+            }
+        });
+    }
+
+    checkSkillLessons(lessons, language, path, report) {
+        (Array.isArray(lessons) ? lessons : []).forEach(lessonId => {
+            const target = this.seenLessonIds.get(lessonId);
+            if (!target) {
+                this.addIssue(report, 'error', 'invalid-skill', path, `Unknown lesson "${lessonId}"`);
+            } else if (language && !target.includes(`/${language}.`)) {
+                this.addIssue(report, 'error', 'invalid-skill', path, `Lesson "${lessonId}" is not a ${language} lesson`);
+            }
+        });
+    }
+
+    // Depth-first search; returns the first cycle found as a list of modules, or null
+    findCycle(graph) {
+        const state = {};
+        const stack = [];
+
+        const visit = (node) => {
+            if (state[node] === 'done') return null;
+            if (state[node] === 'active') return [...stack.slice(stack.indexOf(node)), node];
+
+            state[node] = 'active';
+            stack.push(node);
+            for (const next of graph[node] || []) {
+                const cycle = visit(next);
+                if (cycle) return cycle;
+            }
+            stack.pop();
+            state[node] = 'done';
+            return null;
+        };
+
+        for (const node of Object.keys(graph)) {
+            const cycle = visit(node);
+            if (cycle) return cycle;
+        }
+        return null;
+    }
+
+    // ========== STROKE TEMPLATES ==========
+
+    // Stroke packs map letters (and combining signs under `marks`) to strokes:
+    // arrays of [x, y] points in a 0-100 box, at least two points each
+    validateStrokePack(pack, path, report) {
+        if (!pack || typeof pack.letters !== 'object' || Array.isArray(pack.letters)) {
+            this.addIssue(report, 'error', 'pack-invalid', path, 'Stroke pack has no letters map');
+            return;
+        }
+
+        Object.entries(pack.letters).forEach(([letter, template]) => {
+            this.checkStrokes(template?.strokes, `${path}.letters.${letter}`, report);
+            report.stats.strokeTemplates++;
+        });
+
+        Object.entries(pack.marks || {}).forEach(([mark, template]) => {
+            const markPath = `${path}.marks.${mark}`;
+            if (!['top', 'bottom', 'left', 'right'].includes(template?.place)) {
+                this.addIssue(report, 'error', 'invalid-mark', `${markPath}.place`, `Unknown mark placement "${template?.place}"`);
+            }
+            if (typeof template?.size !== 'number' || template.size <= 0 || template.size >= 100) {
+                this.addIssue(report, 'error', 'invalid-mark', `${markPath}.size`, 'Mark size must be a number between 0 and 100');
+            }
+            if (!['before', 'after'].includes(template?.order)) {
+                this.addIssue(report, 'error', 'invalid-mark', `${markPath}.order`, `Mark order must be "before" or "after"`);
+            }
+            this.checkStrokes(template?.strokes, markPath, report);
+        });
+    }
+
+    checkStrokes(strokes, path, report) {
+        if (!Array.isArray(strokes) || strokes.length === 0) {
+            this.addIssue(report, 'error', 'missing-field', `${path}.strokes`, 'Missing strokes');
+            return;
+        }
+
+        strokes.forEach((stroke, index) => {
+            const strokePath = `${path}.strokes[${index}]`;
+            if (!Array.isArray(stroke) || stroke.length < 2) {
+                this.addIssue(report, 'error', 'invalid-stroke', strokePath, 'A stroke needs at least two points');
+                return;
+            }
+
+            const badPoint = stroke.find(point => !Array.isArray(point) || point.length !== 2 ||
+                point.some(value => typeof value !== 'number' || value < 0 || value > 100));
+            if (badPoint) {
+                this.addIssue(report, 'error', 'invalid-stroke', strokePath, `Point ${JSON.stringify(badPoint)} is not an [x, y] pair within 0-100`);
+            }
+        });
+    }
+
+    // ========== FIELD CHECKS ==========
+
+    // Check an object against a field spec map (module schema or item shape)
+    checkFields(target, spec, path, report) {
+        Object.entries(spec).forEach(([field, rawType]) => {
+            const optional = rawType.endsWith('?');
+            const type = optional ? rawType.slice(0, -1) : rawType;
+            const value = target[field];
+            const fieldPath = `${path}.${field}`;
+
+            if (value === undefined || value === null) {
+                if (!optional) {
+                    // Missing speakText is reported on its own so TTS gaps are easy to find
+                    const code = field === 'speakText' ? 'missing-speak-text' : 'missing-field';
+                    const severity = field === 'speakText' ? 'warning' : 'error';
+                    this.addIssue(report, severity, code, fieldPath, `Missing ${field}`);
+                }
+                return;
+            }
+
+            this.checkValue(value, type, fieldPath, report);
+        });
+    }
+
+    // Check one value against a type spec: primitives, arrays, list:/map:/shape: references
+    checkValue(value, type, path, report) {
+        if (type.startsWith('list:')) {
+            if (!Array.isArray(value)) {
+                this.addIssue(report, 'error', 'wrong-type', path, 'Expected an array');
+                return;
+            }
+            const shape = type.slice(5);
+            // Exercises are checked separately by validateExercise (their answer shape varies)
+            if (shape === 'exercise') return;
+            value.forEach((item, index) => this.checkShape(item, shape, `${path}[${index}]`, report));
+            return;
+        }
+
+        if (type.startsWith('map:')) {
+            if (typeof value !== 'object' || Array.isArray(value)) {
+                this.addIssue(report, 'error', 'wrong-type', path, 'Expected an object map');
+                return;
+            }
+            const shape = type.slice(4);
+            Object.entries(value).forEach(([key, item]) => this.checkShape(item, shape, `${path}.${key}`, report));
+            return;
+        }
+
+        if (type.startsWith('shape:')) {
+            this.checkShape(value, type.slice(6), path, report);
+            return;
+        }
+
+        if (type.endsWith('[]')) {
+            if (!Array.isArray(value)) {
+                this.addIssue(report, 'error', 'wrong-type', path, `Expected ${type}`);
+                return;
+            }
+            const itemType = type.slice(0, -2);
+            if (itemType !== 'object' && value.some(item => typeof item !== itemType)) {
+                this.addIssue(report, 'error', 'wrong-type', path, `Expected every item to be a ${itemType}`);
+            }
+            return;
+        }
+
+        if (typeof value !== type) {
+            this.addIssue(report, 'error', 'wrong-type', path, `Expected ${type}, got ${typeof value}`);
+        }
+    }
+
+    // Check a named item shape (or a primitive name such as 'string')
+    checkShape(item, shape, path, report) {
+        if (!ITEM_SHAPES[shape]) {
+            this.checkValue(item, shape, path, report);
+            return;
+        }
+
+        if (!item || typeof item !== 'object') {
+            this.addIssue(report, 'error', 'wrong-type', path, `Expected ${shape} object`);
+            return;
+        }
+
+        this.checkFields(item, ITEM_SHAPES[shape], path, report);
+
+        if (SPOKEN_SHAPES.includes(shape) && typeof item.speakText === 'string' && !item.speakText.trim()) {
+            this.addIssue(report, 'warning', 'missing-speak-text', `${path}.speakText`, 'Empty speakText');
+        }
+    }
+
+    // ========== REPORTING ==========
+
+    createReport() {
+        return {
+            valid: true,
+            errors: [],
+            warnings: [],
+            stats: { packs: 0, lessons: 0, exercises: 0, strokeTemplates: 0 }
+        };
+    }
+
+    addIssue(report, severity, code, path, message) {
+        const issue = { severity, code, path, message };
+        if (severity === 'error') {
+            report.errors.push(issue);
+        } else {
+            report.warnings.push(issue);
+        }
+    }
+
+    finishReport(report) {
+        report.valid = report.errors.length === 0;
+        return report;
+    }
+
+    // Load the manifest and packs over HTTP and validate them (browser console helper)
+    async validateRemote(baseUrl) {
+        try {
+            baseUrl = new URL(baseUrl, window.location.href).href;
+            const manifestResponse = await fetch(new URL('manifest.json', baseUrl));
+            const manifest = await manifestResponse.json();
+
+            const report = await this.validateCurriculum(manifest, async (module, language, entry) => {
+                const response = await fetch(new URL(entry.path, baseUrl));
+                if (!response.ok) throw new Error(`HTTP ${response.status}`);
+                return response.json();
+            });
+
+            console.log(report.valid ? '✅ Curriculum valid' : '❌ Curriculum has errors', report);
+            return report;
+        } catch (error) {
+            console.error('❌ Curriculum validation failed:', error);
+            return { valid: false, errors: [{ severity: 'error', code: 'load-failed', path: baseUrl, message: error.message }], warnings: [] };
+        }
+    }
+}
+
+// Create singleton instance
+const curriculumValidator = new CurriculumValidator();
+
+if (typeof window !== 'undefined') {
+    window.curriculumValidator = curriculumValidator;
+}
+
+export { CurriculumValidator };
+export default curriculumValidator;
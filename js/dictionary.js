@@ -1,4 +1,7 @@
 // js/dictionary.js - COMPLETELY ISOLATED AI DICTIONARY
+import transliterator from './transliteration.js';
+import achievementEngine from './achievements.js';
+
 class Dictionary {
     constructor() {
         console.log('📖 Initializing Isolated AI Dictionary...');
@@ -298,6 +301,9 @@ class Dictionary {
                     this.performSearch();
                 }
             });
+            
+            // Tamil/Hindi searches can be typed in Latin letters
+            transliterator.attachInput(input, () => document.getElementById('dictSourceLang')?.value || this.sourceLang, input.parentElement);
         }
         
         if (sourceLang) {
@@ -369,6 +375,7 @@ class Dictionary {
             const result = await this.lookup(word, this.sourceLang, this.targetLang);
             this.displayResult(result);
             this.addToHistory(word, this.sourceLang, this.targetLang);
+            this.recordLookup();
         } catch (error) {
             console.error('Search error:', error);
             this.showError(`Could not process "${word}". Please try again or check your internet connection.`);
@@ -522,6 +529,7 @@ Be precise and accurate.`;
                 <div class="result-translation">
                     <div class="translation-label">🌐 ${targetLangName} Translation:</div>
                     <div class="translation-text">${result.translation.text}</div>
+                    ${transliterator.renderLine(result.translation.text, result.targetLang)}
                     <div class="translation-meta">
                         <span>🤖 Dictionary AI (Isolated)</span>
                         <span>✓ ${Math.round((result.translation.confidence || 0.95) * 100)}% Accurate</span>
@@ -545,7 +553,7 @@ Be precise and accurate.`;
                 <div class="result-examples">
                     <div class="examples-label">💡 Example Sentences:</div>
                     <ul class="examples-list">
-                        ${result.examples.map(ex => `<li>${ex}</li>`).join('')}
+                        ${result.examples.map(ex => `<li>${ex}${transliterator.renderLine(ex, result.targetLang)}</li>`).join('')}
                     </ul>
                 </div>
             `;
@@ -636,6 +644,18 @@ Be precise and accurate.`;
         });
     }
     
+    // Lookups earn XP and count toward the Word Explorer badge (signed-in learners only)
+    recordLookup() {
+        try {
+            const userId = JSON.parse(sessionStorage.getItem('userProfile') || '{}').userId;
+            if (userId) {
+                achievementEngine.record(userId, { source: 'dictionary' });
+            }
+        } catch (error) {
+            console.warn('⚠️ Could not record dictionary lookup:', error.message);
+        }
+    }
+    
     // Search history
     addToHistory(word, sourceLang, targetLang) {
         let history = JSON.parse(localStorage.getItem('dictionaryHistory') || '[]');
@@ -0,0 +1,280 @@
+// js/drag-drop.js - Drag-and-drop for word ordering and matching exercises
+// Two behaviours on top of markup the caller renders:
+//   sortable - word tiles moved from a bank into a sentence line and reordered there
+//   pairing  - answer chips dropped onto the rows they belong to
+// Dragging uses pointer events, so mouse, touch and pen all work (tiles set touch-action: none so a
+// drag does not scroll the page). Every tile and chip is a button, so tapping or pressing Enter/Space
+// works too; in a sentence line the arrow keys move the focused word, and Delete sends it back.
+// Changes are announced in a polite live region for screen readers.
+
+class DragDropWidgets {
+    constructor() {
+        this.threshold = 6;     // pixels a press moves before it becomes a drag
+        this.liveRegion = null;
+
+        console.log('🖐️ Drag & Drop initialized');
+    }
+
+    // ========== ANNOUNCEMENTS ==========
+
+    announce(message) {
+        if (!this.liveRegion) {
+            this.liveRegion = document.createElement('div');
+            this.liveRegion.setAttribute('aria-live', 'polite');
+            this.liveRegion.style.cssText = 'position: absolute; width: 1px; height: 1px; overflow: hidden; clip: rect(0 0 0 0); white-space: nowrap;';
+            document.body.appendChild(this.liveRegion);
+        }
+        this.liveRegion.textContent = message;
+    }
+
+    label(element) {
+        return element.dataset.word ?? element.dataset.value ?? element.textContent.trim();
+    }
+
+    // ========== POINTER DRAGGING ==========
+
+    // Makes `item` draggable; onDrop(elementUnderPointer, { x, y }) runs where it is let go.
+    // A press that hardly moves stays a click. Call before adding the item's own click handler.
+    draggable(item, onDrop) {
+        item.style.touchAction = 'none';
+
+        item.addEventListener('pointerdown', (event) => {
+            delete item.dataset.dragged;
+            if (event.button !== 0 || item.disabled) return;
+            const start = { x: event.clientX, y: event.clientY };
+            const rect = item.getBoundingClientRect();
+            let ghost = null;
+
+            const move = (moveEvent) => {
+                const dx = moveEvent.clientX - start.x;
+                const dy = moveEvent.clientY - start.y;
+                if (!ghost) {
+                    if (Math.hypot(dx, dy) < this.threshold) return;
+                    ghost = item.cloneNode(true);
+                    ghost.removeAttribute('id');
+                    ghost.setAttribute('aria-hidden', 'true');
+                    ghost.style.cssText += `; position: fixed; left: ${rect.left}px; top: ${rect.top}px; width: ${rect.width}px; margin: 0; pointer-events: none; z-index: 10000; opacity: 0.9; box-shadow: 0 6px 16px rgba(0, 0, 0, 0.25);`;
+                    document.body.appendChild(ghost);
+                    item.style.opacity = '0.4';
+                }
+                ghost.style.transform = `translate(${dx}px, ${dy}px)`;
+            };
+
+            const end = (endEvent) => {
+                item.removeEventListener('pointermove', move);
+                item.removeEventListener('pointerup', end);
+                item.removeEventListener('pointercancel', end);
+                if (!ghost) return;
+
+                ghost.remove();
+                item.style.opacity = '';
+                // The click a mouse sends right after a drag is not a tap. Touch sends none, so the
+                // mark is dropped once this pointerup is handled, or it would swallow the next tap.
+                item.dataset.dragged = 'true';
+                setTimeout(() => delete item.dataset.dragged, 0);
+                if (endEvent.type === 'pointerup') {
+                    const point = { x: endEvent.clientX, y: endEvent.clientY };
+                    const target = document.elementFromPoint(point.x, point.y);
+                    if (target) onDrop(target, point);
+                }
+            };
+
+            item.setPointerCapture(event.pointerId);
+            item.addEventListener('pointermove', move);
+            item.addEventListener('pointerup', end);
+            item.addEventListener('pointercancel', end);
+        });
+
+        item.addEventListener('click', (event) => {
+            if (!item.dataset.dragged) return;
+            delete item.dataset.dragged;
+            event.stopImmediatePropagation();
+            event.preventDefault();
+        });
+    }
+
+    // ========== WORD ORDER ==========
+
+    // bank, line: containers; tiles (buttons matching `selector`) start in the bank.
+    // options: { selector, placedClass (added to tiles in the line), onChange }
+    // Returns { clear, place(words) } for the caller's Clear button and restoring answers.
+    sortable(bank, line, options = {}) {
+        const selector = options.selector || '[data-word]';
+        const tilesIn = container => Array.from(container.querySelectorAll(selector));
+
+        const changed = (tile, message) => {
+            tilesIn(bank).concat(tilesIn(line)).forEach(each => {
+                if (options.placedClass) each.classList.toggle(options.placedClass, each.parentElement === line);
+            });
+            if (message) this.announce(message);
+            if (options.onChange) options.onChange();
+            if (tile) tile.focus();
+        };
+        const sentence = () => tilesIn(line).map(tile => this.label(tile)).join(' ');
+
+        // The tile in the line the pointer is before (reading order), or null for the end
+        const tileAt = (point, dragged) => tilesIn(line).filter(tile => tile !== dragged).find(tile => {
+            const rect = tile.getBoundingClientRect();
+            return point.y < rect.top || (point.y <= rect.bottom && point.x < rect.left + rect.width / 2);
+        }) || null;
+
+        tilesIn(bank).forEach(tile => {
+            this.draggable(tile, (target, point) => {
+                if (line.contains(target)) {
+                    line.insertBefore(tile, tileAt(point, tile));
+                    changed(tile, `${this.label(tile)} placed. Sentence: ${sentence()}`);
+                } else if (bank.contains(target) && tile.parentElement !== bank) {
+                    bank.appendChild(tile);
+                    changed(tile, `${this.label(tile)} removed. Sentence: ${sentence() || 'empty'}`);
+                }
+            });
+
+            tile.addEventListener('click', () => {
+                const placing = tile.parentElement !== line;
+                (placing ? line : bank).appendChild(tile);
+                changed(tile, `${this.label(tile)} ${placing ? 'added' : 'removed'}. Sentence: ${sentence() || 'empty'}`);
+            });
+
+            tile.addEventListener('keydown', (event) => {
+                if (tile.parentElement !== line) return;
+                const tiles = tilesIn(line);
+                const index = tiles.indexOf(tile);
+                const moves = {
+                    ArrowLeft: index - 1,
+                    ArrowUp: index - 1,
+                    ArrowRight: index + 1,
+                    ArrowDown: index + 1,
+                    Home: 0,
+                    End: tiles.length - 1
+                };
+
+                if (event.key === 'Delete' || event.key === 'Backspace') {
+                    event.preventDefault();
+                    bank.appendChild(tile);
+                    changed(tile, `${this.label(tile)} removed. Sentence: ${sentence() || 'empty'}`);
+                } else if (event.key in moves) {
+                    event.preventDefault();
+                    const position = Math.max(0, Math.min(tiles.length - 1, moves[event.key]));
+                    if (position === index) return;
+                    const others = tiles.filter(other => other !== tile);
+                    line.insertBefore(tile, others[position] || null);
+                    changed(tile, `${this.label(tile)} moved to position ${position + 1}. Sentence: ${sentence()}`);
+                }
+            });
+        });
+
+        return {
+            clear: () => {
+                tilesIn(line).forEach(tile => bank.appendChild(tile));
+                changed(null, 'Sentence cleared');
+            },
+            // Puts tiles in the line in this order (each word once, as far as the bank has it)
+            place: (words) => {
+                words.forEach(word => {
+                    const tile = tilesIn(bank).find(candidate => this.label(candidate) === word);
+                    if (tile) line.appendChild(tile);
+                });
+                tilesIn(bank).concat(tilesIn(line)).forEach(each => {
+                    if (options.placedClass) each.classList.toggle(options.placedClass, each.parentElement === line);
+                });
+            }
+        };
+    }
+
+    // ========== MATCHING ==========
+
+    // pool: container of answer chips (buttons with data-value); rows: elements with data-slot, each
+    // holding a `.pair-target` (where a chip sits) with a `.pair-place` button shown while it is empty.
+    // Tap or press a chip to pick it up, then its row's place button; a chip in a row goes back when
+    // tapped. Dropping onto a taken row swaps the chip there back to the pool.
+    // options: { onChange }. Returns { place(chipValue, rowIndex) } for restoring answers.
+    pairing(pool, rows, options = {}) {
+        const rowList = Array.from(rows);
+        let picked = null;
+
+        const chipIn = row => row.querySelector('.pair-target [data-value]');
+        const rowName = row => row.dataset.label || `row ${Number(row.dataset.slot) + 1}`;
+        const refresh = () => {
+            rowList.forEach(row => {
+                row.querySelector('.pair-place').style.display = chipIn(row) ? 'none' : '';
+            });
+        };
+        const pick = (chip) => {
+            if (picked) picked.setAttribute('aria-pressed', 'false');
+            picked = chip;
+            if (chip) {
+                chip.setAttribute('aria-pressed', 'true');
+                this.announce(`${this.label(chip)} picked up. Choose a row to place it.`);
+            }
+        };
+        const place = (chip, row) => {
+            const current = chipIn(row);
+            if (current === chip) return;
+            if (current) pool.appendChild(current);
+            row.querySelector('.pair-target').appendChild(chip);
+            pick(null);
+            refresh();
+            this.announce(`${this.label(chip)} placed on ${rowName(row)}`);
+            if (options.onChange) options.onChange();
+        };
+        const unplace = (chip) => {
+            pool.appendChild(chip);
+            refresh();
+            this.announce(`${this.label(chip)} returned to the answers`);
+            if (options.onChange) options.onChange();
+            chip.focus();
+        };
+
+        Array.from(pool.querySelectorAll('[data-value]')).forEach(chip => {
+            chip.setAttribute('aria-pressed', 'false');
+            this.draggable(chip, (target) => {
+                const row = rowList.find(candidate => candidate.contains(target));
+                if (row) place(chip, row);
+                else if (pool.contains(target) && chip.parentElement !== pool) unplace(chip);
+            });
+
+            chip.addEventListener('click', () => {
+                if (chip.parentElement !== pool) unplace(chip);
+                else pick(picked === chip ? null : chip);
+            });
+            chip.addEventListener('keydown', (event) => {
+                if (event.key === 'Escape' && picked) {
+                    pick(null);
+                    this.announce('Cancelled');
+                }
+            });
+        });
+
+        rowList.forEach(row => {
+            row.querySelector('.pair-place').addEventListener('click', () => {
+                if (!picked) {
+                    this.announce('Pick an answer first');
+                    return;
+                }
+                const chip = picked;
+                place(chip, row);
+                chip.focus();
+            });
+        });
+        refresh();
+
+        return {
+            place: (value, rowIndex) => {
+                const chip = Array.from(pool.querySelectorAll('[data-value]')).find(candidate => candidate.dataset.value === value);
+                const row = rowList[rowIndex];
+                if (!chip || !row || chipIn(row)) return;
+                row.querySelector('.pair-target').appendChild(chip);
+                refresh();
+            }
+        };
+    }
+}
+
+// Create singleton instance
+const dragDrop = new DragDropWidgets();
+
+if (typeof window !== 'undefined') {
+    window.dragDrop = dragDrop;
+}
+
+export default dragDrop;
@@ -0,0 +1,339 @@
+// js/exercise-registry.js - One renderer, answer collector and grader per exercise type
+// Every page (alphabets, vocabulary, grammar, assessment) draws curriculum exercises through this
+// registry instead of its own markup, so a type looks and grades the same everywhere.
+// A plugin is { render(exercise, context) -> HTML, mount(element, exercise, context),
+// collect(element, exercise) -> answer | null, restore(element, exercise, answer),
+// grade(answer, exercise, language) -> js/answer-grading.js result }; only render and collect are
+// required. `context` is { name (unique per exercise on the page), label (e.g. "Question 2: ") }.
+// Widgets fire a bubbling `change` event on the exercise element when the answer changes.
+// Matching and word-order items are drag-and-drop (js/drag-drop.js), with tap and keyboard fallbacks.
+// Types resolve through normalizeExerciseType, and a type without a plugin throws: an exercise
+// the page cannot draw should be caught in development, not shown as a blank card.
+import answerGrading from './answer-grading.js';
+import dragDrop from './drag-drop.js';
+import { EXERCISE_TYPES, normalizeExerciseType } from './curriculum-schema.js';
+
+// Curriculum text goes into attribute values (option values, data-word)
+function attribute(text) {
+    return String(text ?? '')
+        .replace(/&/g, '&amp;')
+        .replace(/"/g, '&quot;')
+        .replace(/</g, '&lt;');
+}
+
+function questionText(exercise, context, text = exercise.question) {
+    return `
+        <div class="question-text" style="font-size: 18px; margin-bottom: 15px; font-weight: 500;">
+            ${context.label || ''}${text}
+        </div>
+    `;
+}
+
+function optionList(options, name) {
+    return `
+        <div class="options-container" role="radiogroup">
+            ${options.map((option, oIndex) => `
+                <label class="option-label" style="display: block; padding: 12px 15px; margin: 8px 0; background: #f8f9fa; border: 2px solid #e9ecef; border-radius: 10px; cursor: pointer; transition: all 0.3s ease;">
+                    <input type="radio" name="${name}" value="${attribute(option)}" style="margin-right: 10px;">
+                    ${String.fromCharCode(65 + oIndex)}. ${option}
+                </label>
+            `).join('')}
+        </div>
+    `;
+}
+
+function checkOption(element, selector, value) {
+    element.querySelectorAll(selector).forEach(input => {
+        input.checked = input.value === value;
+    });
+}
+
+// ========== WIDGETS ==========
+
+// Pick one of `options` (radio buttons); `note` is shown above the options
+function choiceWidget(note = null) {
+    return {
+        render(exercise, context) {
+            return `
+                ${questionText(exercise, context)}
+                ${note ? `<div class="correction-note" style="background: #fff3cd; padding: 10px; border-radius: 5px; margin-bottom: 15px; font-size: 14px;"><strong>${note}</strong></div>` : ''}
+                ${optionList(exercise.options || [], context.name)}
+            `;
+        },
+        collect(element) {
+            return element.querySelector('input[type="radio"]:checked')?.value ?? null;
+        },
+        restore(element, exercise, answer) {
+            checkOption(element, 'input[type="radio"]', answer);
+        }
+    };
+}
+
+// Type the answer; a `___` in the question becomes the blank to fill
+const typedWidget = {
+    render(exercise, context) {
+        const input = (style) => `
+            <input type="text" class="exercise-input" name="${context.name}" placeholder="Type your answer..."
+                   autocomplete="off" style="${style}">
+        `;
+        const parts = String(exercise.question).split('___');
+        if (parts.length === 2) {
+            return questionText(exercise, context, `${parts[0]}${input('padding: 8px 12px; border: 2px solid #667eea; border-radius: 5px; min-width: 120px; font-size: 16px; text-align: center; margin: 0 5px;')}${parts[1]}`);
+        }
+        return `
+            ${questionText(exercise, context)}
+            ${input('width: 100%; padding: 12px; border: 2px solid #ddd; border-radius: 8px; font-size: 16px;')}
+        `;
+    },
+    collect(element) {
+        return element.querySelector('.exercise-input')?.value.trim() || null;
+    },
+    restore(element, exercise, answer) {
+        const input = element.querySelector('.exercise-input');
+        if (input && answer) input.value = answer;
+    }
+};
+
+const TILE_STYLE = 'padding: 8px 14px; margin: 4px; border: 2px solid #667eea; border-radius: 8px; background: white; font-size: 16px; cursor: grab;';
+const HINT_STYLE = 'margin-top: 8px; font-size: 13px; color: #777;';
+
+// Drag handles (js/drag-drop.js) of mounted exercises, for restoring answers
+const handles = new WeakMap();
+
+function changed(element) {
+    element.dispatchEvent(new Event('change', { bubbles: true }));
+}
+
+// Build the sentence from its words: drag them into the line (or tap them), and reorder them there.
+// The answer is collected once every word is placed.
+const wordTilesWidget = {
+    words(exercise) {
+        return String(exercise.answer || '').split(/\s+/).filter(Boolean);
+    },
+
+    render(exercise, context) {
+        const words = this.words(exercise);
+        let shuffled = [...words];
+        // Never hand out the words already in order
+        for (let attempt = 0; attempt < 5 && words.length > 1 && shuffled.join(' ') === words.join(' '); attempt++) {
+            shuffled = [...words].sort(() => Math.random() - 0.5);
+        }
+        return `
+            ${questionText(exercise, context)}
+            <div class="word-line" aria-label="Your sentence" aria-describedby="${context.name}-hint" style="display: flex; flex-wrap: wrap; align-items: center; min-height: 52px; padding: 6px; margin-bottom: 10px; border: 2px dashed #ccc; border-radius: 8px;"></div>
+            <div class="word-bank" aria-label="Words" style="display: flex; flex-wrap: wrap;">
+                ${shuffled.map(word => `<button type="button" class="word-tile" data-word="${attribute(word)}" aria-describedby="${context.name}-hint" style="${TILE_STYLE}">${word}</button>`).join('')}
+            </div>
+            <button type="button" class="word-clear" style="margin-top: 8px; padding: 6px 14px; border: none; border-radius: 6px; background: #e9ecef; cursor: pointer;">↺ Clear</button>
+            <div id="${context.name}-hint" style="${HINT_STYLE}">
+                Drag the words into order, or tap them. Keyboard: Enter adds or removes a word, arrow keys move it.
+            </div>
+        `;
+    },
+
+    mount(element) {
+        const handle = dragDrop.sortable(element.querySelector('.word-bank'), element.querySelector('.word-line'), {
+            selector: '.word-tile',
+            onChange: () => changed(element)
+        });
+        handles.set(element, handle);
+        element.querySelector('.word-clear').addEventListener('click', () => handle.clear());
+    },
+
+    collect(element) {
+        if (element.querySelector('.word-bank .word-tile')) return null;
+        const words = Array.from(element.querySelectorAll('.word-line .word-tile'), tile => tile.dataset.word);
+        return words.length > 0 ? words.join(' ') : null;
+    },
+
+    restore(element, exercise, answer) {
+        handles.get(element)?.place(String(answer || '').split(/\s+/).filter(Boolean));
+    }
+};
+
+// Matching: drag each answer onto its row (or tap the answer, then the row). Assessment items have
+// `pairs`, one row each; lesson items are one prompt with `options`, so a single row.
+const pairingWidget = {
+    rows(exercise) {
+        return exercise.pairs ? exercise.pairs.map(pair => pair.item) : [null];
+    },
+
+    chips(exercise) {
+        const options = exercise.pairs ? exercise.pairs.flatMap(pair => pair.options) : exercise.options || [];
+        return [...new Set(options)];
+    },
+
+    render(exercise, context) {
+        return `
+            ${questionText(exercise, context)}
+            <div class="pair-rows">
+                ${this.rows(exercise).map((item, rIndex) => `
+                    <div class="pair-row" data-slot="${rIndex}" data-label="${attribute(item ?? 'the answer')}" style="display: flex; align-items: center; gap: 10px; margin: 10px 0;">
+                        ${item !== null ? `<span style="min-width: 100px;">${item} =</span>` : ''}
+                        <div class="pair-target" style="flex: 1; display: flex; align-items: center; min-height: 48px; padding: 4px; border: 2px dashed #ccc; border-radius: 8px;">
+                            <button type="button" class="pair-place" style="flex: 1; padding: 8px; border: none; background: transparent; color: #999; cursor: pointer;">
+                                Drop an answer here
+                            </button>
+                        </div>
+                    </div>
+                `).join('')}
+            </div>
+            <div class="pair-pool" aria-label="Answers" aria-describedby="${context.name}-hint" style="display: flex; flex-wrap: wrap; margin-top: 10px;">
+                ${this.chips(exercise).map(option => `<button type="button" class="pair-chip" data-value="${attribute(option)}" style="${TILE_STYLE}">${option}</button>`).join('')}
+            </div>
+            <div id="${context.name}-hint" style="${HINT_STYLE}">
+                Drag an answer onto its row, or tap the answer and then the row. Tap a placed answer to take it back.
+            </div>
+        `;
+    },
+
+    mount(element) {
+        handles.set(element, dragDrop.pairing(element.querySelector('.pair-pool'), element.querySelectorAll('.pair-row'), {
+            onChange: () => changed(element)
+        }));
+    },
+
+    collect(element, exercise) {
+        const rows = Array.from(element.querySelectorAll('.pair-row'), row => row.querySelector('.pair-target [data-value]')?.dataset.value ?? '');
+        if (!exercise.pairs) return rows[0] || null;
+        return rows.some(row => row) ? rows : null;
+    },
+
+    restore(element, exercise, answer) {
+        const values = Array.isArray(answer) ? answer : [answer];
+        values.forEach((value, rIndex) => {
+            if (value) handles.get(element)?.place(value, rIndex);
+        });
+    }
+};
+
+// Comprehension: a passage and a few questions about it, one answer each
+const comprehensionWidget = {
+    render(exercise, context) {
+        return `
+            <div class="passage" style="background: #f8f9fa; padding: 20px; border-radius: 10px; margin-bottom: 20px; font-style: italic;">
+                ${exercise.passage}
+            </div>
+            ${exercise.questions.map((subQuestion, subIndex) => `
+                <div class="sub-question" data-row="${subIndex}" style="margin-bottom: 15px;">
+                    <div class="question-text" style="font-size: 16px; margin-bottom: 10px; font-weight: 500;">
+                        ${context.label || ''}${subIndex + 1}. ${subQuestion.question}
+                    </div>
+                    ${optionList(subQuestion.options, `${context.name}-${subIndex}`)}
+                </div>
+            `).join('')}
+        `;
+    },
+
+    collect(element) {
+        const rows = Array.from(element.querySelectorAll('[data-row]'), row =>
+            row.querySelector('input[type="radio"]:checked')?.value ?? null);
+        return rows.some(row => row) ? rows : null;
+    },
+
+    restore(element, exercise, answer) {
+        if (!Array.isArray(answer)) return;
+        element.querySelectorAll('[data-row]').forEach(row => {
+            checkOption(row, 'input[type="radio"]', answer[Number(row.dataset.row)]);
+        });
+    }
+};
+
+const CHOICE = choiceWidget();
+
+// Types that ask the learner to produce the answer are typed; recognising one is picked
+const TYPED_TYPES = ['fill-blank', 'translation', 'sentence-completion', 'sentence-combining', 'verb-conjugation',
+    'question-formation', 'negative-formation', 'word-formation', 'write'];
+const WORD_ORDER_TYPES = ['word-order', 'sentence-formation'];
+
+class ExerciseRegistry {
+    constructor() {
+        this.plugins = {};
+        this.nameCount = 0;
+
+        Object.keys(EXERCISE_TYPES).forEach(type => {
+            if (TYPED_TYPES.includes(type)) this.register(type, typedWidget);
+            else if (WORD_ORDER_TYPES.includes(type)) this.register(type, wordTilesWidget);
+            else this.register(type, CHOICE);
+        });
+        this.register('sentence-correction', choiceWidget('📝 Choose the correct sentence:'));
+        this.register('match', pairingWidget);
+        this.register('comprehension', comprehensionWidget);
+
+        console.log('🧩 Exercise Registry initialized');
+    }
+
+    // ========== PLUGINS ==========
+
+    // Registering a type again replaces its plugin
+    register(type, plugin) {
+        if (typeof plugin?.render !== 'function' || typeof plugin?.collect !== 'function') {
+            throw new Error(`Exercise type "${type}" needs a renderer and an answer collector`);
+        }
+        const canonical = normalizeExerciseType(type) || type;
+        this.plugins[canonical] = {
+            mount: () => {},
+            restore: () => {},
+            grade: (answer, exercise, language) => answerGrading.gradeQuestion(answer ?? '', exercise, language),
+            ...plugin
+        };
+        return this;
+    }
+
+    has(type) {
+        return Boolean(this.plugins[normalizeExerciseType(type) || type]);
+    }
+
+    plugin(type) {
+        const plugin = this.plugins[normalizeExerciseType(type) || type];
+        if (!plugin) {
+            throw new Error(`Unknown exercise type "${type}": register it in js/exercise-registry.js`);
+        }
+        return plugin;
+    }
+
+    // Canonical curriculum types with no plugin (should stay empty)
+    missingTypes() {
+        return Object.keys(EXERCISE_TYPES).filter(type => !this.plugins[type]);
+    }
+
+    // ========== PAGES ==========
+
+    // Draws the exercise into `element` and wires it up; `context.answer` is restored if given
+    renderInto(element, exercise, context = {}) {
+        const plugin = this.plugin(exercise.type);
+        const fullContext = { ...context, name: context.name || `exercise-${++this.nameCount}` };
+        element.innerHTML = plugin.render.call(plugin, exercise, fullContext);
+        element.dataset.exerciseType = normalizeExerciseType(exercise.type) || exercise.type;
+        plugin.mount.call(plugin, element, exercise, fullContext);
+        if (context.answer !== undefined && context.answer !== null) {
+            plugin.restore.call(plugin, element, exercise, context.answer);
+        }
+        return element;
+    }
+
+    collect(element, exercise) {
+        const plugin = this.plugin(exercise.type);
+        return plugin.collect.call(plugin, element, exercise);
+    }
+
+    restore(element, exercise, answer) {
+        if (answer === undefined || answer === null) return;
+        const plugin = this.plugin(exercise.type);
+        plugin.restore.call(plugin, element, exercise, answer);
+    }
+
+    grade(exercise, answer, language) {
+        const plugin = this.plugin(exercise.type);
+        return plugin.grade.call(plugin, answer, exercise, language);
+    }
+}
+
+// Create singleton instance
+const exerciseRegistry = new ExerciseRegistry();
+
+if (typeof window !== 'undefined') {
+    window.exerciseRegistry = exerciseRegistry;
+}
+
+export default exerciseRegistry;
@@ -95,13 +95,9 @@ async handleUserSignIn(user) {
                 currentStreak: 0,
                 totalXp: 0,
                 daysLearning: 1
-            },
-            modules: {
-                alphabets: { completed: false, progress: 0, locked: false },
-                vocabulary: { completed: false, progress: 0, locked: true },
-                grammar: { completed: false, progress: 0, locked: true },
-                assessment: { completed: false, progress: 0, locked: true }
             }
+            // Module progress lives in userJourneys/{uid} (js/progress-store.js), created on first load;
+            // which modules are open is decided by the curriculum prerequisites (LearningEngine.getModuleAccess)
         };
 
         try {
@@ -141,6 +137,11 @@ async handleUserSignIn(user) {
             if (response.ok) {
                 const data = await response.json();
                 console.log('✅ AI session initialized:', data);
+                localStorage.setItem('currentAISession', JSON.stringify({
+                    sessionId: data.session_id,
+                    startedAt: data.started_at,
+                    analytics: data.analytics
+                }));
             }
         } catch (error) {
             console.warn('AI session initialization failed, continuing offline:', error);
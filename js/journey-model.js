@@ -0,0 +1,103 @@
+// js/journey-model.js - The userJourneys/{userId} document model and its migration
+// Pure data + helpers (no DOM, no Firebase) so js/progress-store.js and
+// scripts/check-migration.js build and migrate journeys the same way.
+
+export const MODULES = ['alphabets', 'vocabulary', 'grammar', 'assessment'];
+export const MODULE_WEIGHTS = { alphabets: 25, vocabulary: 25, grammar: 25, assessment: 25 };
+
+// Bump when the document model changes; older journeys are migrated on load
+export const SCHEMA_VERSION = 3;
+
+// ========== DOCUMENT MODEL ==========
+
+export function createModule() {
+    return {
+        completed: false,
+        progress: 0,
+        score: null,
+        lessons: {},
+        lessonsCompleted: [],
+        lastAccessed: null
+    };
+}
+
+export function createJourney(userId, targetLanguage = 'en', teachingLanguage = 'en') {
+    const now = new Date().toISOString();
+    return {
+        schemaVersion: SCHEMA_VERSION,
+        userId: userId,
+        targetLanguage: targetLanguage,
+        teachingLanguage: teachingLanguage,
+        startedAt: now,
+        lastUpdated: now,
+        modules: Object.fromEntries(MODULES.map(module => [module, createModule()])),
+        // Teacher overrides of the curriculum prerequisite graph
+        prerequisiteOverrides: { modules: {}, lessons: {} },
+        overallProgress: 0,
+        totalTimeSpent: 0,
+        lastLessonCompleted: null,
+        // Daily streak and goal minutes (js/streak-engine.js)
+        streak: null,
+        currentStreak: 0,
+        dailyGoal: 30,
+        // XP, level and badges (js/achievements.js)
+        achievements: null,
+        // Ability and exercise difficulty ratings (js/adaptive-difficulty.js)
+        adaptive: null,
+        languageLearned: false
+    };
+}
+
+// Weighted average of module progress (25% per module)
+export function computeOverallProgress(modules = {}) {
+    const total = MODULES.reduce((sum, module) =>
+        sum + ((modules[module]?.progress || 0) / 100) * MODULE_WEIGHTS[module], 0);
+    return Math.min(100, Math.round(total));
+}
+
+// ========== MIGRATION ==========
+
+// Merge the legacy userProgress/{userId} (tracker) and users/{userId} (profile) documents into
+// the journey: highest progress wins and a module completed anywhere stays completed.
+// A journey that does not exist yet is created from defaults or the profile's languages.
+// prerequisiteOverrides is left as the journey has it: only teachers may write it
+// (firestore.rules), and readers treat a missing field as no overrides.
+export function migrateJourney(userId, journey, { tracker = null, profile = null } = {}, defaults = {}) {
+    const migrated = journey
+        ? { ...journey }
+        : createJourney(
+            userId,
+            defaults.targetLanguage || profile?.targetLanguage || 'en',
+            defaults.teachingLanguage || profile?.teachingLanguage || 'en'
+        );
+    const now = new Date().toISOString();
+    const sources = [];
+    if (tracker?.modules) sources.push('userProgress');
+    if (profile?.modules) sources.push('users');
+
+    migrated.modules = { ...migrated.modules };
+    MODULES.forEach(module => {
+        const merged = { ...createModule(), ...(migrated.modules[module] || {}) };
+        [tracker?.modules?.[module], profile?.modules?.[module]].forEach(legacy => {
+            if (!legacy) return;
+            merged.progress = Math.max(merged.progress || 0, Math.min(100, legacy.progress || 0));
+            if (legacy.completed && !merged.completed) {
+                merged.completed = true;
+                merged.completedAt = merged.completedAt || now;
+            }
+        });
+        if (merged.completed) merged.progress = 100;
+        migrated.modules[module] = merged;
+    });
+
+    // The goal chosen at sign-up; the old hard-coded streak of 1 was never real activity
+    migrated.dailyGoal = migrated.dailyGoal || profile?.preferences?.dailyGoal || 30;
+    if (!migrated.streak) migrated.currentStreak = 0;
+    migrated.overallProgress = computeOverallProgress(migrated.modules);
+    migrated.languageLearned = MODULES.every(module => migrated.modules[module].completed);
+    migrated.schemaVersion = SCHEMA_VERSION;
+    migrated.migration = { migratedAt: now, sources };
+    migrated.lastUpdated = now;
+
+    return migrated;
+}
@@ -0,0 +1,361 @@
+// js/learning-analytics.js - Learning analytics from stored progress
+// Works out how a learner learns (learningPattern), how quickly (pace) and where they struggle
+// (strongAreas / weakAreas, and weakSkills from the manifest `skills`) from the journey
+// (userJourneys/{uid}), the learning event log and assessment section results, and picks
+// curriculum lessons and practice types to put in front of them next.
+// Runs in the browser and in Node (scripts/analyze-server.js). No DOM or Firebase dependencies.
+import { normalizeExerciseType, SKILL_ANSWER_CONDITIONS } from './curriculum-schema.js';
+
+const MODULES = ['alphabets', 'vocabulary', 'grammar', 'assessment'];
+
+// Exercise types grouped by the channel they lean on. Types not listed count towards accuracy
+// but not towards a learning pattern.
+const TYPE_MODALITIES = {
+    visual: ['match', 'identify', 'sequence', 'write', 'vowel-sign', 'count', 'color-identification', 'categorize'],
+    auditory: ['letter-sound', 'sound-match', 'pronunciation', 'blending'],
+    verbal: ['fill-blank', 'translation', 'sentence-formation', 'sentence-completion', 'sentence-correction',
+        'sentence-combining', 'word-order', 'verb-conjugation', 'question-formation', 'negative-formation']
+};
+
+const median = values => {
+    if (values.length === 0) return null;
+    const sorted = [...values].sort((a, b) => a - b);
+    const middle = Math.floor(sorted.length / 2);
+    return sorted.length % 2 ? sorted[middle] : Math.round((sorted[middle - 1] + sorted[middle]) / 2);
+};
+
+const percent = (part, whole) => (whole > 0 ? Math.round((part / whole) * 100) : null);
+
+class LearningAnalytics {
+    constructor() {
+        this.passingScore = 70;      // a module below this average is a weak area
+        this.strongScore = 85;       // ...and at or above this one a strong area
+        this.minEvents = 5;          // answers needed before event accuracy counts for an area or modality
+        this.minSkillAnswers = 3;    // answers (or section questions) needed before a skill is scored
+        this.patternLead = 10;       // accuracy points a modality needs over the others to become the pattern
+        this.recentEvents = 200;     // most recent events analyzed
+        this.fastLatency = 8000;     // ms, median answer time
+        this.slowLatency = 20000;
+        this.fastLessonMinutes = 5;  // average minutes per lesson attempt
+        this.slowLessonMinutes = 15;
+    }
+
+    // ========== INPUT ==========
+
+    // The journey (userJourneys/{uid}); modules or lesson records it lacks count as not started
+    normalizeProgress(progress = {}) {
+        const modules = progress.modules || {};
+
+        return {
+            targetLanguage: progress.targetLanguage || null,
+            teachingLanguage: progress.teachingLanguage || null,
+            modules: Object.fromEntries(MODULES.map(module => {
+                const moduleData = modules[module] || {};
+                return [module, {
+                    progress: moduleData.progress || 0,
+                    completed: !!moduleData.completed,
+                    score: moduleData.score ?? null,
+                    lessons: moduleData.lessons && !Array.isArray(moduleData.lessons) ? moduleData.lessons : {}
+                }];
+            }))
+        };
+    }
+
+    // ========== ANALYSIS ==========
+
+    // progress: journey; events: learning events (js/learning-events.js), oldest first. Options:
+    //   packs:    { [module]: curriculum pack } for the learner's language, used for recommendations
+    //   skills:   manifest `skills`
+    //   sections: assessment section results, { [lessonId]: { language, recordedAt, sections: [{ name, correct, total }] } }
+    analyze(progress, events = [], { packs = {}, skills = [], sections = {} } = {}) {
+        const journey = this.normalizeProgress(progress);
+        const recent = events.filter(event => event && event.exerciseId).slice(-this.recentEvents);
+        const areas = this.scoreAreas(journey, recent);
+        const language = journey.targetLanguage;
+        const skillScores = this.scoreSkills(recent, skills.filter(skill => !language || skill.language === language), sections);
+        const weakSkills = skillScores.filter(skill => skill.score < this.passingScore).sort((a, b) => a.score - b.score);
+
+        // Modules of weak skills first (most specific), then modules that are weak overall
+        const weakAreas = [...new Set([
+            ...weakSkills.map(skill => skill.module),
+            ...areas.filter(area => area.score < this.passingScore)
+                .sort((a, b) => a.score - b.score)
+                .map(area => area.module)
+        ])];
+
+        return {
+            learningPattern: this.detectPattern(recent),
+            pace: this.detectPace(journey, recent),
+            strongAreas: areas.filter(area => area.score >= this.strongScore && !weakAreas.includes(area.module)).map(area => area.module),
+            weakAreas,
+            weakSkills: weakSkills.map(({ id, name, module, score, answers }) => ({ id, name, module, score, answers })),
+            areaScores: Object.fromEntries(areas.map(area => [area.module, area.score])),
+            skillScores: Object.fromEntries(skillScores.map(skill => [skill.id, skill.score])),
+            recommendations: [
+                ...this.recommendForSkills(journey, weakSkills, packs),
+                ...this.recommend(journey, areas, packs)
+            ].filter((recommendation, index, all) =>
+                all.findIndex(other => other.lessonId === recommendation.lessonId) === index),
+            stats: this.summarize(journey, recent),
+            lastAnalysis: new Date().toISOString()
+        };
+    }
+
+    // Per-module score: average best lesson score, blended with answer accuracy when there
+    // are enough logged answers. Modules the learner has not started are left out.
+    scoreAreas(journey, events) {
+        return MODULES.map(module => {
+            const lessons = Object.values(journey.modules[module].lessons);
+            const lessonScore = lessons.length
+                ? Math.round(lessons.reduce((sum, lesson) => sum + (lesson.bestScore || 0), 0) / lessons.length)
+                : null;
+
+            const answers = events.filter(event => event.module === module);
+            const accuracy = answers.length >= this.minEvents
+                ? percent(answers.filter(event => event.correct).length, answers.length)
+                : null;
+
+            if (lessonScore === null && accuracy === null) return null;
+            const score = lessonScore === null ? accuracy
+                : accuracy === null ? lessonScore
+                : Math.round((lessonScore + accuracy) / 2);
+            return { module, score, lessonScore, accuracy, answers: answers.length };
+        }).filter(Boolean);
+    }
+
+    // 'visual' | 'auditory' | 'verbal' when one kind of exercise clearly goes best, else 'adaptive'
+    detectPattern(events) {
+        const accuracies = Object.entries(TYPE_MODALITIES).map(([pattern, types]) => {
+            const answers = events.filter(event => types.includes(normalizeExerciseType(event.type)));
+            return {
+                pattern,
+                accuracy: answers.length >= this.minEvents
+                    ? percent(answers.filter(event => event.correct).length, answers.length)
+                    : null
+            };
+        }).filter(entry => entry.accuracy !== null)
+            .sort((a, b) => b.accuracy - a.accuracy);
+
+        if (accuracies.length < 2) return 'adaptive';
+        return accuracies[0].accuracy - accuracies[1].accuracy >= this.patternLead ? accuracies[0].pattern : 'adaptive';
+    }
+
+    // 'fast' | 'moderate' | 'slow' from answer times, falling back to minutes per lesson attempt
+    detectPace(journey, events) {
+        const latency = median(events.map(event => event.latencyMs).filter(value => value > 0));
+        if (latency !== null && events.length >= this.minEvents) {
+            if (latency <= this.fastLatency) return 'fast';
+            if (latency >= this.slowLatency) return 'slow';
+            return 'moderate';
+        }
+
+        const lessons = MODULES.flatMap(module => Object.values(journey.modules[module].lessons));
+        const attempts = lessons.reduce((sum, lesson) => sum + (lesson.attempts || 0), 0);
+        if (attempts === 0) return 'moderate';
+
+        const minutesPerAttempt = lessons.reduce((sum, lesson) => sum + (lesson.timeSpent || 0), 0) / attempts;
+        if (minutesPerAttempt <= this.fastLessonMinutes) return 'fast';
+        if (minutesPerAttempt >= this.slowLessonMinutes) return 'slow';
+        return 'moderate';
+    }
+
+    summarize(journey, events) {
+        const lessons = MODULES.flatMap(module => Object.values(journey.modules[module].lessons));
+        const scored = lessons.filter(lesson => typeof lesson.bestScore === 'number');
+        return {
+            lessonsAttempted: lessons.length,
+            lessonsMastered: lessons.filter(lesson => lesson.mastered).length,
+            averageScore: scored.length
+                ? Math.round(scored.reduce((sum, lesson) => sum + lesson.bestScore, 0) / scored.length)
+                : null,
+            eventsAnalyzed: events.length,
+            accuracy: percent(events.filter(event => event.correct).length, events.length),
+            medianLatencyMs: median(events.map(event => event.latencyMs).filter(value => value > 0))
+        };
+    }
+
+    // ========== SKILLS ==========
+
+    // An answer belongs to a skill when every answer condition the skill sets holds
+    answerMatches(skill, event) {
+        const rule = skill.when || {};
+        if (!SKILL_ANSWER_CONDITIONS.some(condition => rule[condition])) return false;
+        if (event.language && skill.language && event.language !== skill.language) return false;
+        if (rule.lessons && !rule.lessons.includes(event.lessonId)) return false;
+        if (rule.types) {
+            const types = rule.types.map(type => normalizeExerciseType(type) || type);
+            if (!types.includes(normalizeExerciseType(event.type) || event.type)) return false;
+        }
+        if (rule.answers) {
+            const answer = [].concat(event.correctAnswer ?? []).join(' ');
+            if (!rule.answers.some(text => answer.includes(text))) return false;
+        }
+        return true;
+    }
+
+    // Accuracy per skill over matching answers plus matching assessment sections. Section totals
+    // only count for assessments whose answers are not in the event log (taken on another device
+    // or before answers were logged), so no question is counted twice.
+    scoreSkills(events, skills = [], sections = {}) {
+        const loggedAssessments = new Set(events.filter(event => event.source === 'assessment').map(event => event.lessonId));
+
+        return skills.map(skill => {
+            const answers = events.filter(event => this.answerMatches(skill, event));
+            let correct = answers.filter(event => event.correct).length;
+            let total = answers.length;
+
+            Object.entries(sections).forEach(([lessonId, result]) => {
+                if (loggedAssessments.has(lessonId) || result.language !== skill.language) return;
+                (result.sections || [])
+                    .filter(section => skill.when?.sections?.includes(section.name))
+                    .forEach(section => {
+                        correct += section.correct || 0;
+                        total += section.total || 0;
+                    });
+            });
+
+            if (total < this.minSkillAnswers) return null;
+            return {
+                id: skill.id,
+                name: skill.name,
+                module: skill.module,
+                score: percent(correct, total),
+                answers: total,
+                lessons: skill.lessons || [],
+                practice: skill.practice || []
+            };
+        }).filter(Boolean);
+    }
+
+    // ========== RECOMMENDATIONS ==========
+
+    // One per weak skill: its first recommended lesson not mastered yet (or its first lesson
+    // when all are) and its first practice type
+    recommendForSkills(journey, weakSkills, packs = {}) {
+        return weakSkills.map(skill => {
+            const mastered = lessonId => MODULES.some(module => journey.modules[module].lessons[lessonId]?.mastered);
+            const lessonId = skill.lessons.find(id => !mastered(id)) || skill.lessons[0] || null;
+            const pack = Object.values(packs).find(candidate => candidate.lessons?.some(lesson => lesson.id === lessonId));
+            const lesson = pack?.lessons.find(candidate => candidate.id === lessonId);
+            const practiceType = skill.practice[0] || null;
+
+            return {
+                module: pack?.module || MODULES.find(module => journey.modules[module].lessons[lessonId]) || skill.module,
+                lessonId,
+                skill: skill.id,
+                practiceType,
+                reason: 'skill',
+                message: `${skill.name} (${skill.score}%): ${lessonId ? `review ${lesson?.title || lessonId}` : 'practice'}`
+                    + (practiceType ? ` and try ${practiceType} practice` : '')
+            };
+        });
+    }
+
+    // Weak modules first: retry their lowest-scoring lesson that is not mastered yet, then move on
+    // to the next lesson nobody has tried in every started module
+    recommend(journey, areas, packs = {}) {
+        const recommendations = [];
+        const weakest = [...areas].sort((a, b) => a.score - b.score);
+
+        weakest.filter(area => area.score < this.passingScore).forEach(area => {
+            const retry = Object.entries(journey.modules[area.module].lessons)
+                .filter(([, lesson]) => !lesson.mastered)
+                .sort(([, a], [, b]) => (a.bestScore || 0) - (b.bestScore || 0))[0];
+            if (retry) {
+                const lesson = packs[area.module]?.lessons?.find(candidate => candidate.id === retry[0]);
+                recommendations.push({
+                    module: area.module,
+                    lessonId: retry[0],
+                    reason: 'review',
+                    message: `Review ${lesson?.title || retry[0]} (best score ${retry[1].bestScore || 0}%)`
+                });
+            }
+        });
+
+        MODULES.forEach(module => {
+            const next = this.nextLesson(packs[module], journey.modules[module]);
+            if (next && !journey.modules[module].completed) {
+                recommendations.push({
+                    module,
+                    lessonId: next.id,
+                    reason: 'next',
+                    message: `Continue with ${next.title || next.id}`
+                });
+            }
+        });
+
+        return recommendations;
+    }
+
+    // First lesson of a pack (in curriculum order) the learner has not attempted
+    nextLesson(pack, moduleData = {}) {
+        const lessons = pack?.lessons || [];
+        const attempted = moduleData.lessons || {};
+        return lessons.find(lesson => !attempted[lesson.id]) || null;
+    }
+
+    // ========== PERSONALIZED CONTENT ==========
+
+    // Lessons from one pack for this learner: unmastered lessons they have tried (weakest first),
+    // then the next new lesson, up to `limit`. Exercises of the types they get wrong most come first.
+    selectContent(pack, progress, events = [], { limit = 3 } = {}) {
+        const journey = this.normalizeProgress(progress);
+        const moduleData = journey.modules[pack.module] || { lessons: {} };
+        const lessonsById = new Map((pack.lessons || []).map(lesson => [lesson.id, lesson]));
+
+        const review = Object.entries(moduleData.lessons)
+            .filter(([lessonId, lesson]) => lessonsById.has(lessonId) && !lesson.mastered)
+            .sort(([, a], [, b]) => (a.bestScore || 0) - (b.bestScore || 0))
+            .map(([lessonId, lesson]) => ({ lesson: lessonsById.get(lessonId), reason: 'review', bestScore: lesson.bestScore || 0 }));
+
+        const next = this.nextLesson(pack, moduleData);
+        const picks = [...review, ...(next ? [{ lesson: next, reason: 'next', bestScore: null }] : [])];
+        if (picks.length === 0 && pack.lessons?.length) {
+            // Everything mastered: revisit the lesson taken longest ago
+            const oldest = Object.entries(moduleData.lessons)
+                .filter(([lessonId]) => lessonsById.has(lessonId))
+                .sort(([, a], [, b]) => String(a.lastAttemptAt).localeCompare(String(b.lastAttemptAt)))[0];
+            const lesson = oldest ? lessonsById.get(oldest[0]) : pack.lessons[0];
+            picks.push({ lesson, reason: 'refresh', bestScore: oldest?.[1].bestScore ?? null });
+        }
+
+        const missedTypes = this.missedTypes(events.filter(event => event.module === pack.module));
+        return picks.slice(0, limit).map(({ lesson, reason, bestScore }) => ({
+            ...lesson,
+            exercises: this.orderExercises(lesson.exercises || [], missedTypes),
+            reason,
+            bestScore
+        }));
+    }
+
+    // Exercise types by how often they were answered wrong, most missed first
+    missedTypes(events) {
+        const misses = {};
+        events.filter(event => !event.correct).forEach(event => {
+            const type = normalizeExerciseType(event.type) || event.type;
+            misses[type] = (misses[type] || 0) + 1;
+        });
+        return Object.keys(misses).sort((a, b) => misses[b] - misses[a]);
+    }
+
+    orderExercises(exercises, missedTypes) {
+        const rank = exercise => {
+            const index = missedTypes.indexOf(normalizeExerciseType(exercise.type) || exercise.type);
+            return index === -1 ? missedTypes.length : index;
+        };
+        return exercises
+            .map((exercise, index) => ({ exercise, index }))
+            .sort((a, b) => rank(a.exercise) - rank(b.exercise) || a.index - b.index)
+            .map(entry => entry.exercise);
+    }
+}
+
+// Create singleton instance
+const learningAnalytics = new LearningAnalytics();
+
+if (typeof window !== 'undefined') {
+    window.learningAnalytics = learningAnalytics;
+}
+
+export { LearningAnalytics, TYPE_MODALITIES };
+export default learningAnalytics;
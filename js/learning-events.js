@@ -0,0 +1,207 @@
+// js/learning-events.js - Per-attempt learning event log
+// One event per checked answer (lesson exercises, assessment questions, AI practice): which
+// exercise, what the learner answered, whether it was right, how long it took and how many
+// hints they had seen. Events are kept on this device (localStorage) and sent to Firestore
+// in batches (learningEvents/{uid}/batches/{batchId}). Analytics, review and adaptive
+// difficulty read them back through getEvents().
+import { db, doc, setDoc } from '../config/firebase-config.js';
+import { normalizeExerciseType } from './curriculum-schema.js';
+
+const STORAGE_PREFIX = 'learningEvents_';
+
+class LearningEventLog {
+    constructor() {
+        this.batchSize = 20;         // events per Firestore document
+        this.flushInterval = 30000;  // ms between background flushes of a partial batch
+        this.maxLocalEvents = 500;   // synced events kept on the device (unsynced ones are never dropped)
+        this.timers = new Map();
+        this.flushing = Promise.resolve();
+
+        if (typeof window !== 'undefined') {
+            window.addEventListener('online', () => this.flushAll());
+            document.addEventListener('visibilitychange', () => {
+                if (document.visibilityState === 'hidden') this.flushAll();
+            });
+            setInterval(() => this.flushAll(), this.flushInterval);
+        }
+
+        console.log('🧾 Learning Event Log initialized');
+    }
+
+    // ========== TIMING ==========
+    // Latency runs from when an exercise is shown (or its input focused) to the answer
+
+    startTimer(key) {
+        if (!this.timers.has(key)) this.timers.set(key, Date.now());
+    }
+
+    elapsed(key) {
+        const started = this.timers.get(key);
+        return started ? Date.now() - started : null;
+    }
+
+    // Ends the timing for one answer; a retry starts its own timer
+    stopTimer(key) {
+        const latency = this.elapsed(key);
+        this.timers.delete(key);
+        return latency;
+    }
+
+    // Stable id for generated exercises (AI practice) that have no id of their own
+    contentId(text) {
+        let hash = 5381;
+        for (const char of String(text)) {
+            hash = ((hash * 33) ^ char.codePointAt(0)) >>> 0;
+        }
+        return hash.toString(36);
+    }
+
+    // ========== RECORDING ==========
+
+    createId() {
+        if (typeof crypto !== 'undefined' && crypto.randomUUID) return crypto.randomUUID();
+        return `${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 10)}`;
+    }
+
+    // attempt: { exerciseId, type, source ('lesson' | 'assessment' | 'practice'), module, lessonId,
+    // language, userAnswer, correctAnswer, correct, score?, latencyMs, hintsUsed, difficulty? }
+    // difficulty: the rating of a generated question when it was served (js/adaptive-difficulty.js)
+    record(userId, attempt) {
+        if (!userId || !attempt?.exerciseId) return null;
+
+        const event = {
+            id: this.createId(),
+            exerciseId: attempt.exerciseId,
+            type: normalizeExerciseType(attempt.type) || attempt.type || null,
+            source: attempt.source || 'lesson',
+            module: attempt.module || null,
+            lessonId: attempt.lessonId || null,
+            language: attempt.language || null,
+            userAnswer: attempt.userAnswer ?? null,
+            correctAnswer: attempt.correctAnswer ?? null,
+            correct: !!attempt.correct,
+            score: attempt.score ?? (attempt.correct ? 100 : 0),
+            latencyMs: attempt.latencyMs ?? null,
+            hintsUsed: attempt.hintsUsed || 0,
+            difficulty: attempt.difficulty ?? null,
+            timestamp: new Date().toISOString(),
+            batchId: null,
+            synced: false
+        };
+
+        const events = this.readLocal(userId);
+        events.push(event);
+        this.writeLocal(userId, events);
+
+        if (events.filter(queued => !queued.synced).length >= this.batchSize) {
+            this.flush(userId);
+        }
+        return event;
+    }
+
+    // Local events, oldest first. filter matches fields exactly, e.g. { lessonId, correct: false }
+    getEvents(userId, filter = {}) {
+        return this.readLocal(userId).filter(event =>
+            Object.entries(filter).every(([field, value]) => event[field] === value));
+    }
+
+    // ========== STORAGE ==========
+
+    readLocal(userId) {
+        if (typeof localStorage === 'undefined') return [];
+        try {
+            return JSON.parse(localStorage.getItem(`${STORAGE_PREFIX}${userId}`)) || [];
+        } catch (error) {
+            return [];
+        }
+    }
+
+    writeLocal(userId, events) {
+        if (typeof localStorage === 'undefined') return;
+
+        const unsynced = events.filter(event => !event.synced);
+        const synced = events.filter(event => event.synced).slice(-this.maxLocalEvents);
+        const kept = events.filter(event => !event.synced || synced.includes(event));
+        try {
+            localStorage.setItem(`${STORAGE_PREFIX}${userId}`, JSON.stringify(kept));
+        } catch (error) {
+            // Storage full: keep what has not reached Firestore yet
+            console.warn('⚠️ Learning event log is full, dropping synced history');
+            localStorage.setItem(`${STORAGE_PREFIX}${userId}`, JSON.stringify(unsynced));
+        }
+    }
+
+    // ========== SYNC ==========
+
+    flush(userId) {
+        const run = this.flushing.then(() => this.sendPending(userId));
+        this.flushing = run.catch(() => {});
+        return run;
+    }
+
+    flushAll() {
+        if (typeof localStorage === 'undefined') return;
+        Object.keys(localStorage)
+            .filter(key => key.startsWith(STORAGE_PREFIX))
+            .forEach(key => this.flush(key.slice(STORAGE_PREFIX.length)));
+    }
+
+    // Unsynced events are grouped into batches first; a batch keeps its id across retries,
+    // so a resend after a lost response overwrites the same document instead of duplicating it
+    async sendPending(userId) {
+        let events = this.readLocal(userId);
+        if (!events.some(event => !event.synced)) return { success: true, sent: 0 };
+        if (typeof navigator !== 'undefined' && navigator.onLine === false) {
+            return { success: false, sent: 0, error: 'offline' };
+        }
+
+        const unassigned = events.filter(event => !event.synced && !event.batchId);
+        for (let start = 0; start < unassigned.length; start += this.batchSize) {
+            const batchId = this.createId();
+            unassigned.slice(start, start + this.batchSize).forEach(event => {
+                event.batchId = batchId;
+            });
+        }
+        this.writeLocal(userId, events);
+
+        const batches = new Map();
+        events.filter(event => !event.synced).forEach(event => {
+            if (!batches.has(event.batchId)) batches.set(event.batchId, []);
+            batches.get(event.batchId).push(event);
+        });
+
+        let sent = 0;
+        for (const [batchId, batch] of batches) {
+            try {
+                await setDoc(doc(db, 'learningEvents', userId, 'batches', batchId), {
+                    userId,
+                    count: batch.length,
+                    firstEventAt: batch[0].timestamp,
+                    lastEventAt: batch[batch.length - 1].timestamp,
+                    events: batch.map(({ batchId: _batch, synced, ...event }) => event)
+                });
+            } catch (error) {
+                console.warn(`📡 Learning events kept on this device (${error.message})`);
+                return { success: false, sent, error: error.message };
+            }
+
+            // Re-read: answers may have been recorded while the batch was in flight
+            events = this.readLocal(userId).map(event =>
+                event.batchId === batchId ? { ...event, synced: true } : event);
+            this.writeLocal(userId, events);
+            sent += batch.length;
+        }
+
+        console.log(`🧾 ${sent} learning event(s) synced`);
+        return { success: true, sent };
+    }
+}
+
+// Create singleton instance
+const learningEvents = new LearningEventLog();
+
+if (typeof window !== 'undefined') {
+    window.learningEvents = learningEvents;
+}
+
+export default learningEvents;
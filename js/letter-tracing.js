@@ -0,0 +1,884 @@
+// js/letter-tracing.js - Canvas letter tracing with stroke order, direction and shape scoring
+// Each letter is drawn as a faint guide; the learner traces over it with mouse, pen or touch.
+// Stroke templates come from content/curriculum/strokes/*.json (see learningEngine.getStrokeTemplates):
+// points are [x, y] in a 0-100 box around the letter's ink, one array per stroke in writing order.
+import speechManager from './speech-manager.js';
+
+class LetterTracer {
+    constructor() {
+        this.canvasSize = 300;
+        this.glyphFill = 0.7; // share of the canvas the guide letter fills
+        this.fontFamily = '"Noto Sans Tamil", "Noto Sans Devanagari", "Latha", "Mangal", "Nirmala UI", sans-serif';
+
+        // Scoring
+        this.samplePoints = 24;   // points per resampled stroke
+        this.matchDistance = 32;  // px; mean distance for a drawn stroke to count as a template stroke
+        this.passingScore = 70;
+        this.weights = { shape: 0.5, order: 0.25, direction: 0.25 };
+
+        // Shape check: learner ink is drawn wide for coverage and thin for precision
+        this.coverageWidth = 28;
+        this.precisionWidth = 10;
+        this.guideTolerance = 12; // px around the glyph that still counts as "on the letter"
+        this.inkWidth = 14;
+
+        this.session = null;
+        this.guide = null;
+        this.strokes = [];
+        this.activeStroke = null;
+        this.showHints = true;
+
+        console.log('✍️ Letter Tracer initialized');
+    }
+
+    // ========== TEMPLATES ==========
+
+    // Exact entry first; otherwise compose a base letter with its vowel signs / marks.
+    // Returns { strokes } in the 0-100 box, or null when the pack can't describe the letter.
+    getTemplate(letter, pack) {
+        if (!pack?.letters) return null;
+        if (pack.letters[letter]) return pack.letters[letter];
+
+        const [base, ...marks] = Array.from(letter.normalize('NFD'));
+        const baseTemplate = pack.letters[base];
+        if (!baseTemplate || marks.length === 0) return null;
+        if (!marks.every(mark => pack.marks?.[mark])) return null;
+
+        return this.composeTemplate(baseTemplate, marks.map(mark => pack.marks[mark]));
+    }
+
+    // Carve the 0-100 box: each mark takes `size` percent on its side, the base letter
+    // keeps the rest. Marks written before the letter (e.g. ெ) lead the stroke list.
+    composeTemplate(baseTemplate, markTemplates) {
+        const region = { x0: 0, y0: 0, x1: 100, y1: 100 };
+        const before = [];
+        const after = [];
+
+        markTemplates.forEach(mark => {
+            let markRegion;
+            if (mark.place === 'right') {
+                markRegion = { x0: region.x1 - mark.size, y0: region.y0, x1: region.x1, y1: region.y1 };
+                region.x1 -= mark.size;
+            } else if (mark.place === 'left') {
+                markRegion = { x0: region.x0, y0: region.y0, x1: region.x0 + mark.size, y1: region.y1 };
+                region.x0 += mark.size;
+            } else if (mark.place === 'top') {
+                markRegion = { x0: region.x0, y0: region.y0, x1: region.x1, y1: region.y0 + mark.size };
+                region.y0 += mark.size;
+            } else {
+                markRegion = { x0: region.x0, y0: region.y1 - mark.size, x1: region.x1, y1: region.y1 };
+                region.y1 -= mark.size;
+            }
+
+            const strokes = mark.strokes.map(stroke => this.placeStroke(stroke, markRegion));
+            (mark.order === 'before' ? before : after).push(...strokes);
+        });
+
+        const baseStrokes = baseTemplate.strokes.map(stroke => this.placeStroke(stroke, region));
+        return { strokes: [...before, ...baseStrokes, ...after], composed: true };
+    }
+
+    placeStroke(stroke, region) {
+        return stroke.map(([x, y]) => [
+            region.x0 + (x / 100) * (region.x1 - region.x0),
+            region.y0 + (y / 100) * (region.y1 - region.y0)
+        ]);
+    }
+
+    // ========== GEOMETRY ==========
+
+    pathLength(points) {
+        let length = 0;
+        for (let i = 1; i < points.length; i++) {
+            length += Math.hypot(points[i][0] - points[i - 1][0], points[i][1] - points[i - 1][1]);
+        }
+        return length;
+    }
+
+    // Evenly spaced points along a path, so strokes drawn at different speeds compare fairly
+    resample(points, count = this.samplePoints) {
+        if (points.length === 0) return [];
+        const total = this.pathLength(points);
+        if (points.length === 1 || total === 0) {
+            return Array.from({ length: count }, () => [...points[0]]);
+        }
+
+        const step = total / (count - 1);
+        const result = [[...points[0]]];
+        let carried = 0;
+
+        for (let i = 1; i < points.length && result.length < count; i++) {
+            let [px, py] = points[i - 1];
+            const [x, y] = points[i];
+            let segment = Math.hypot(x - px, y - py);
+
+            while (carried + segment >= step && result.length < count) {
+                const t = (step - carried) / segment;
+                px += t * (x - px);
+                py += t * (y - py);
+                result.push([px, py]);
+                segment = Math.hypot(x - px, y - py);
+                carried = 0;
+            }
+            carried += segment;
+        }
+
+        while (result.length < count) {
+            result.push([...points[points.length - 1]]);
+        }
+        return result;
+    }
+
+    // Mean distance between two resampled paths of the same length
+    pathDistance(a, b) {
+        let sum = 0;
+        for (let i = 0; i < a.length; i++) {
+            sum += Math.hypot(a[i][0] - b[i][0], a[i][1] - b[i][1]);
+        }
+        return sum / a.length;
+    }
+
+    // Greedy match in the order the learner drew: each drawn stroke takes the closest
+    // unused template stroke, forwards or backwards, if it is within matchDistance
+    matchStrokes(drawn, expected) {
+        const learner = drawn.map(stroke => this.resample(stroke));
+        const templates = expected.map(stroke => this.resample(stroke));
+        const used = new Set();
+        const matches = [];
+
+        learner.forEach((stroke, drawnIndex) => {
+            let best = null;
+            templates.forEach((template, templateIndex) => {
+                if (used.has(templateIndex)) return;
+                const forward = this.pathDistance(stroke, template);
+                const backward = this.pathDistance(stroke, [...template].reverse());
+                const distance = Math.min(forward, backward);
+                if (distance <= this.matchDistance && (!best || distance < best.distance)) {
+                    best = { drawnIndex, templateIndex, distance, reversed: backward < forward };
+                }
+            });
+
+            if (best) {
+                used.add(best.templateIndex);
+                matches.push(best);
+            }
+        });
+
+        return matches;
+    }
+
+    // Order and direction scores (0-1) for strokes already in canvas coordinates
+    scoreStrokes(drawn, expected) {
+        const matches = this.matchStrokes(drawn, expected);
+        const denominator = Math.max(expected.length, drawn.length) || 1;
+
+        // A match is in order when it continues the template sequence of the previous match
+        let lastTemplate = -1;
+        let inOrder = 0;
+        matches.forEach(match => {
+            if (match.templateIndex > lastTemplate) {
+                inOrder++;
+                lastTemplate = match.templateIndex;
+            }
+        });
+
+        const forward = matches.filter(match => !match.reversed).length;
+
+        return {
+            matches,
+            order: inOrder / denominator,
+            direction: expected.length ? forward / expected.length : 0,
+            matched: matches.length,
+            expected: expected.length,
+            drawn: drawn.length,
+            reversed: matches.filter(match => match.reversed).length,
+            outOfOrder: matches.length - inOrder
+        };
+    }
+
+    // ========== GUIDE & SHAPE ==========
+
+    // Render the letter centred at glyphFill of the canvas and keep pixel masks of it:
+    // `glyph` is the letter itself, `near` the letter widened by guideTolerance
+    prepareGuide(letter) {
+        const size = this.canvasSize;
+        const canvas = document.createElement('canvas');
+        canvas.width = size;
+        canvas.height = size;
+        const ctx = canvas.getContext('2d', { willReadFrequently: true });
+
+        ctx.font = `200px ${this.fontFamily}`;
+        let metrics = ctx.measureText(letter);
+        const inkWidth = (metrics.actualBoundingBoxLeft + metrics.actualBoundingBoxRight) || 1;
+        const inkHeight = (metrics.actualBoundingBoxAscent + metrics.actualBoundingBoxDescent) || 1;
+        const fontSize = 200 * Math.min((size * this.glyphFill) / inkWidth, (size * this.glyphFill) / inkHeight);
+
+        const font = `${fontSize}px ${this.fontFamily}`;
+        ctx.font = font;
+        metrics = ctx.measureText(letter);
+        const left = metrics.actualBoundingBoxLeft;
+        const right = metrics.actualBoundingBoxRight;
+        const ascent = metrics.actualBoundingBoxAscent;
+        const descent = metrics.actualBoundingBoxDescent;
+
+        const x = size / 2 - (right - left) / 2;
+        const y = size / 2 + (ascent - descent) / 2;
+        const bbox = { x: x - left, y: y - ascent, width: left + right, height: ascent + descent };
+
+        ctx.fillStyle = '#000';
+        ctx.fillText(letter, x, y);
+        const glyph = this.readMask(ctx);
+
+        ctx.strokeStyle = '#000';
+        ctx.lineWidth = this.guideTolerance * 2;
+        ctx.lineJoin = 'round';
+        ctx.strokeText(letter, x, y);
+        const near = this.readMask(ctx);
+
+        return { letter, font, x, y, bbox, glyph, near };
+    }
+
+    readMask(ctx) {
+        const { data } = ctx.getImageData(0, 0, this.canvasSize, this.canvasSize);
+        const mask = new Uint8Array(this.canvasSize * this.canvasSize);
+        for (let i = 0; i < mask.length; i++) {
+            mask[i] = data[i * 4 + 3] > 128 ? 1 : 0;
+        }
+        return mask;
+    }
+
+    // Template box -> canvas. Thin letters (l, I, ।) get a minimum box so their
+    // templates aren't squashed into a line.
+    templateToCanvas(strokes, bbox) {
+        const floor = Math.max(bbox.width, bbox.height) * 0.3;
+        const width = Math.max(bbox.width, floor);
+        const height = Math.max(bbox.height, floor);
+        const left = bbox.x + (bbox.width - width) / 2;
+        const top = bbox.y + (bbox.height - height) / 2;
+
+        return strokes.map(stroke => stroke.map(([x, y]) => [
+            left + (x / 100) * width,
+            top + (y / 100) * height
+        ]));
+    }
+
+    // coverage: share of the letter the learner's (wide) ink went over
+    // precision: share of the learner's (thin) ink that stayed on the letter
+    scoreShape(guide, strokes) {
+        const wide = this.rasterize(strokes, this.coverageWidth);
+        const thin = this.rasterize(strokes, this.precisionWidth);
+        let glyphPixels = 0, covered = 0, inkPixels = 0, onLetter = 0;
+
+        for (let y = 0; y < this.canvasSize; y += 2) {
+            for (let x = 0; x < this.canvasSize; x += 2) {
+                const i = y * this.canvasSize + x;
+                if (guide.glyph[i]) {
+                    glyphPixels++;
+                    if (wide[i]) covered++;
+                }
+                if (thin[i]) {
+                    inkPixels++;
+                    if (guide.near[i]) onLetter++;
+                }
+            }
+        }
+
+        const coverage = glyphPixels ? covered / glyphPixels : 0;
+        const precision = inkPixels ? onLetter / inkPixels : 0;
+        return { coverage, precision, shape: 0.7 * coverage + 0.3 * precision };
+    }
+
+    rasterize(strokes, lineWidth) {
+        const canvas = document.createElement('canvas');
+        canvas.width = this.canvasSize;
+        canvas.height = this.canvasSize;
+        const ctx = canvas.getContext('2d', { willReadFrequently: true });
+        this.drawPaths(ctx, strokes, { color: '#000', width: lineWidth });
+        return this.readMask(ctx);
+    }
+
+    // ========== SCORING ==========
+
+    evaluate(letter, strokes) {
+        const guide = this.guide;
+        const shape = this.scoreShape(guide, strokes);
+        const template = this.getTemplate(letter, this.session?.templates);
+
+        // Without a template only the shape can be judged
+        if (!template) {
+            return {
+                score: Math.round(shape.shape * 100),
+                shape,
+                strokes: null,
+                feedback: this.buildFeedback(shape, null)
+            };
+        }
+
+        const expected = this.templateToCanvas(template.strokes, guide.bbox);
+        const strokeResult = this.scoreStrokes(strokes, expected);
+        const { weights } = this;
+        const score = Math.round(100 * (
+            weights.shape * shape.shape +
+            weights.order * strokeResult.order +
+            weights.direction * strokeResult.direction
+        ));
+
+        return { score, shape, strokes: strokeResult, feedback: this.buildFeedback(shape, strokeResult) };
+    }
+
+    buildFeedback(shape, strokes) {
+        const tips = [];
+
+        if (strokes) {
+            if (strokes.drawn < strokes.expected) {
+                tips.push(`This letter has ${strokes.expected} strokes; you drew ${strokes.drawn}.`);
+            } else if (strokes.drawn > strokes.expected) {
+                tips.push(`Try it in ${strokes.expected} stroke${strokes.expected === 1 ? '' : 's'} (you used ${strokes.drawn}).`);
+            }
+            if (strokes.reversed > 0) {
+                tips.push(`${strokes.reversed} stroke${strokes.reversed === 1 ? ' was' : 's were'} drawn the wrong way — start at the numbered dot.`);
+            }
+            if (strokes.outOfOrder > 0) {
+                tips.push('Follow the stroke order shown by the numbers.');
+            }
+            if (strokes.matched < strokes.drawn && strokes.drawn <= strokes.expected) {
+                tips.push('Some strokes did not follow any part of the letter.');
+            }
+        }
+
+        if (shape.coverage < 0.7) {
+            tips.push('Trace over the whole letter — parts of it were missed.');
+        }
+        if (shape.precision < 0.7) {
+            tips.push('Stay closer to the guide letter.');
+        }
+
+        return tips;
+    }
+
+    // ========== SESSION ==========
+
+    // letters: the lesson's `letters` array; options: { language, templates, lessonId, startLetter }
+    open(letters, options = {}) {
+        if (!letters || letters.length === 0) return;
+
+        const startIndex = Math.max(0, letters.indexOf(options.startLetter));
+
+        this.session = {
+            letters,
+            index: startIndex,
+            language: options.language || 'en',
+            templates: options.templates || null,
+            lessonId: options.lessonId || null,
+            results: {},
+            startedAt: Date.now()
+        };
+
+        this.close(true);
+
+        const modal = document.createElement('div');
+        modal.id = 'tracingModal';
+        modal.className = 'tracing-modal-overlay';
+        modal.innerHTML = `
+            <div class="tracing-modal">
+                <div class="tracing-header">
+                    <h2>✍️ Letter Tracing</h2>
+                    <span id="tracingProgress" class="tracing-progress"></span>
+                    <button class="close-btn" onclick="window.letterTracer.close()" aria-label="Close tracing">×</button>
+                </div>
+                <div class="tracing-content" id="tracingContent"></div>
+            </div>
+        `;
+        document.body.appendChild(modal);
+        setTimeout(() => modal.classList.add('active'), 10);
+
+        if (!this.session.templates) {
+            console.warn('⚠️ No stroke templates for', this.session.language, '- scoring shape only');
+        }
+
+        this.showLetter();
+    }
+
+    showLetter() {
+        const content = document.getElementById('tracingContent');
+        if (!content || !this.session) return;
+
+        const { letters, index } = this.session;
+        const letter = letters[index];
+        const best = this.session.results[letter];
+
+        document.getElementById('tracingProgress').textContent = `${index + 1} / ${letters.length}`;
+
+        content.innerHTML = `
+            <div class="tracing-letter-row">
+                <span class="tracing-letter">${letter}</span>
+                <button class="tracing-listen" onclick="window.letterTracer.speakCurrent()">🔊 Listen</button>
+            </div>
+            <div class="tracing-canvas-wrap">
+                <canvas id="tracingCanvas" width="${this.canvasSize}" height="${this.canvasSize}"
+                        aria-label="Tracing area for ${letter}"></canvas>
+            </div>
+            <div class="tracing-tools">
+                <button class="tracing-tool ${this.showHints ? 'active' : ''}" id="tracingHintsBtn" onclick="window.letterTracer.toggleHints()"
+                        aria-pressed="${this.showHints}">🔢 Stroke order</button>
+                <button class="tracing-tool" onclick="window.letterTracer.undo()">↶ Undo</button>
+                <button class="tracing-tool" onclick="window.letterTracer.clear()">🗑️ Clear</button>
+                <button class="tracing-check" onclick="window.letterTracer.check()">✓ Check</button>
+            </div>
+            <div class="tracing-feedback" id="tracingFeedback" aria-live="polite">
+                ${best !== undefined ? `Best so far: <strong>${best}%</strong>` : 'Trace the letter from each numbered dot.'}
+            </div>
+            <div class="tracing-nav">
+                <button class="tracing-tool" onclick="window.letterTracer.previous()" ${index === 0 ? 'disabled' : ''}>◀ Previous</button>
+                <button class="tracing-tool" onclick="window.letterTracer.next()">${index === letters.length - 1 ? 'Finish ✅' : 'Next ▶'}</button>
+            </div>
+        `;
+
+        this.strokes = [];
+        this.activeStroke = null;
+        this.guide = this.prepareGuide(letter);
+        this.bindCanvas(document.getElementById('tracingCanvas'));
+        this.render();
+    }
+
+    bindCanvas(canvas) {
+        const toPoint = (event) => {
+            const rect = canvas.getBoundingClientRect();
+            return [
+                (event.clientX - rect.left) * (canvas.width / rect.width),
+                (event.clientY - rect.top) * (canvas.height / rect.height)
+            ];
+        };
+
+        canvas.addEventListener('pointerdown', (event) => {
+            event.preventDefault();
+            canvas.setPointerCapture(event.pointerId);
+            this.activeStroke = [toPoint(event)];
+            this.strokes.push(this.activeStroke);
+            this.render();
+        });
+
+        canvas.addEventListener('pointermove', (event) => {
+            if (!this.activeStroke) return;
+            const point = toPoint(event);
+            const last = this.activeStroke[this.activeStroke.length - 1];
+            if (Math.hypot(point[0] - last[0], point[1] - last[1]) < 2) return;
+            this.activeStroke.push(point);
+            this.render();
+        });
+
+        const finish = () => {
+            this.activeStroke = null;
+        };
+        canvas.addEventListener('pointerup', finish);
+        canvas.addEventListener('pointercancel', finish);
+    }
+
+    // ========== DRAWING ==========
+
+    render() {
+        const canvas = document.getElementById('tracingCanvas');
+        if (!canvas || !this.guide) return;
+
+        const ctx = canvas.getContext('2d');
+        ctx.clearRect(0, 0, canvas.width, canvas.height);
+
+        // Guide letter
+        ctx.font = this.guide.font;
+        ctx.fillStyle = '#e6e8fb';
+        ctx.fillText(this.guide.letter, this.guide.x, this.guide.y);
+
+        if (this.showHints) {
+            this.drawHints(ctx);
+        }
+
+        this.drawPaths(ctx, this.strokes, { color: '#667eea', width: this.inkWidth });
+    }
+
+    // Dashed template paths with a numbered dot where each stroke starts
+    drawHints(ctx) {
+        const template = this.getTemplate(this.guide.letter, this.session?.templates);
+        if (!template) return;
+
+        const strokes = this.templateToCanvas(template.strokes, this.guide.bbox);
+
+        ctx.save();
+        ctx.setLineDash([6, 6]);
+        this.drawPaths(ctx, strokes, { color: 'rgba(118, 75, 162, 0.45)', width: 3 });
+        ctx.setLineDash([]);
+
+        strokes.forEach((stroke, index) => {
+            const [x, y] = stroke[0];
+            ctx.beginPath();
+            ctx.arc(x, y, 10, 0, Math.PI * 2);
+            ctx.fillStyle = '#764ba2';
+            ctx.fill();
+            ctx.fillStyle = 'white';
+            ctx.font = 'bold 12px sans-serif';
+            ctx.textAlign = 'center';
+            ctx.textBaseline = 'middle';
+            ctx.fillText(String(index + 1), x, y);
+        });
+        ctx.restore();
+    }
+
+    drawPaths(ctx, strokes, { color, width }) {
+        ctx.save();
+        ctx.strokeStyle = color;
+        ctx.fillStyle = color;
+        ctx.lineWidth = width;
+        ctx.lineCap = 'round';
+        ctx.lineJoin = 'round';
+
+        strokes.forEach(stroke => {
+            if (stroke.length === 0) return;
+            if (stroke.length === 1) {
+                ctx.beginPath();
+                ctx.arc(stroke[0][0], stroke[0][1], width / 2, 0, Math.PI * 2);
+                ctx.fill();
+                return;
+            }
+            ctx.beginPath();
+            ctx.moveTo(stroke[0][0], stroke[0][1]);
+            stroke.slice(1).forEach(([x, y]) => ctx.lineTo(x, y));
+            ctx.stroke();
+        });
+        ctx.restore();
+    }
+
+    // ========== CONTROLS ==========
+
+    toggleHints() {
+        this.showHints = !this.showHints;
+        const button = document.getElementById('tracingHintsBtn');
+        if (button) {
+            button.classList.toggle('active', this.showHints);
+            button.setAttribute('aria-pressed', String(this.showHints));
+        }
+        this.render();
+    }
+
+    undo() {
+        this.strokes.pop();
+        this.render();
+    }
+
+    clear() {
+        this.strokes = [];
+        this.render();
+    }
+
+    check() {
+        if (!this.session) return;
+
+        const feedback = document.getElementById('tracingFeedback');
+        if (this.strokes.length === 0) {
+            feedback.textContent = 'Trace the letter first.';
+            return;
+        }
+
+        const letter = this.session.letters[this.session.index];
+        const result = this.evaluate(letter, this.strokes);
+        const previous = this.session.results[letter];
+        this.session.results[letter] = Math.max(previous ?? 0, result.score);
+
+        const passed = result.score >= this.passingScore;
+        const details = result.strokes
+            ? `Shape ${Math.round(result.shape.shape * 100)}% · Order ${Math.round(result.strokes.order * 100)}% · Direction ${Math.round(result.strokes.direction * 100)}%`
+            : `Shape ${Math.round(result.shape.shape * 100)}%`;
+
+        feedback.innerHTML = `
+            <div class="tracing-score ${passed ? 'passed' : ''}">${passed ? '✅' : '🔁'} ${result.score}%</div>
+            <div class="tracing-details">${details}</div>
+            ${result.feedback.length ? `<ul class="tracing-tips">${result.feedback.map(tip => `<li>${tip}</li>`).join('')}</ul>` : ''}
+        `;
+
+        console.log(`✍️ Traced ${letter}: ${result.score}%`);
+    }
+
+    speakCurrent() {
+        if (!this.session) return;
+        const letter = this.session.letters[this.session.index];
+        speechManager.speakLetter(letter, this.session.language)
+            .catch(error => console.warn('⚠️ Tracing audio failed:', error.message));
+    }
+
+    next() {
+        if (!this.session) return;
+        if (this.session.index >= this.session.letters.length - 1) {
+            this.showSummary();
+            return;
+        }
+        this.session.index++;
+        this.showLetter();
+    }
+
+    previous() {
+        if (!this.session || this.session.index === 0) return;
+        this.session.index--;
+        this.showLetter();
+    }
+
+    showSummary() {
+        const content = document.getElementById('tracingContent');
+        const { letters, results, language, lessonId, startedAt } = this.session;
+        const traced = Object.entries(results);
+        const averageScore = traced.length
+            ? Math.round(traced.reduce((sum, [, score]) => sum + score, 0) / traced.length)
+            : 0;
+
+        document.getElementById('tracingProgress').textContent = '';
+        this.guide = null;
+
+        content.innerHTML = traced.length === 0 ? `
+            <div class="tracing-summary">
+                <div class="tracing-summary-icon">✍️</div>
+                <h3>No letters checked</h3>
+                <p>Trace a letter and press ✓ Check to get a score.</p>
+            </div>
+        ` : `
+            <div class="tracing-summary">
+                <div class="tracing-summary-icon">${averageScore >= this.passingScore ? '🎉' : '💪'}</div>
+                <h3>Average score: ${averageScore}%</h3>
+                <div class="tracing-results">
+                    ${letters.filter(letter => results[letter] !== undefined).map(letter => `
+                        <div class="tracing-result ${results[letter] >= this.passingScore ? 'passed' : ''}">
+                            <span>${letter}</span><strong>${results[letter]}%</strong>
+                        </div>
+                    `).join('')}
+                </div>
+            </div>
+        `;
+
+        if (traced.length > 0) {
+            window.dispatchEvent(new CustomEvent('tracingSessionComplete', {
+                detail: {
+                    language,
+                    lessonId,
+                    letters: results,
+                    averageScore,
+                    timeSpent: Math.round((Date.now() - startedAt) / 1000)
+                }
+            }));
+        }
+    }
+
+    // keepSession: used by open() to replace a modal that is still fading out
+    close(keepSession = false) {
+        const modal = document.getElementById('tracingModal');
+        if (modal) {
+            modal.id = '';
+            modal.classList.remove('active');
+            setTimeout(() => modal.remove(), 300);
+        }
+        if (!keepSession) {
+            this.session = null;
+            this.guide = null;
+            this.strokes = [];
+        }
+    }
+}
+
+// ================================================
+// STYLES
+// ================================================
+const tracingStyles = `
+.tracing-modal-overlay {
+    position: fixed;
+    top: 0;
+    left: 0;
+    width: 100%;
+    height: 100%;
+    background: rgba(0, 0, 0, 0.5);
+    display: flex;
+    align-items: center;
+    justify-content: center;
+    z-index: 10000;
+    opacity: 0;
+    transition: opacity 0.3s;
+}
+
+.tracing-modal-overlay.active {
+    opacity: 1;
+}
+
+.tracing-modal {
+    background: white;
+    border-radius: 20px;
+    width: 90%;
+    max-width: 480px;
+    max-height: 95vh;
+    overflow-y: auto;
+    box-shadow: 0 20px 60px rgba(0,0,0,0.3);
+}
+
+.tracing-header {
+    background: linear-gradient(135deg, #667eea, #764ba2);
+    color: white;
+    padding: 20px 30px;
+    border-radius: 20px 20px 0 0;
+    display: flex;
+    justify-content: space-between;
+    align-items: center;
+    gap: 15px;
+}
+
+.tracing-header .close-btn {
+    background: none;
+    border: none;
+    color: white;
+    font-size: 2rem;
+    cursor: pointer;
+}
+
+.tracing-content {
+    padding: 20px 30px 30px;
+    text-align: center;
+}
+
+.tracing-letter-row {
+    display: flex;
+    justify-content: center;
+    align-items: center;
+    gap: 15px;
+    margin-bottom: 15px;
+}
+
+.tracing-letter {
+    font-size: 2.5rem;
+    font-weight: bold;
+    color: #333;
+}
+
+.tracing-listen {
+    background: #f0f0ff;
+    border: 2px solid #667eea;
+    color: #667eea;
+    padding: 8px 20px;
+    border-radius: 20px;
+    cursor: pointer;
+}
+
+.tracing-canvas-wrap canvas {
+    width: 100%;
+    max-width: 300px;
+    aspect-ratio: 1;
+    border: 2px dashed #c5cae9;
+    border-radius: 15px;
+    background: #fafbff;
+    touch-action: none;
+    cursor: crosshair;
+}
+
+.tracing-tools,
+.tracing-nav {
+    display: flex;
+    justify-content: center;
+    gap: 8px;
+    flex-wrap: wrap;
+    margin-top: 15px;
+}
+
+.tracing-tool {
+    background: white;
+    border: 2px solid #667eea;
+    color: #667eea;
+    padding: 8px 14px;
+    border-radius: 20px;
+    font-size: 14px;
+    cursor: pointer;
+}
+
+.tracing-tool.active {
+    background: #f0f0ff;
+}
+
+.tracing-tool:disabled {
+    opacity: 0.5;
+    cursor: default;
+}
+
+.tracing-check {
+    background: linear-gradient(135deg, #667eea, #764ba2);
+    border: none;
+    color: white;
+    padding: 8px 20px;
+    border-radius: 20px;
+    font-size: 14px;
+    font-weight: 600;
+    cursor: pointer;
+}
+
+.tracing-feedback {
+    margin-top: 15px;
+    min-height: 40px;
+    color: #666;
+}
+
+.tracing-score {
+    font-size: 1.6rem;
+    font-weight: bold;
+    color: #ff9800;
+}
+
+.tracing-score.passed {
+    color: #4CAF50;
+}
+
+.tracing-details {
+    font-size: 0.9rem;
+    color: #888;
+}
+
+.tracing-tips {
+    text-align: left;
+    margin: 10px auto 0;
+    max-width: 360px;
+    font-size: 0.9rem;
+}
+
+.tracing-summary-icon {
+    font-size: 4rem;
+}
+
+.tracing-results {
+    display: grid;
+    grid-template-columns: repeat(auto-fill, minmax(70px, 1fr));
+    gap: 10px;
+    margin-top: 20px;
+}
+
+.tracing-result {
+    display: flex;
+    flex-direction: column;
+    padding: 10px;
+    border-radius: 10px;
+    background: #fff3e0;
+    font-size: 1.4rem;
+}
+
+.tracing-result strong {
+    font-size: 0.9rem;
+    color: #666;
+}
+
+.tracing-result.passed {
+    background: #e8f5e9;
+}
+`;
+
+// Auto-inject styles
+if (typeof document !== 'undefined') {
+    const tracingStyleSheet = document.createElement('style');
+    tracingStyleSheet.textContent = tracingStyles;
+    document.head.appendChild(tracingStyleSheet);
+}
+
+// Create singleton instance
+const letterTracer = new LetterTracer();
+
+if (typeof window !== 'undefined') {
+    window.letterTracer = letterTracer;
+}
+
+export default letterTracer;
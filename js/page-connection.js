@@ -1,5 +1,10 @@
 // Enhanced Page Connection & Navigation System with AI Integration
 import authManager from './firebase-auth.js';
+import progressStore from './progress-store.js';
+import streakEngine from './streak-engine.js';
+import learningEvents from './learning-events.js';
+import weakAreaAnalyzer from './weak-areas.js';
+import adaptiveDifficulty from './adaptive-difficulty.js';
 // Add this import at the top of page-connection.js
 import { doc, setDoc, getDoc, updateDoc } from '../config/firebase-config.js';
 
@@ -55,6 +60,20 @@ class PageConnectionManager {
         document.addEventListener('learningProgressUpdate', (event) => {
             this.handleProgressUpdate(event.detail);
         });
+
+        // Every saved journey goes to the analytics service (scripts/analyze-server.js)
+        window.addEventListener('progressChanged', (event) => {
+            if (event.detail.userId === authManager.currentUser?.uid) {
+                this.sendProgressToAI(event.detail.journey);
+            }
+        });
+
+        // Weak skills found on this device (js/weak-areas.js)
+        window.addEventListener('weakAreasUpdated', (event) => {
+            if (event.detail.userId === authManager.currentUser?.uid) {
+                this.handleAIAnalytics(event.detail.aiAnalytics);
+            }
+        });
     }
 
     async navigateTo(url, options = {}) {
@@ -227,6 +246,9 @@ class PageConnectionManager {
         // Adjust UI based on AI learning analytics
         const analytics = this.userProfile?.aiAnalytics;
         if (analytics) {
+            // Clear classes from an earlier analysis before applying the new one
+            document.body.classList.remove('visual-learning', 'auditory-learning', 'fast-pace', 'slow-pace');
+
             // Adjust content based on learning style
             if (analytics.learningPattern === 'visual') {
                 document.body.classList.add('visual-learning');
@@ -243,17 +265,22 @@ class PageConnectionManager {
         }
     }
 
-    adaptiveContentDifficulty() {
-        // Adjust content difficulty based on user progress
-        const progress = this.userProfile?.progress;
-        if (progress && progress.overall > 70) {
-            document.body.classList.add('advanced-mode');
-        }
+    async adaptiveContentDifficulty() {
+        // Adjust content difficulty to the learner's rating in their target language
+        const profile = this.userProfile;
+        if (!profile?.userId) return;
+
+        const { level } = await adaptiveDifficulty.getLevel(profile.userId, profile.targetLanguage, profile.level);
+        document.body.classList.toggle('advanced-mode', level === 'advanced');
+        document.body.dataset.level = level;
     }
 
     personalizedLearningPath() {
         // Highlight recommended modules based on AI analysis
         const weakAreas = this.userProfile?.aiAnalytics?.weakAreas || [];
+        document.querySelectorAll('.ai-recommended').forEach(element => {
+            element.classList.remove('ai-recommended');
+        });
         weakAreas.forEach(area => {
             const element = document.querySelector(`[data-module="${area}"]`);
             if (element) {
@@ -270,6 +297,7 @@ class PageConnectionManager {
             
             // Store in global state for easy access
             window.userProfile = this.userProfile;
+            this.personalizedLearningPath();
             
             // Trigger profile load event
             document.dispatchEvent(new CustomEvent('userProfileLoaded', {
@@ -294,8 +322,8 @@ class PageConnectionManager {
                 lastUpdated: new Date().toISOString()
             });
 
-            // Send to AI analytics
-            await this.sendProgressToAI(progressData);
+            // The analytics service scores the whole journey, not this partial map
+            await this.sendProgressToAI(progressStore.getLocal(authManager.currentUser.uid));
 
             console.log('📈 Progress updated:', progressData);
         } catch (error) {
@@ -313,6 +341,8 @@ class PageConnectionManager {
                 body: JSON.stringify({
                     user_id: authManager.currentUser.uid,
                     progress_data: progressData,
+                    events: learningEvents.getEvents(authManager.currentUser.uid).slice(-200),
+                    sections: weakAreaAnalyzer.getSections(authManager.currentUser.uid),
                     timestamp: new Date().toISOString()
                 })
             });
@@ -329,6 +359,14 @@ class PageConnectionManager {
     handleAIAnalytics(analytics) {
         // Update UI based on AI recommendations
         console.log('🧠 AI Analytics received:', analytics);
+
+        // learningPattern, pace and weakAreas drive the page classes and recommended modules
+        if (this.userProfile) {
+            const { success, user_id, ...aiAnalytics } = analytics;
+            this.userProfile.aiAnalytics = { ...(this.userProfile.aiAnalytics || {}), ...aiAnalytics };
+            this.applyAIPersonalization();
+            this.personalizedLearningPath();
+        }
         
         // Trigger event for other components to listen to
         document.dispatchEvent(new CustomEvent('aiAnalyticsUpdated', {
@@ -373,14 +411,18 @@ class PageConnectionManager {
         }));
     }
 
-    showAIWelcomeMessage() {
+    async showAIWelcomeMessage() {
         // Show personalized AI welcome message
         if (this.userProfile && this.currentPage === 'home') {
+            // The streak comes from the journey (streak engine), not the sign-up profile
+            const journey = await progressStore.load(authManager.currentUser?.uid, { maxAge: 5 * 60 * 1000 });
+            const streak = journey.success ? streakEngine.getStatus(journey.data).current : 0;
+
             const welcomeEvent = new CustomEvent('showAIWelcome', {
                 detail: {
                     userName: this.userProfile.displayName,
                     learningLanguage: this.userProfile.targetLanguage,
-                    streak: this.userProfile.progress.currentStreak
+                    streak
                 }
             });
             document.dispatchEvent(welcomeEvent);
@@ -470,24 +512,21 @@ async isProfileComplete() {
 
 async initializeModules() {
     try {
+        if (!authManager.isAuthenticated()) return;
+
         if (!this.userProfile) {
             await this.loadProfile();
         }
-        
-        if (this.userProfile) {
-            console.log('🎮 Initializing learning modules for user');
-            
-            // Initialize module progress if not exists
-            const modules = this.userProfile.modules || {
-                alphabets: { completed: false, progress: 0, locked: false },
-                vocabulary: { completed: false, progress: 0, locked: true },
-                grammar: { completed: false, progress: 0, locked: true },
-                assessment: { completed: false, progress: 0, locked: true }
-            };
-            
-            // Update profile with modules
-            await this.saveProfile({ modules });
-            
+
+        console.log('🎮 Initializing learning modules for user');
+
+        // Creates the journey if needed and merges any older progress into it
+        const result = await progressStore.load(authManager.currentUser.uid, {
+            targetLanguage: this.userProfile?.targetLanguage,
+            teachingLanguage: this.userProfile?.teachingLanguage
+        });
+
+        if (result.success) {
             console.log('✅ Learning modules initialized');
         }
     } catch (error) {
@@ -524,7 +563,12 @@ async initializeModules() {
     displayAIContent(content) {
         // Display AI-generated content in the page
         console.log('📝 Displaying AI-generated content:', content);
-        // Implementation would depend on the content structure
+
+        // content.lessons are curriculum lessons picked for this learner (review first, then next);
+        // pages/alphabets-ai.html lists them under "Recommended for You"
+        document.dispatchEvent(new CustomEvent('aiContentLoaded', {
+            detail: content
+        }));
     }
 
     // Navigation History
@@ -0,0 +1,242 @@
+// js/placement-test.js - Adaptive placement test after onboarding
+// Questions come from the learner's target language: every alphabets, vocabulary and grammar
+// exercise and every assessment question with options. The curriculum is one path (alphabets,
+// then vocabulary, grammar and assessment), and a question is rated by where its lesson sits on
+// that path, on the ability scale of js/adaptive-difficulty.js. Each answer updates a Bayesian
+// ability estimate; the next question is the unasked one closest to it, and the test stops once
+// the estimate is confident (or maxItems is reached).
+// The result sets the profile `level`, credits the lessons the learner would very likely pass
+// (through the progress outbox, like lesson results) and names the first lesson to study.
+import { db, doc, setDoc } from '../config/firebase-config.js';
+import progressOutbox from './progress-outbox.js';
+import progressStore from './progress-store.js';
+import learningEngine from './learning-engine.js';
+import adaptiveDifficulty from './adaptive-difficulty.js';
+
+class PlacementTest {
+    constructor() {
+        this.minItems = 5;              // questions before the test may stop
+        this.maxItems = 15;
+        this.targetError = 0.65;        // stop once the estimate's standard error is this small
+        this.prior = { mean: 0, sd: 1.5 };
+        this.grid = { min: -3, max: 6, step: 0.05 };
+        this.pathDifficulty = { first: -1, last: 3 };   // rating of the first and last lesson of the path
+        this.itemWeight = 0.5;          // share of a question's own difficulty added to its lesson's
+        this.choices = 3;               // the next question is drawn from this many closest ones
+
+        console.log('🧭 Placement Test initialized');
+    }
+
+    // ========== QUESTION POOL ==========
+
+    // Lessons of a language in path order: [{ module, lessonIndex, lesson, difficulty }]
+    async loadPath(language) {
+        const modules = await Promise.all(learningEngine.moduleTypes.map(async module =>
+            (await learningEngine.getModuleLessons(module, language))
+                .map((lesson, lessonIndex) => ({ module, lessonIndex, lesson }))
+        ));
+        const path = modules.flat();
+        const span = this.pathDifficulty.last - this.pathDifficulty.first;
+        return path.map((step, position) => ({
+            ...step,
+            difficulty: this.pathDifficulty.first + (path.length > 1 ? (position / (path.length - 1)) * span : 0)
+        }));
+    }
+
+    // Questions that can be answered by picking an option: exercises, and assessment questions
+    // ids match the lesson pages (lessonId#index) and the assessment page (lessonId#section.index)
+    async buildPool(language) {
+        const path = await this.loadPath(language);
+        const pool = [];
+
+        path.forEach(step => {
+            const questions = [
+                ...(step.lesson.exercises || []).map((exercise, index) => ({ exercise, id: `${step.lesson.id}#${index}` })),
+                ...(step.lesson.sections || []).flatMap((section, sIndex) =>
+                    (section.questions || []).map((exercise, qIndex) => ({ exercise, id: `${step.lesson.id}#${sIndex}.${qIndex}` })))
+            ];
+
+            questions.forEach(({ exercise, id }) => {
+                if (!Array.isArray(exercise.options) || !exercise.options.includes(exercise.answer)) return;
+                pool.push({
+                    id,
+                    module: step.module,
+                    lessonId: step.lesson.id,
+                    type: exercise.type,
+                    question: exercise.question,
+                    options: exercise.options,
+                    answer: exercise.answer,
+                    audioText: exercise.audioText || null,
+                    difficulty: step.difficulty + this.itemWeight * adaptiveDifficulty.itemPrior(exercise)
+                });
+            });
+        });
+
+        return { path, pool };
+    }
+
+    // ========== ESTIMATE ==========
+
+    // Posterior mean and standard deviation of ability over a grid (normal prior, logistic items)
+    estimate(responses) {
+        const points = [];
+        for (let ability = this.grid.min; ability <= this.grid.max + 1e-9; ability += this.grid.step) {
+            let weight = Math.exp(-0.5 * ((ability - this.prior.mean) / this.prior.sd) ** 2);
+            responses.forEach(response => {
+                const p = adaptiveDifficulty.probability(ability, response.difficulty);
+                weight *= response.correct ? p : 1 - p;
+            });
+            points.push({ ability, weight });
+        }
+
+        const total = points.reduce((sum, point) => sum + point.weight, 0);
+        const mean = points.reduce((sum, point) => sum + point.ability * point.weight, 0) / total;
+        const variance = points.reduce((sum, point) => sum + (point.ability - mean) ** 2 * point.weight, 0) / total;
+        return { ability: adaptiveDifficulty.round(mean), error: adaptiveDifficulty.round(Math.sqrt(variance)) };
+    }
+
+    // ========== SESSION ==========
+
+    // session: { language, path, pool, responses: [{ id, module, lessonId, difficulty, answer, correct }], estimate }
+    async start(language) {
+        const { path, pool } = await this.buildPool(language);
+        if (pool.length === 0) {
+            throw new Error(`No placement questions for ${language}`);
+        }
+        console.log(`🧭 Placement pool: ${pool.length} questions over ${path.length} lessons`);
+        return { language, path, pool, responses: [], estimate: this.estimate([]) };
+    }
+
+    // The next question: one of the closest unasked ones to the current estimate (the most
+    // informative), preferring modules asked least so far. Null once the test is done.
+    nextQuestion(session) {
+        if (this.isDone(session)) return null;
+
+        const asked = new Set(session.responses.map(response => response.id));
+        const perModule = {};
+        session.responses.forEach(response => {
+            perModule[response.module] = (perModule[response.module] || 0) + 1;
+        });
+
+        const ranked = session.pool
+            .filter(item => !asked.has(item.id))
+            .map(item => ({
+                item,
+                distance: Math.abs(item.difficulty - session.estimate.ability) + 0.25 * (perModule[item.module] || 0)
+            }))
+            .sort((a, b) => a.distance - b.distance)
+            .slice(0, this.choices);
+
+        return ranked[Math.floor(Math.random() * ranked.length)].item;
+    }
+
+    // Text answers, like the lesson pages
+    answer(session, item, choice) {
+        const correct = String(choice).trim().toLowerCase() === String(item.answer).trim().toLowerCase();
+        session.responses.push({
+            id: item.id,
+            module: item.module,
+            lessonId: item.lessonId,
+            difficulty: item.difficulty,
+            answer: choice,
+            correct
+        });
+        session.estimate = this.estimate(session.responses);
+        console.log(`🧭 ${correct ? '✓' : '✗'} ${item.id}: ability ${session.estimate.ability} ± ${session.estimate.error}`);
+        return correct;
+    }
+
+    isDone(session) {
+        const count = session.responses.length;
+        return count >= this.maxItems
+            || count >= session.pool.length
+            || (count >= this.minItems && session.estimate.error <= this.targetError);
+    }
+
+    // ========== RESULT ==========
+
+    // { level, ability, error, credited: [{ module, lessonId, score }], next: { module, lessonIndex, lessonId, title } | null }
+    // A lesson is credited when even the low end of the estimate (ability - error) passes it at least
+    // targetSuccess of the time and no question from it was answered wrong. Assessments are never
+    // credited: they are taken, not placed out of. The first lesson not credited is where to start.
+    result(session) {
+        const { ability, error } = session.estimate;
+        const missed = new Set(session.responses.filter(response => !response.correct).map(response => response.lessonId));
+
+        const credited = [];
+        let next = null;
+        session.path.forEach(step => {
+            const chance = adaptiveDifficulty.probability(ability - error, step.difficulty);
+            const placed = step.module !== 'assessment'
+                && !missed.has(step.lesson.id)
+                && chance >= adaptiveDifficulty.targetSuccess;
+
+            if (placed) {
+                credited.push({ module: step.module, lessonId: step.lesson.id, score: Math.round(chance * 100) });
+            } else if (!next) {
+                next = { module: step.module, lessonIndex: step.lessonIndex, lessonId: step.lesson.id, title: step.lesson.title };
+            }
+        });
+
+        return {
+            level: adaptiveDifficulty.levelFor(adaptiveDifficulty.targetDifficulty(ability)),
+            ability,
+            error,
+            credited,
+            next
+        };
+    }
+
+    // ========== SAVING ==========
+
+    // Sets the profile level (users/{uid} and this page's copy) and credits the placed lessons
+    async save(userId, profile, session) {
+        try {
+            if (!userId) {
+                throw new Error('Missing user ID');
+            }
+
+            const result = this.result(session);
+            const placement = {
+                language: session.language,
+                level: result.level,
+                ability: result.ability,
+                error: result.error,
+                questions: session.responses.length
+            };
+
+            const updatedProfile = { ...profile, level: result.level, placement };
+            sessionStorage.setItem('userProfile', JSON.stringify(updatedProfile));
+            localStorage.setItem('userProfile', JSON.stringify(updatedProfile));
+            try {
+                await setDoc(doc(db, 'users', userId), { level: result.level, placement }, { merge: true });
+            } catch (error) {
+                console.warn('📡 Placement level kept on this device:', error.message);
+            }
+
+            // The journey may not exist yet right after onboarding
+            await progressStore.load(userId, { targetLanguage: profile.targetLanguage, teachingLanguage: profile.teachingLanguage });
+            const event = await progressOutbox.enqueue('placement', userId, { ...placement, credited: result.credited });
+            const results = await progressOutbox.flush(userId);
+            if (!results[event.id]) {
+                progressStore.preview(userId, await learningEngine.buildPlacementUpdates(progressStore.getLocal(userId), event));
+                console.log('📡 Placement credits queued until the connection returns');
+            }
+
+            console.log(`🧭 Placed at ${result.level} (${result.credited.length} lessons credited)`);
+            return { success: true, ...result };
+        } catch (error) {
+            console.error('❌ Error saving placement:', error);
+            return { success: false, error: error.message };
+        }
+    }
+}
+
+// Create singleton instance
+const placementTest = new PlacementTest();
+
+if (typeof window !== 'undefined') {
+    window.placementTest = placementTest;
+}
+
+export default placementTest;
@@ -0,0 +1,394 @@
+// js/playback-queue.js - Lesson playback queue with pause/resume/skip and spoken-word highlighting
+// Pages mark speakable elements with data-speak (text) and data-speak-kind
+// ('letter' | 'word' | 'sentence'); the queue plays letters, then words, then sentences.
+import speechManager from './speech-manager.js';
+
+class PlaybackQueue {
+    constructor() {
+        this.items = [];
+        this.index = 0;
+        this.state = 'idle'; // 'idle' | 'playing' | 'paused'
+        this.language = 'en';
+        this.gap = 400; // ms between items
+
+        this.currentUtterance = null;
+        this.gapTimer = null;
+        this.highlighted = null;
+        this.controlsId = null;
+
+        console.log('🎵 Playback Queue initialized');
+    }
+
+    // ========== LOADING ==========
+
+    // Collect every visible [data-speak] element under root: letters, then words,
+    // then sentences, each group in document order
+    loadFromContainer(root, language) {
+        const container = root || document;
+        const kindOrder = { letter: 0, word: 1, sentence: 2 };
+
+        const items = Array.from(container.querySelectorAll('[data-speak]'))
+            .filter(element => element.offsetParent !== null)
+            .map((element, position) => ({
+                text: element.dataset.speak,
+                kind: element.dataset.speakKind || 'word',
+                element,
+                position
+            }))
+            .sort((a, b) => (kindOrder[a.kind] ?? 1) - (kindOrder[b.kind] ?? 1) || a.position - b.position);
+
+        this.load(items, language);
+    }
+
+    load(items, language) {
+        this.stop();
+        this.items = items.filter(item => item.text);
+        this.language = language || this.language;
+        this.index = 0;
+        console.log(`🎵 Queue loaded: ${this.items.length} items (${this.language})`);
+        this.updateControls();
+    }
+
+    // ========== TRANSPORT ==========
+
+    play() {
+        if (this.state === 'paused') {
+            this.resume();
+            return;
+        }
+        if (this.items.length === 0) return;
+
+        // Called from a click, so this also unlocks speech on browsers that need a gesture
+        speechManager.initialize();
+
+        if (this.index >= this.items.length) {
+            this.index = 0;
+        }
+        this.setState('playing');
+        this.speakCurrent();
+    }
+
+    // Pausing cancels the utterance; resume replays the current item from its start.
+    // speechSynthesis.pause() is unreliable across browsers/voices, this is not.
+    pause() {
+        if (this.state !== 'playing') return;
+        this.halt();
+        this.setState('paused');
+    }
+
+    resume() {
+        if (this.state !== 'paused') return;
+        this.setState('playing');
+        this.speakCurrent();
+    }
+
+    skip() {
+        this.moveTo(this.index + 1);
+    }
+
+    previous() {
+        this.moveTo(Math.max(0, this.index - 1));
+    }
+
+    stop() {
+        this.halt();
+        this.index = 0;
+        this.setState('idle');
+    }
+
+    moveTo(index) {
+        if (this.items.length === 0) return;
+
+        const wasPlaying = this.state === 'playing';
+        this.halt();
+        this.index = index;
+
+        if (this.index >= this.items.length) {
+            this.finish();
+        } else if (wasPlaying) {
+            this.speakCurrent();
+        } else {
+            this.updateControls();
+        }
+    }
+
+    // Cancel current speech without firing our own completion handlers
+    halt() {
+        clearTimeout(this.gapTimer);
+        this.gapTimer = null;
+        this.currentUtterance = null;
+        speechManager.stop();
+        this.clearHighlight();
+    }
+
+    finish() {
+        this.halt();
+        this.index = 0;
+        this.setState('idle');
+        window.dispatchEvent(new CustomEvent('playbackQueueFinished', {
+            detail: { items: this.items.length, language: this.language }
+        }));
+    }
+
+    // ========== SPEAKING ==========
+
+    speakCurrent() {
+        const item = this.items[this.index];
+        if (!item) {
+            this.finish();
+            return;
+        }
+
+        const { utterance, error } = speechManager.createUtterance(item.text, {
+            language: this.language,
+            kind: item.kind
+        });
+
+        if (error) {
+            // No voice for this language: stop rather than read it with the wrong voice
+            this.stop();
+            window.dispatchEvent(new CustomEvent('speechVoiceUnavailable', {
+                detail: { language: error.language, message: error.message }
+            }));
+            this.updateControls(speechManager.describeError(error));
+            return;
+        }
+
+        // Anything else still speaking would delay our utterance
+        speechManager.stop();
+        this.currentUtterance = utterance;
+
+        utterance.onstart = () => {
+            if (utterance !== this.currentUtterance) return;
+            this.highlightItem(item);
+            this.updateControls();
+        };
+
+        utterance.onboundary = (event) => {
+            if (utterance !== this.currentUtterance) return;
+            if (event.name && event.name !== 'word') return;
+            this.highlightWord(item, event.charIndex, event.charLength);
+        };
+
+        utterance.onend = () => {
+            if (utterance !== this.currentUtterance) return;
+            this.advance();
+        };
+
+        utterance.onerror = (event) => {
+            if (utterance !== this.currentUtterance) return;
+
+            // Another speak() (e.g. the learner clicked a letter) took over: pause here
+            if (event.error === 'interrupted' || event.error === 'canceled') {
+                this.currentUtterance = null;
+                this.clearHighlight();
+                this.setState('paused');
+                return;
+            }
+
+            console.error('❌ Playback error:', event.error, item.text);
+            this.advance();
+        };
+
+        speechSynthesis.speak(utterance);
+    }
+
+    advance() {
+        this.currentUtterance = null;
+        this.clearHighlight();
+        this.index++;
+
+        if (this.index >= this.items.length) {
+            this.finish();
+            return;
+        }
+
+        this.updateControls();
+        this.gapTimer = setTimeout(() => {
+            if (this.state === 'playing') this.speakCurrent();
+        }, this.gap);
+    }
+
+    // ========== HIGHLIGHTING ==========
+
+    highlightItem(item) {
+        this.clearHighlight();
+        if (!item.element) return;
+
+        item.element.classList.add('tts-speaking');
+        item.element.scrollIntoView({ behavior: 'smooth', block: 'nearest' });
+
+        this.highlighted = {
+            element: item.element,
+            originalHTML: item.element.innerHTML,
+            // Word-level marks only work when the element shows exactly what is spoken
+            wordLevel: item.kind !== 'letter' && item.element.textContent.trim() === item.text.trim()
+        };
+    }
+
+    highlightWord(item, charIndex, charLength) {
+        const current = this.highlighted;
+        if (!current || current.element !== item.element || !current.wordLevel) return;
+
+        const text = item.text.trim();
+        if (charIndex >= text.length) return;
+
+        // Some engines omit charLength; fall back to the next whitespace-delimited run
+        const length = charLength || ((text.slice(charIndex).match(/^\S+/) || [''])[0].length);
+        if (length === 0) return;
+
+        item.element.innerHTML =
+            this.escapeHTML(text.slice(0, charIndex)) +
+            `<mark class="tts-word">${this.escapeHTML(text.slice(charIndex, charIndex + length))}</mark>` +
+            this.escapeHTML(text.slice(charIndex + length));
+    }
+
+    clearHighlight() {
+        if (!this.highlighted) return;
+
+        const { element, originalHTML, wordLevel } = this.highlighted;
+        element.classList.remove('tts-speaking');
+        if (wordLevel) {
+            element.innerHTML = originalHTML;
+        }
+        this.highlighted = null;
+    }
+
+    escapeHTML(text) {
+        const div = document.createElement('div');
+        div.textContent = text;
+        return div.innerHTML;
+    }
+
+    // ========== CONTROLS ==========
+
+    setState(state) {
+        this.state = state;
+        this.updateControls();
+        window.dispatchEvent(new CustomEvent('playbackStateChanged', {
+            detail: { state, index: this.index, total: this.items.length }
+        }));
+    }
+
+    // Render the player bar into a container element
+    attachControls(containerId) {
+        const container = document.getElementById(containerId);
+        if (!container) return;
+
+        this.controlsId = containerId;
+        container.className = 'playback-controls';
+        container.innerHTML = `
+            <button class="playback-btn" id="playbackPrev" onclick="window.playbackQueue.previous()" title="Previous" aria-label="Previous item">⏮</button>
+            <button class="playback-btn playback-main" id="playbackPlay" onclick="window.playbackQueue.togglePlay()" aria-label="Play lesson audio">▶ Play Lesson</button>
+            <button class="playback-btn" id="playbackSkip" onclick="window.playbackQueue.skip()" title="Skip" aria-label="Skip item">⏭</button>
+            <button class="playback-btn" id="playbackStop" onclick="window.playbackQueue.stop()" title="Stop" aria-label="Stop playback">⏹</button>
+            <span class="playback-status" id="playbackStatus" aria-live="polite"></span>
+        `;
+        this.updateControls();
+    }
+
+    togglePlay() {
+        if (this.state === 'playing') {
+            this.pause();
+        } else {
+            this.play();
+        }
+    }
+
+    updateControls(message = null) {
+        if (!this.controlsId || !document.getElementById(this.controlsId)) return;
+
+        const playBtn = document.getElementById('playbackPlay');
+        const status = document.getElementById('playbackStatus');
+        const hasItems = this.items.length > 0;
+
+        playBtn.disabled = !hasItems;
+        playBtn.textContent = this.state === 'playing' ? '⏸ Pause'
+            : this.state === 'paused' ? '▶ Resume'
+            : '▶ Play Lesson';
+
+        ['playbackPrev', 'playbackSkip', 'playbackStop'].forEach(id => {
+            document.getElementById(id).disabled = !hasItems || this.state === 'idle';
+        });
+
+        if (message) {
+            status.textContent = message;
+        } else if (!hasItems) {
+            status.textContent = 'No audio in this lesson';
+        } else if (this.state === 'idle') {
+            status.textContent = `${this.items.length} items`;
+        } else {
+            const item = this.items[this.index];
+            status.textContent = `${this.index + 1} / ${this.items.length}${item ? ` · ${item.text}` : ''}`;
+        }
+    }
+}
+
+// ================================================
+// STYLES
+// ================================================
+const playbackStyles = `
+.tts-speaking {
+    outline: 3px solid #667eea;
+    outline-offset: 4px;
+    border-radius: 8px;
+    background: rgba(102, 126, 234, 0.12);
+    transition: background 0.2s;
+}
+
+.tts-word {
+    background: #ffeb3b;
+    color: inherit;
+    border-radius: 4px;
+    padding: 0 2px;
+}
+
+.playback-controls {
+    display: flex;
+    align-items: center;
+    justify-content: center;
+    gap: 10px;
+    flex-wrap: wrap;
+    padding: 10px;
+}
+
+.playback-btn {
+    background: white;
+    border: 2px solid #667eea;
+    color: #667eea;
+    padding: 8px 14px;
+    border-radius: 20px;
+    font-size: 14px;
+    cursor: pointer;
+}
+
+.playback-btn.playback-main {
+    background: linear-gradient(135deg, #667eea, #764ba2);
+    color: white;
+    border: none;
+    min-width: 130px;
+}
+
+.playback-btn:disabled {
+    opacity: 0.5;
+    cursor: default;
+}
+
+.playback-status {
+    font-size: 14px;
+    color: #666;
+    min-width: 120px;
+}
+`;
+
+// Auto-inject styles
+const playbackStyleSheet = document.createElement('style');
+playbackStyleSheet.textContent = playbackStyles;
+document.head.appendChild(playbackStyleSheet);
+
+// Create singleton instance
+const playbackQueue = new PlaybackQueue();
+
+window.playbackQueue = playbackQueue;
+
+export default playbackQueue;
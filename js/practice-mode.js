@@ -1,9 +1,19 @@
+import speechManager from './speech-manager.js';
+import transliterator from './transliteration.js';
+import streakEngine from './streak-engine.js';
+import achievementEngine from './achievements.js';
+import learningEvents from './learning-events.js';
+import adaptiveDifficulty from './adaptive-difficulty.js';
+import dragDrop from './drag-drop.js';
+
 class AIPracticeMode {
     constructor() {
      this.currentExercise = null;
     this.practiceHistory = [];
     this.sessionScore = 0;
     this.sessionQuestions = 0;
+    this.hintsUsed = 0;
+    this.questionDifficulty = null;   // rating of the current generated question (js/adaptive-difficulty.js)
     this.isRecording = false;
     this.mediaRecorder = null;
     this.audioChunks = [];
@@ -179,6 +189,7 @@ async testAPIConnection() {
         this.currentPracticeType = type;
         this.sessionScore = 0;
         this.sessionQuestions = 0;
+        this.sessionStartedAt = Date.now();
         
         // Hide type selection, show exercise area
         document.getElementById('practiceTypeSelection').classList.add('hidden');
@@ -204,12 +215,21 @@ async testAPIConnection() {
     this.resetButtons();
     
     try {
-        let prompt = this.buildPromptForType(type, targetLang, teachingLang);
+        // Level picked from the learner's rating for this practice type (about 80% right answers)
+        const practiceLevel = await adaptiveDifficulty.getPracticeLevel(userProfile.userId, targetLang, type, userProfile.level || 'beginner');
+        console.log(`🎚️ Asking for ${practiceLevel.level} level (ability ${practiceLevel.ability.toFixed(2)})`);
+        let prompt = this.buildPromptForType(type, targetLang, teachingLang, practiceLevel.level);
         
         // ✅ DIRECT API CALL - NO AI ASSISTANT
         const response = await this.callGroqAPI(prompt);
         this.currentExercise = this.parseAIResponse(response, type);
         this.renderExercise(type, this.currentExercise);
+        this.questionDifficulty = practiceLevel.difficulty;
+
+        // Timed from when the question appears; hints are counted per question
+        this.hintsUsed = 0;
+        learningEvents.stopTimer('practice');
+        learningEvents.startTimer('practice');
         
     } catch (error) {
         console.error('❌ Error generating question:', error);
@@ -292,9 +312,8 @@ async callGroqAPI(prompt, systemPrompt = 'You are a helpful language learning tu
         }
     }
 
-   buildPromptForType(type, targetLang, teachingLang) {
-    const level = this.getUserProfile().level || 'beginner';
-    
+   buildPromptForType(type, targetLang, teachingLang, level = this.getUserProfile().level || 'beginner') {
+
     const prompts = {
         translation: `Generate a ${level} level translation exercise.
             The user is LEARNING ${targetLang} and speaks ${teachingLang}.
@@ -470,6 +489,13 @@ async callGroqAPI(prompt, systemPrompt = 'You are a helpful language learning tu
         };
         
         content.innerHTML = renderers[type] ? renderers[type]() : this.renderDefaultExercise(exercise);
+        if (type === 'sentence') this.mountSentenceExercise(content);
+        
+        // Romanization under target-language text, and Latin typing for Tamil/Hindi answers
+        const targetLang = this.getUserProfile().targetLanguage;
+        transliterator.annotate(content, targetLang, '.question-text, .vocabulary-word, .incorrect-sentence, .conversation-prompt, .example-text, .word-chip');
+        const answerBox = document.getElementById('userAnswer');
+        transliterator.attachInput(answerBox, targetLang, answerBox?.closest('.input-with-mic') || answerBox);
         
         // Reset buttons
         this.resetButtons();
@@ -515,17 +541,16 @@ async callGroqAPI(prompt, systemPrompt = 'You are a helpful language learning tu
         return `
             <div class="exercise-card">
                 <h3>✍️ Arrange these words correctly</h3>
-                <div class="word-bank">
+                <div class="word-bank" aria-label="Words">
                     ${shuffled.map((word, i) => `
-                        <button class="word-chip" data-word="${word}" onclick="window.practiceMode.addWord('${word}', this)">
+                        <button type="button" class="word-chip" data-word="${word.replace(/"/g, '&quot;')}" aria-describedby="sentenceHint">
                             ${word}
                         </button>
                     `).join('')}
                 </div>
-                <div class="sentence-builder" id="sentenceBuilder">
-                    <span class="placeholder">Click words to build sentence...</span>
-                </div>
+                <div class="sentence-builder" id="sentenceBuilder" aria-label="Your sentence" data-placeholder="Drag or tap words to build the sentence..."></div>
                 <button class="btn-secondary" onclick="window.practiceMode.clearSentence()">Clear</button>
+                <div class="hint-text" id="sentenceHint">⌨️ Enter adds or removes a word; arrow keys move it within the sentence.</div>
                 ${ex.translation ? `<div class="hint-text">💡 Meaning: ${ex.translation}</div>` : ''}
             </div>
         `;
@@ -721,6 +746,8 @@ async callGroqAPI(prompt, systemPrompt = 'You are a helpful language learning tu
             // Display feedback
             this.displayFeedback(feedback);
             
+            this.logAttempt(userAnswer, feedback);
+            
             // Update session stats
             this.sessionQuestions++;
             if (feedback.correct) {
@@ -742,6 +769,25 @@ async callGroqAPI(prompt, systemPrompt = 'You are a helpful language learning tu
         }
     }
 
+    // Checked answers go to the learning event log; generated questions are identified by their content
+    logAttempt(userAnswer, feedback) {
+        const ex = this.currentExercise || {};
+        const profile = this.getUserProfile();
+        learningEvents.record(profile.userId, {
+            exerciseId: `practice:${this.currentPracticeType}:${learningEvents.contentId(JSON.stringify(ex))}`,
+            type: this.currentPracticeType,
+            source: 'practice',
+            language: profile.targetLanguage,
+            userAnswer,
+            correctAnswer: ex.answer || ex.correct || ex.sampleAnswer || null,
+            correct: feedback.correct,
+            score: feedback.score,
+            latencyMs: learningEvents.stopTimer('practice'),
+            hintsUsed: this.hintsUsed,
+            difficulty: this.questionDifficulty
+        });
+    }
+
     getUserAnswer() {
         // Get answer based on exercise type
         const textarea = document.getElementById('userAnswer');
@@ -750,10 +796,11 @@ async callGroqAPI(prompt, systemPrompt = 'You are a helpful language learning tu
         const radio = document.querySelector('input[type="radio"]:checked');
         if (radio) return radio.value;
         
+        // data-word, since romanization may be shown inside the chips
         const sentenceBuilder = document.getElementById('sentenceBuilder');
-        if (sentenceBuilder && !sentenceBuilder.querySelector('.placeholder')) {
+        if (sentenceBuilder && sentenceBuilder.querySelector('.word-chip')) {
             const words = Array.from(sentenceBuilder.querySelectorAll('.word-chip'))
-                .map(chip => chip.textContent.trim());
+                .map(chip => chip.dataset.word);
             return words.join(' ');
         }
         
@@ -844,7 +891,8 @@ Be strict but fair. Accept variations in ${targetLang} if meaning is correct.
         // Show sample answer if available and answer was incorrect
         let sampleAnswerHtml = '';
         if (!isCorrect && this.currentExercise.sampleAnswer) {
-            sampleAnswerHtml = `<div class="sample-answer">✨ Sample answer: ${this.currentExercise.sampleAnswer}</div>`;
+            sampleAnswerHtml = `<div class="sample-answer">✨ Sample answer: ${this.currentExercise.sampleAnswer}
+                ${transliterator.renderLine(this.currentExercise.sampleAnswer, this.getUserProfile().targetLanguage)}</div>`;
         }
         
         feedbackArea.innerHTML = `
@@ -873,6 +921,7 @@ Be strict but fair. Accept variations in ${targetLang} if meaning is correct.
     try {
         // ✅ DIRECT API CALL
         const hint = await this.callGroqAPI(prompt);
+        this.hintsUsed++;
         alert('💡 Hint:\n\n' + hint);
     } catch (error) {
         console.error('Hint error:', error);
@@ -893,69 +942,30 @@ Be strict but fair. Accept variations in ${targetLang} if meaning is correct.
     // UTILITY METHODS
     // ================================================
     
-    addWord(word, button) {
-        const builder = document.getElementById('sentenceBuilder');
-        const placeholder = builder.querySelector('.placeholder');
-        
-        if (placeholder) {
-            builder.innerHTML = '';
-        }
-        
-        const chip = document.createElement('button');
-        chip.className = 'word-chip in-sentence';
-        chip.textContent = word;
-        chip.onclick = () => {
-            chip.remove();
-            button.disabled = false;
-        };
-        
-        builder.appendChild(chip);
-        button.disabled = true;
+    // Word chips are dragged (or tapped) into the sentence and reordered there (js/drag-drop.js)
+    mountSentenceExercise(content) {
+        this.sentenceBuilder = dragDrop.sortable(content.querySelector('.word-bank'), document.getElementById('sentenceBuilder'), {
+            selector: '.word-chip',
+            placedClass: 'in-sentence'
+        });
     }
 
     clearSentence() {
-        const builder = document.getElementById('sentenceBuilder');
-        builder.innerHTML = '<span class="placeholder">Click words to build sentence...</span>';
-        
-        document.querySelectorAll('.word-bank .word-chip').forEach(btn => {
-            btn.disabled = false;
-        });
+        this.sentenceBuilder?.clear();
     }
 
    playAudio() {
     const audioText = document.getElementById('audioText').textContent;
-    
-    if ('speechSynthesis' in window) {
-        const utterance = new SpeechSynthesisUtterance(audioText);
-        const userProfile = this.getUserProfile();
-        
-        // ✅ FIX: Use TARGET language (what they're learning)
-        const langMap = {
-            'en': 'en-US',
-            'English': 'en-US',
-            'ta': 'ta-IN',
-            'Tamil': 'ta-IN',
-            'hi': 'hi-IN',
-            'Hindi': 'hi-IN',
-            'fr': 'fr-FR',
-            'French': 'fr-FR',
-            'de': 'de-DE',
-            'German': 'de-DE',
-            'es': 'es-ES',
-            'Spanish': 'es-ES'
-        };
-        
-        // ✅ USE TARGET LANGUAGE (what they're learning)
-        const targetLang = userProfile.targetLanguage || 'English';
-        utterance.lang = langMap[targetLang] || 'en-US';
-        utterance.rate = 0.8; // Slower for learning
-        
-        console.log(`🔊 Playing audio in ${targetLang} (${utterance.lang})`);
-        
-        speechSynthesis.speak(utterance);
-    } else {
-        alert('🔊 Audio: ' + audioText);
-    }
+    const userProfile = this.getUserProfile();
+
+    // ✅ USE TARGET LANGUAGE (what they're learning); the speech manager accepts codes or names
+    const targetLang = userProfile.targetLanguage || 'en';
+
+    speechManager.speak(audioText, { language: targetLang, kind: 'sentence' })
+        .catch(error => {
+            console.warn(`⚠️ Audio unavailable for ${targetLang}:`, error.message);
+            alert('🔊 ' + speechManager.describeError(error) + '\n\n' + audioText);
+        });
 }
 
     backToSelection() {
@@ -971,6 +981,25 @@ Be strict but fair. Accept variations in ${targetLang} if meaning is correct.
             const accuracy = Math.round((this.sessionScore / this.sessionQuestions) * 100);
             alert(`📊 Session Complete!\n\nScore: ${this.sessionScore}/${this.sessionQuestions}\nAccuracy: ${accuracy}%\n\n${this.getPerformanceMessage(accuracy)}`);
         }
+        this.recordSessionTime();
+    }
+
+    // Practice minutes count toward the daily goal and streak, and the answers earn XP
+    // (sessions with at least one answer)
+    recordSessionTime() {
+        if (!this.sessionStartedAt || this.sessionQuestions === 0) return;
+
+        const minutes = Math.round(((Date.now() - this.sessionStartedAt) / 60000) * 10) / 10;
+        const answers = this.sessionQuestions;
+        const correct = this.sessionScore;
+        this.sessionStartedAt = null;
+
+        const userId = this.getUserProfile().userId;
+        if (userId) {
+            streakEngine.recordActivity(userId, { minutes, kind: 'practice' })
+                .then(() => achievementEngine.record(userId, { source: 'practice', answers, correct }));
+            learningEvents.flush(userId);
+        }
     }
 
     getPerformanceMessage(accuracy) {
@@ -985,6 +1014,7 @@ Be strict but fair. Accept variations in ${targetLang} if meaning is correct.
         if (this.isRecording) {
             this.stopRecording();
         }
+        this.recordSessionTime();
         
         const modal = document.getElementById('practiceModal');
         if (modal) {
@@ -1255,7 +1285,8 @@ const practiceStyles = `
     align-items: center;
 }
 
-.sentence-builder .placeholder {
+.sentence-builder:empty::before {
+    content: attr(data-placeholder);
     color: #999;
     font-style: italic;
 }
@@ -0,0 +1,241 @@
+// js/progress-outbox.js - Offline-first outbox for progress writes
+// Every lesson completion (score + time spent) and module completion is stored in IndexedDB
+// before it is sent, then replayed in order when Firestore can be reached again.
+// Handlers apply an event to the current server journey, so replays merge with work from
+// other devices instead of overwriting it.
+
+const DB_NAME = 'nativespark-progress';
+const STORE_NAME = 'outbox';
+const FALLBACK_KEY = 'progressOutbox';
+
+class ProgressOutbox {
+    constructor() {
+        // Replay handlers by event type: { [type]: async (event) => result }
+        this.handlers = {};
+        this.databaseRequest = null;
+        this.flushing = Promise.resolve();
+
+        this.replayTimeout = 15000; // ms before a replay counts as offline
+        this.maxAttempts = 5;       // other failures before an event is parked
+
+        if (typeof window !== 'undefined') {
+            window.addEventListener('online', () => {
+                console.log('📶 Back online, replaying queued progress');
+                this.flush();
+            });
+            // Events left over from an earlier visit
+            setTimeout(() => this.flush(), 3000);
+        }
+
+        console.log('📮 Progress Outbox initialized');
+    }
+
+    register(type, handler) {
+        this.handlers[type] = handler;
+    }
+
+    // ========== STORAGE ==========
+    // IndexedDB when available; localStorage otherwise (old private-mode browsers)
+
+    openDatabase() {
+        if (typeof indexedDB === 'undefined') return Promise.resolve(null);
+
+        if (!this.databaseRequest) {
+            this.databaseRequest = new Promise(resolve => {
+                const request = indexedDB.open(DB_NAME, 1);
+                request.onupgradeneeded = () => {
+                    request.result.createObjectStore(STORE_NAME, { keyPath: 'seq', autoIncrement: true });
+                };
+                request.onsuccess = () => resolve(request.result);
+                request.onerror = () => {
+                    console.warn('⚠️ IndexedDB unavailable, queueing progress in localStorage');
+                    resolve(null);
+                };
+            });
+        }
+        return this.databaseRequest;
+    }
+
+    async withStore(mode, action) {
+        const database = await this.openDatabase();
+        if (!database) return action(null);
+
+        return new Promise((resolve, reject) => {
+            const transaction = database.transaction(STORE_NAME, mode);
+            const request = action(transaction.objectStore(STORE_NAME));
+            transaction.oncomplete = () => resolve(request?.result);
+            transaction.onerror = () => reject(transaction.error);
+        });
+    }
+
+    readLocal() {
+        if (typeof localStorage === 'undefined') return [];
+        try {
+            return JSON.parse(localStorage.getItem(FALLBACK_KEY)) || [];
+        } catch (error) {
+            return [];
+        }
+    }
+
+    writeLocal(events) {
+        if (typeof localStorage !== 'undefined') {
+            localStorage.setItem(FALLBACK_KEY, JSON.stringify(events));
+        }
+    }
+
+    async add(event) {
+        const seq = await this.withStore('readwrite', store => store ? store.add(event) : null);
+        if (seq != null) return seq;
+
+        const events = this.readLocal();
+        const nextSeq = events.reduce((max, queued) => Math.max(max, queued.seq), 0) + 1;
+        events.push({ ...event, seq: nextSeq });
+        this.writeLocal(events);
+        return nextSeq;
+    }
+
+    async save(event) {
+        const stored = await this.withStore('readwrite', store => store ? store.put(event) : null);
+        if (stored != null) return;
+        this.writeLocal(this.readLocal().map(queued => queued.seq === event.seq ? event : queued));
+    }
+
+    async remove(seq) {
+        const database = await this.openDatabase();
+        if (database) {
+            await this.withStore('readwrite', store => store.delete(seq));
+            return;
+        }
+        this.writeLocal(this.readLocal().filter(queued => queued.seq !== seq));
+    }
+
+    async getAll() {
+        const events = await this.withStore('readonly', store => store ? store.getAll() : null);
+        return (events || this.readLocal()).sort((a, b) => a.seq - b.seq);
+    }
+
+    // ========== QUEUE ==========
+
+    createId() {
+        if (typeof crypto !== 'undefined' && crypto.randomUUID) return crypto.randomUUID();
+        return `${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 10)}`;
+    }
+
+    async enqueue(type, userId, payload) {
+        const event = {
+            id: this.createId(),
+            type,
+            userId,
+            payload,
+            recordedAt: new Date().toISOString(),
+            attempts: 0,
+            lastError: null,
+            parked: false
+        };
+        event.seq = await this.add(event);
+        this.announce();
+        return event;
+    }
+
+    // Events still waiting to reach Firestore (parked ones are kept for inspection only)
+    async getPending(userId = null) {
+        const events = await this.getAll();
+        return events.filter(event => !event.parked && (!userId || event.userId === userId));
+    }
+
+    // Events that will never be sent (rejected by firestore.rules, or failed maxAttempts times)
+    async getParked(userId = null) {
+        const events = await this.getAll();
+        return events.filter(event => event.parked && (!userId || event.userId === userId));
+    }
+
+    // Replay queued events in order. Resolves to { [eventId]: handler result } for the events
+    // that were settled; anything still queued is simply missing from the map.
+    flush(userId = null) {
+        const run = this.flushing.then(() => this.replay(userId));
+        this.flushing = run.catch(() => {});
+        return run;
+    }
+
+    async replay(userId) {
+        const results = {};
+        if (typeof navigator !== 'undefined' && navigator.onLine === false) return results;
+
+        const events = await this.getPending(userId);
+
+        for (const event of events) {
+            const handler = this.handlers[event.type];
+            if (!handler) {
+                // Left queued for a page that knows this event type; the events after it still replay
+                console.warn(`⚠️ No outbox handler for "${event.type}" on this page`);
+                continue;
+            }
+
+            try {
+                results[event.id] = await this.withTimeout(handler(event));
+                await this.remove(event.seq);
+            } catch (error) {
+                if (this.isRetryable(error)) {
+                    console.warn(`📡 Offline, ${events.length - Object.keys(results).length} progress event(s) queued`);
+                    break;
+                }
+
+                // Retrying cannot change a rules decision, so a denied write is parked at once
+                const denied = this.isDenied(error);
+                event.attempts += 1;
+                event.lastError = error.message;
+                event.parked = denied || event.attempts >= this.maxAttempts;
+                await this.save(event);
+
+                if (!event.parked) {
+                    console.warn(`⚠️ Progress event ${event.type} failed (attempt ${event.attempts}):`, error.message);
+                    break;
+                }
+                console.error(`❌ Progress event ${event.id} (${event.type}) parked`
+                    + (denied ? ', denied by the security rules:' : ` after ${event.attempts} attempts:`), error.message);
+                results[event.id] = { success: false, error: error.message };
+            }
+        }
+
+        this.announce();
+        return results;
+    }
+
+    withTimeout(promise) {
+        let timer;
+        const timeout = new Promise((resolve, reject) => {
+            timer = setTimeout(() => reject(new Error('Sync timed out')), this.replayTimeout);
+        });
+        return Promise.race([promise, timeout]).finally(() => clearTimeout(timer));
+    }
+
+    // Connectivity problems keep the event queued without counting an attempt
+    isRetryable(error) {
+        if (typeof navigator !== 'undefined' && navigator.onLine === false) return true;
+        return /offline|unavailable|network|timed out|deadline|failed to fetch/i.test(error?.message || '');
+    }
+
+    // Firestore's permission-denied; handlers rethrow only the message, so match that too
+    isDenied(error) {
+        return error?.code === 'permission-denied'
+            || /permission[- ]denied|insufficient permissions/i.test(error?.message || '');
+    }
+
+    // pending: still to be sent; parked: given up on, shown so the learner knows they were not saved
+    async announce() {
+        if (typeof window === 'undefined') return;
+        const events = await this.getAll();
+        const pending = events.filter(event => !event.parked).length;
+        const parked = events.filter(event => event.parked).length;
+        window.dispatchEvent(new CustomEvent('outboxChanged', { detail: { pending, parked } }));
+    }
+}
+
+// Create singleton instance
+const progressOutbox = new ProgressOutbox();
+
+if (typeof window !== 'undefined') {
+    window.progressOutbox = progressOutbox;
+}
+
+export default progressOutbox;
@@ -0,0 +1,311 @@
+// js/progress-store.js - Single source of truth for learner progress
+// Everything lives in userJourneys/{userId}. The older userProgress/{userId} (ProgressTracker)
+// and users/{userId}.modules (sign-up) copies are merged in once and never written again.
+// The document model and the migration itself are in js/journey-model.js.
+import { db, doc, setDoc, getDoc, updateDoc } from '../config/firebase-config.js';
+import progressOutbox from './progress-outbox.js';
+import { MODULES, SCHEMA_VERSION, createModule, createJourney, computeOverallProgress, migrateJourney } from './journey-model.js';
+
+const completeModule = moduleData => ({
+    ...moduleData,
+    completed: true,
+    completedAt: moduleData.completedAt || new Date().toISOString(),
+    progress: 100
+});
+
+class ProgressStore {
+    constructor() {
+        this.modules = MODULES;
+        this.schemaVersion = SCHEMA_VERSION;
+
+        // Loaded journeys by user: { [userId]: journey }
+        this.journeys = {};
+
+        // Replay of module completions queued while offline
+        progressOutbox.register('moduleComplete', async event => {
+            const result = await this.updateModule(event.userId, event.payload.module, completeModule);
+            if (!result.success) throw new Error(result.error);
+            return result;
+        });
+
+        console.log('🗂️ Progress Store initialized');
+    }
+
+    // ========== MIGRATION ==========
+
+    // Merge userProgress/{userId}.modules and users/{userId}.modules into the journey
+    // (migrateJourney). The legacy documents are left in place for older clients but no longer written.
+    async migrate(userId, journey = null, defaults = {}) {
+        console.log('🔀 Migrating progress into userJourneys for:', userId);
+
+        const [tracker, profile] = await Promise.all([
+            this.readLegacy('userProgress', userId),
+            this.readLegacy('users', userId)
+        ]);
+
+        const migrated = migrateJourney(userId, journey, { tracker, profile }, defaults);
+
+        await setDoc(doc(db, 'userJourneys', userId), migrated);
+        console.log(`✅ Progress migrated (sources: ${migrated.migration.sources.join(', ') || 'none'})`);
+        return migrated;
+    }
+
+    // A missing or unreadable legacy document just contributes nothing
+    async readLegacy(collection, userId) {
+        try {
+            const legacyDoc = await getDoc(doc(db, collection, userId));
+            return legacyDoc.exists() ? legacyDoc.data() : null;
+        } catch (error) {
+            console.warn(`⚠️ Could not read ${collection}/${userId} for migration:`, error.message);
+            return null;
+        }
+    }
+
+    // ========== READ ==========
+
+    // Load the journey, creating or migrating it when needed.
+    // options.maxAge (ms) allows a fresh enough localStorage copy to answer instead of Firestore;
+    // options.targetLanguage / teachingLanguage seed a journey that does not exist yet.
+    async load(userId, options = {}) {
+        try {
+            if (!userId) {
+                throw new Error('Missing user ID');
+            }
+
+            if (options.maxAge) {
+                const cached = this.getCached(userId);
+                if (cached && Date.now() - new Date(cached.lastUpdated).getTime() < options.maxAge) {
+                    console.log('📦 Using cached journey data');
+                    this.journeys[userId] = cached;
+                    return { success: true, data: cached, source: 'cache' };
+                }
+            }
+
+            const journeyDoc = await getDoc(doc(db, 'userJourneys', userId));
+            let journey = journeyDoc.exists() ? journeyDoc.data() : null;
+            let source = 'firebase';
+
+            if (!journey || (journey.schemaVersion || 1) < SCHEMA_VERSION) {
+                journey = await this.migrate(userId, journey, options);
+                source = 'migration';
+            }
+
+            this.remember(userId, journey);
+            return { success: true, data: journey, source };
+        } catch (error) {
+            console.error('❌ Error loading progress:', error);
+            return { success: false, error: error.message };
+        }
+    }
+
+    // Best local copy: loaded this session, else cached on this device, else a blank journey
+    getLocal(userId) {
+        return this.journeys[userId] || this.getCached(userId) || createJourney(userId);
+    }
+
+    // Last journey written on this device (may be stale)
+    getCached(userId) {
+        if (typeof localStorage === 'undefined') return null;
+        try {
+            const cached = localStorage.getItem(`userJourney_${userId}`);
+            return cached ? JSON.parse(cached) : null;
+        } catch (error) {
+            return null;
+        }
+    }
+
+    clearCache(userId) {
+        delete this.journeys[userId];
+        if (typeof localStorage !== 'undefined') {
+            localStorage.removeItem(`userJourney_${userId}`);
+        }
+    }
+
+    remember(userId, journey) {
+        this.journeys[userId] = journey;
+        if (typeof localStorage !== 'undefined') {
+            localStorage.setItem(`userJourney_${userId}`, JSON.stringify(journey));
+        }
+    }
+
+    // ========== WRITE ==========
+
+    // Apply Firestore-style dotted updates ({ 'modules.grammar': {...} }) to the journey.
+    // overallProgress and lastUpdated are always recomputed here so no caller has to.
+    async update(userId, updates) {
+        try {
+            const base = this.journeys[userId] || (await this.load(userId)).data;
+            if (!base) {
+                throw new Error('Journey not found');
+            }
+
+            // Work on a copy so a failed write leaves the loaded journey as the server has it
+            const { journey, changes } = this.applyUpdates(base, updates);
+
+            await updateDoc(doc(db, 'userJourneys', userId), changes);
+            this.remember(userId, journey);
+            this.notify(userId, journey, base);
+
+            return { success: true, data: journey };
+        } catch (error) {
+            console.error('❌ Error saving progress:', error);
+            return { success: false, error: error.message };
+        }
+    }
+
+    // Outbox replay: apply an event to the journey as Firestore has it now. buildUpdates(journey)
+    // returns the updates; the ids of recent events are kept so one that already landed
+    // (the write went through but the outbox never heard back) is not applied twice.
+    async applyEvent(event, buildUpdates) {
+        const loaded = await this.load(event.userId);
+        if (!loaded.success) {
+            throw new Error(loaded.error || 'Failed to load journey');
+        }
+
+        const journey = loaded.data;
+        if ((journey.syncedEvents || []).includes(event.id)) {
+            console.log('↩️ Progress event already synced:', event.id);
+            return { success: true, duplicate: true, data: journey };
+        }
+
+        const updates = await buildUpdates(journey);
+        updates.syncedEvents = [...(journey.syncedEvents || []), event.id].slice(-50);
+
+        const saved = await this.update(event.userId, updates);
+        if (!saved.success) {
+            throw new Error(saved.error);
+        }
+        return saved;
+    }
+
+    // Show queued progress on this device before it reaches Firestore; the next load
+    // from the server replaces it with the replayed result
+    preview(userId, updates) {
+        const previous = this.getLocal(userId);
+        const { journey } = this.applyUpdates(previous, updates);
+        this.remember(userId, journey);
+        this.notify(userId, journey, previous);
+        return { success: true, queued: true, data: journey };
+    }
+
+    applyUpdates(base, updates) {
+        const journey = JSON.parse(JSON.stringify(base));
+        Object.entries(updates).forEach(([path, value]) => this.setPath(journey, path, value));
+
+        const changes = {
+            ...updates,
+            overallProgress: computeOverallProgress(journey.modules),
+            lastUpdated: new Date().toISOString()
+        };
+        journey.overallProgress = changes.overallProgress;
+        journey.lastUpdated = changes.lastUpdated;
+
+        return { journey, changes };
+    }
+
+    setPath(target, path, value) {
+        const keys = path.split('.');
+        const last = keys.pop();
+        const parent = keys.reduce((node, key) => {
+            if (!node[key] || typeof node[key] !== 'object') node[key] = {};
+            return node[key];
+        }, target);
+        parent[last] = value;
+    }
+
+    // Manual "Complete module" from the lesson pages and the dashboard.
+    // Queued in the outbox first so it survives a dropped connection.
+    async markModuleComplete(userId, module) {
+        if (!MODULES.includes(module)) {
+            return { success: false, error: `Unknown module "${module}"` };
+        }
+
+        const event = await progressOutbox.enqueue('moduleComplete', userId, { module });
+        const results = await progressOutbox.flush(userId);
+        if (results[event.id]) return results[event.id];
+
+        return this.preview(userId, this.buildModuleUpdates(this.getLocal(userId), module, completeModule));
+    }
+
+    async setModuleProgress(userId, module, percentage) {
+        const progress = Math.min(100, Math.max(0, Math.round(percentage)));
+        return this.updateModule(userId, module, moduleData => ({
+            ...moduleData,
+            progress,
+            completed: moduleData.completed || progress >= 100,
+            completedAt: moduleData.completedAt || (progress >= 100 ? new Date().toISOString() : null)
+        }));
+    }
+
+    async updateModule(userId, module, change) {
+        if (!MODULES.includes(module)) {
+            return { success: false, error: `Unknown module "${module}"` };
+        }
+
+        const loaded = await this.load(userId);
+        if (!loaded.success) return loaded;
+
+        return this.update(userId, this.buildModuleUpdates(loaded.data, module, change));
+    }
+
+    buildModuleUpdates(journey, module, change) {
+        const moduleData = change({ ...createModule(), ...(journey.modules?.[module] || {}) });
+        const updates = { [`modules.${module}`]: moduleData };
+
+        const modules = { ...journey.modules, [module]: moduleData };
+        if (MODULES.every(name => modules[name]?.completed) && !journey.languageLearned) {
+            updates.languageLearned = true;
+            updates.completedAt = new Date().toISOString();
+            console.log('🎓 All modules completed!');
+        }
+
+        return updates;
+    }
+
+    // Start over: modules, time and completion are cleared; languages, teacher overrides,
+    // earned XP and badges and difficulty ratings stay
+    async reset(userId) {
+        try {
+            const loaded = await this.load(userId);
+            if (!loaded.success) throw new Error(loaded.error);
+
+            const previous = loaded.data;
+            const journey = {
+                ...createJourney(userId, previous.targetLanguage, previous.teachingLanguage),
+                prerequisiteOverrides: previous.prerequisiteOverrides || { modules: {}, lessons: {} },
+                dailyGoal: previous.dailyGoal || 30,
+                achievements: previous.achievements || null,
+                adaptive: previous.adaptive || null,
+                migration: previous.migration || null
+            };
+
+            await setDoc(doc(db, 'userJourneys', userId), journey);
+            this.remember(userId, journey);
+            this.notify(userId, journey, previous);
+
+            console.log('🔄 Progress reset for:', userId);
+            return { success: true, data: journey };
+        } catch (error) {
+            console.error('❌ Error resetting progress:', error);
+            return { success: false, error: error.message };
+        }
+    }
+
+    // Let the tracker, dashboard and open lesson pages redraw after any write
+    // previous is the journey before the change (null when there is nothing to compare)
+    notify(userId, journey, previous = null) {
+        if (typeof window === 'undefined') return;
+        window.dispatchEvent(new CustomEvent('progressChanged', {
+            detail: { userId, journey, previous }
+        }));
+    }
+}
+
+// Create singleton instance
+const progressStore = new ProgressStore();
+
+if (typeof window !== 'undefined') {
+    window.progressStore = progressStore;
+}
+
+export default progressStore;
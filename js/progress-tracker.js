@@ -1,5 +1,6 @@
 // Progress Tracker System with Firebase Integration
 // Enhanced version with initialize() method for proper integration
+// Reads and writes go through the progress store (js/progress-store.js, userJourneys/{uid})
 
 class ProgressTracker {
     constructor() {
@@ -11,9 +12,81 @@ class ProgressTracker {
         };
         this.currentUser = null;
         this.userId = null;
+        this.journey = null;
+        this.store = null;
+        this.streakEngine = null;
+        this.achievements = null;
+        this.pendingSync = 0;
+        this.failedSync = 0;
         this.initialized = false;
         this.initializeAuth();
         this.initializeMenuButton();
+        this.listenForChanges();
+    }
+
+    // The progress store, streak and achievement engines are ES modules; this classic script
+    // loads them on demand (the achievement engine also shows badge toasts on this page)
+    async getStore() {
+        if (!this.store) {
+            const [{ default: progressStore }, { default: streakEngine }, { default: achievementEngine }] = await Promise.all([
+                import('./progress-store.js'),
+                import('./streak-engine.js'),
+                import('./achievements.js')
+            ]);
+            this.store = progressStore;
+            this.streakEngine = streakEngine;
+            this.achievements = achievementEngine;
+
+            // Badge names and icons for the gallery
+            achievementEngine.loadRules()
+                .then(() => {
+                    const menu = document.getElementById('progressMenu');
+                    if (menu && menu.classList.contains('show')) {
+                        menu.innerHTML = this.generateMenuHTML();
+                    }
+                })
+                .catch(error => {
+                    console.warn('⚠️ Badge gallery unavailable:', error.message);
+                });
+        }
+        return this.store;
+    }
+
+    // Lesson completions saved by the learning engine land here too
+    listenForChanges() {
+        window.addEventListener('progressChanged', (event) => {
+            if (event.detail.userId === this.userId) {
+                this.applyJourney(event.detail.journey);
+            }
+        });
+
+        // Results saved offline and not yet in Firestore (js/progress-outbox.js)
+        window.addEventListener('outboxChanged', (event) => {
+            this.pendingSync = event.detail.pending;
+            this.failedSync = event.detail.parked || 0;
+            const menu = document.getElementById('progressMenu');
+            if (menu && menu.classList.contains('show')) {
+                menu.innerHTML = this.generateMenuHTML();
+            }
+        });
+    }
+
+    applyJourney(journey) {
+        this.journey = journey;
+        const savedModules = journey?.modules || {};
+
+        Object.keys(this.modules).forEach(key => {
+            this.modules[key].completed = savedModules[key]?.completed || false;
+            this.modules[key].progress = savedModules[key]?.progress || 0;
+        });
+
+        this.updateProgressBar();
+
+        // Update menu if it's open
+        const menu = document.getElementById('progressMenu');
+        if (menu && menu.classList.contains('show')) {
+            menu.innerHTML = this.generateMenuHTML();
+        }
     }
 
     // NEW: Initialize method for explicit initialization
@@ -78,54 +151,30 @@ class ProgressTracker {
         }
 
         try {
-            // Ensure Firebase is available
-            if (!window.db || !window.doc || !window.getDoc) {
-                console.warn('⚠️ Firebase Firestore not available');
-                this.loadLocalProgress();
-                return;
-            }
-            
-            // Get user's progress from Firestore
-            const userProgressRef = window.doc(window.db, 'userProgress', userId);
-            const progressDoc = await window.getDoc(userProgressRef);
+            const store = await this.getStore();
+            const result = await store.load(userId);
 
-            if (progressDoc.exists()) {
-                const data = progressDoc.data();
-                const savedModules = data.modules || {};
-                
-                Object.keys(savedModules).forEach(key => {
-                    if (this.modules[key]) {
-                        this.modules[key].completed = savedModules[key].completed || false;
-                        this.modules[key].progress = savedModules[key].progress || 0;
-                    }
-                });
-                
-                console.log('✅ Progress loaded from Firebase:', savedModules);
-            } else {
-                console.log('📝 No saved progress found, initializing new progress');
-                await this.saveProgress();
+            if (!result.success) {
+                throw new Error(result.error);
             }
+
+            this.applyJourney(result.data);
+            console.log(`✅ Progress loaded from journey (${result.source})`);
         } catch (error) {
             console.error('❌ Error loading progress from Firebase:', error);
             this.loadLocalProgress();
         }
-
-        this.updateProgressBar();
     }
 
     loadLocalProgress() {
-        // Fallback to sessionStorage when Firebase is unavailable
-        const saved = sessionStorage.getItem('learningProgress');
+        // Fallback to the journey last cached on this device (same key the progress store writes)
+        const userId = this.userId || this.currentUser?.uid;
+        const saved = userId ? localStorage.getItem(`userJourney_${userId}`) : null;
         if (saved) {
             try {
-                const savedModules = JSON.parse(saved);
-                Object.keys(savedModules).forEach(key => {
-                    if (this.modules[key]) {
-                        this.modules[key].completed = savedModules[key].completed || false;
-                        this.modules[key].progress = savedModules[key].progress || 0;
-                    }
-                });
+                this.applyJourney(JSON.parse(saved));
                 console.log('✅ Progress loaded from local storage');
+                return;
             } catch (e) {
                 console.error('❌ Failed to parse local progress:', e);
             }
@@ -133,47 +182,35 @@ class ProgressTracker {
         this.updateProgressBar();
     }
 
-    async saveProgress() {
-        // Always save to sessionStorage as backup
-        sessionStorage.setItem('learningProgress', JSON.stringify(this.modules));
-
+    // Writes need a signed-in user; the result carries the updated journey
+    async saveModule(action, moduleName, ...args) {
         const userId = this.userId || this.currentUser?.uid;
+        if (!userId) {
+            console.warn('⚠️ Progress is only saved for signed-in users');
+            return false;
+        }
 
-        // If user is logged in and Firebase is available, save to Firebase
-        if (userId && window.db && window.doc && window.setDoc) {
-            try {
-                const userProgressRef = window.doc(window.db, 'userProgress', userId);
-                
-                await window.setDoc(userProgressRef, {
-                    userId: userId,
-                    userEmail: this.currentUser?.email || 'unknown',
-                    modules: this.modules,
-                    lastUpdated: new Date().toISOString()
-                }, { merge: true });
-
-                console.log('✅ Progress saved to Firebase');
-            } catch (error) {
-                console.error('❌ Error saving progress to Firebase:', error);
+        try {
+            const store = await this.getStore();
+            const result = await store[action](userId, moduleName, ...args);
+            if (!result.success) {
+                throw new Error(result.error);
             }
-        } else {
-            console.log('💾 Progress saved locally (Firebase unavailable)');
+            this.applyJourney(result.data);
+            return true;
+        } catch (error) {
+            console.error('❌ Error saving progress to Firebase:', error);
+            return false;
         }
     }
 
     // NEW: Update module progress (percentage)
     async updateModuleProgress(moduleName, percentage) {
         if (this.modules[moduleName]) {
-            this.modules[moduleName].progress = Math.min(100, Math.max(0, percentage));
-            
-            // Auto-complete if 100%
-            if (percentage >= 100) {
-                this.modules[moduleName].completed = true;
+            // Auto-completes at 100%
+            if (await this.saveModule('setModuleProgress', moduleName, percentage)) {
+                console.log(`📊 ${moduleName} progress: ${percentage}%`);
             }
-            
-            await this.saveProgress();
-            this.updateProgressBar();
-            
-            console.log(`📊 ${moduleName} progress: ${percentage}%`);
         }
     }
 
@@ -184,16 +221,8 @@ class ProgressTracker {
 
     async markComplete(moduleName) {
         if (this.modules[moduleName]) {
-            this.modules[moduleName].completed = true;
-            this.modules[moduleName].progress = 100;
-            await this.saveProgress();
-            this.updateProgressBar();
-            this.showCompletionMessage(moduleName);
-            
-            // Update menu if it's open
-            const menu = document.getElementById('progressMenu');
-            if (menu && menu.classList.contains('show')) {
-                menu.innerHTML = this.generateMenuHTML();
+            if (await this.saveModule('markModuleComplete', moduleName)) {
+                this.showCompletionMessage(moduleName);
             }
         }
     }
@@ -418,6 +447,24 @@ class ProgressTracker {
         const loginStatus = this.currentUser 
             ? `<div style="font-size: 12px; opacity: 0.8; margin-top: 5px;">☁️ Synced with ${this.currentUser.email}</div>`
             : `<div style="font-size: 12px; opacity: 0.8; margin-top: 5px;">💾 Local storage mode</div>`;
+        const streakStatus = this.journey && this.streakEngine
+            ? this.streakEngine.getStatus(this.journey)
+            : null;
+        const todayStatus = streakStatus
+            ? `<div style="font-size: 13px; opacity: 0.95; margin-top: 8px;">🔥 ${streakStatus.current}-day streak · 🎯 ${Math.round(streakStatus.minutesToday)}/${streakStatus.dailyGoal} min today${streakStatus.goalMet ? ' ✅' : ''} · ❄️ ${streakStatus.freezes}</div>`
+            : '';
+        const levelProgress = this.journey && this.achievements?.rules
+            ? this.achievements.getLevelProgress(this.journey)
+            : null;
+        const levelStatus = levelProgress
+            ? `<div style="font-size: 13px; opacity: 0.95; margin-top: 5px;">⭐ Level ${levelProgress.level} · ${levelProgress.xp} XP${levelProgress.nextLevelXp !== null ? ` · ${levelProgress.nextLevelXp - levelProgress.xp} XP to level ${levelProgress.level + 1}` : ''}</div>`
+            : '';
+        const syncStatus = this.pendingSync > 0
+            ? `<div style="font-size: 12px; opacity: 0.8; margin-top: 5px;">📡 ${this.pendingSync} result${this.pendingSync === 1 ? '' : 's'} waiting to sync</div>`
+            : '';
+        const failedStatus = this.failedSync > 0
+            ? `<div style="font-size: 12px; opacity: 0.9; margin-top: 5px;">⚠️ ${this.failedSync} result${this.failedSync === 1 ? '' : 's'} could not be saved</div>`
+            : '';
         
         let html = `
             <div style="background: linear-gradient(135deg, #667eea 0%, #764ba2 100%); padding: 25px; border-radius: 20px 20px 0 0; color: white; position: relative;">
@@ -429,7 +476,11 @@ class ProgressTracker {
                 <div style="background: rgba(255,255,255,0.2); padding: 15px; border-radius: 10px; text-align: center;">
                     <div style="font-size: 36px; font-weight: bold; margin-bottom: 5px;">${percentage}%</div>
                     <div style="font-size: 14px; opacity: 0.9;">${completed} of ${total} modules completed</div>
+                    ${todayStatus}
+                    ${levelStatus}
                     ${loginStatus}
+                    ${syncStatus}
+                    ${failedStatus}
                 </div>
             </div>
             
@@ -472,6 +523,8 @@ class ProgressTracker {
             }
         });
         
+        html += this.generateBadgeGalleryHTML();
+        
         html += `
                 <button onclick="tracker.resetProgress()" style="width: 100%; padding: 15px; background: #f44336; color: white; border: none; border-radius: 10px; font-size: 16px; font-weight: 600; cursor: pointer; margin-top: 15px; transition: all 0.3s ease;" onmouseover="this.style.background='#d32f2f'" onmouseout="this.style.background='#f44336'">
                     🔄 Reset Progress
@@ -482,15 +535,49 @@ class ProgressTracker {
         return html;
     }
 
+    // Every badge for the learner's language; locked ones are greyed out with their goal
+    generateBadgeGalleryHTML() {
+        const gallery = this.journey && this.achievements ? this.achievements.getGallery(this.journey) : [];
+        if (gallery.length === 0) return '';
+        
+        const earned = gallery.filter(badge => badge.unlockedAt).length;
+        const cards = gallery.map(badge => {
+            const unlocked = !!badge.unlockedAt;
+            return `
+                <div title="${badge.description}" style="text-align: center; padding: 12px 8px; border-radius: 12px; background: ${unlocked ? '#ede7f6' : '#f5f5f5'}; ${unlocked ? 'border: 2px solid #764ba2;' : 'border: 2px solid transparent; opacity: 0.55; filter: grayscale(1);'}">
+                    <div style="font-size: 28px;">${badge.icon}</div>
+                    <div style="font-size: 12px; font-weight: 600; color: #333; margin-top: 5px;">${badge.name}</div>
+                    <div style="font-size: 11px; color: #666; margin-top: 3px;">${unlocked ? `✓ ${new Date(badge.unlockedAt).toLocaleDateString()}` : badge.description}</div>
+                </div>
+            `;
+        }).join('');
+        
+        return `
+            <div style="margin-top: 20px;">
+                <h4 style="margin: 0 0 12px 0; font-size: 18px; color: #333;">🏆 Badges (${earned}/${gallery.length})</h4>
+                <div style="display: grid; grid-template-columns: repeat(auto-fill, minmax(100px, 1fr)); gap: 10px;">
+                    ${cards}
+                </div>
+            </div>
+        `;
+    }
+
     async resetProgress() {
         if (confirm('Are you sure you want to reset all progress? This cannot be undone.')) {
-            Object.keys(this.modules).forEach(key => {
-                this.modules[key].completed = false;
-                this.modules[key].progress = 0;
-            });
-            await this.saveProgress();
-            this.updateProgressBar();
-            
+            const userId = this.userId || this.currentUser?.uid;
+            if (!userId) {
+                alert('⚠️ Sign in to reset your progress.');
+                return;
+            }
+
+            const store = await this.getStore();
+            const result = await store.reset(userId);
+            if (!result.success) {
+                alert('❌ Failed to reset progress: ' + result.error);
+                return;
+            }
+
+            this.applyJourney(result.data);
             const menu = document.getElementById('progressMenu');
             if (menu) {
                 menu.innerHTML = this.generateMenuHTML();
@@ -0,0 +1,579 @@
+// js/review-scheduler.js - Spaced-repetition reviews for letters, words and practice sentences
+// SM-2 scheduling per item; schedules live in reviewSchedules/{userId} next to userJourneys/{userId}
+import { db, doc, setDoc, getDoc } from '../config/firebase-config.js';
+import speechManager from './speech-manager.js';
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+class ReviewScheduler {
+    constructor() {
+        // SM-2 parameters
+        this.initialEase = 2.5;
+        this.minimumEase = 1.3;
+        this.matureInterval = 21; // days; items at or above this count as learned
+        this.sessionSize = 20;
+
+        // Per-user schedule cache: { [userId]: { [itemKey]: item } }
+        this.schedules = {};
+        this.session = null;
+
+        // Grade buttons shown after the answer is revealed (SM-2 quality 0-5)
+        this.grades = [
+            { quality: 1, label: 'Again', icon: '🔁', color: '#f44336' },
+            { quality: 3, label: 'Hard', icon: '😓', color: '#ff9800' },
+            { quality: 4, label: 'Good', icon: '👍', color: '#4caf50' },
+            { quality: 5, label: 'Easy', icon: '🌟', color: '#2196f3' }
+        ];
+
+        console.log('🔁 Review Scheduler initialized (SM-2)');
+    }
+
+    // ========== ITEM EXTRACTION ==========
+
+    // Build review items from a lesson: example letters, words[] and practiceSentences
+    extractItems(module, language, lesson) {
+        if (!lesson || !lesson.id) return [];
+
+        const items = [];
+        const base = { module, language, lessonId: lesson.id, lessonTitle: lesson.title || '' };
+
+        if (lesson.examples && typeof lesson.examples === 'object') {
+            Object.entries(lesson.examples).forEach(([letter, example]) => {
+                items.push({
+                    ...base,
+                    kind: 'letter',
+                    front: letter,
+                    back: example.word || '',
+                    hint: example.pronunciation || '',
+                    speakText: example.speakText || letter
+                });
+            });
+        }
+
+        if (Array.isArray(lesson.words)) {
+            lesson.words.forEach(word => {
+                items.push({
+                    ...base,
+                    kind: 'word',
+                    front: word.word,
+                    back: word.meaning || '',
+                    hint: word.pronunciation || '',
+                    speakText: word.speakText || word.word
+                });
+            });
+        }
+
+        if (Array.isArray(lesson.practiceSentences)) {
+            lesson.practiceSentences.forEach(sentence => {
+                items.push({
+                    ...base,
+                    kind: 'sentence',
+                    front: sentence,
+                    back: '',
+                    hint: '',
+                    speakText: sentence
+                });
+            });
+        }
+
+        return items
+            .filter(item => item.front)
+            .map(item => ({ ...item, key: this.getItemKey(item) }));
+    }
+
+    // Stable key per item; content edits that keep the text keep the schedule
+    getItemKey(item) {
+        return [item.language, item.lessonId, item.kind, item.front].join('|');
+    }
+
+    // ========== SM-2 ==========
+
+    // Apply one review with quality 0-5 and return the updated item
+    scheduleReview(item, quality, now = new Date()) {
+        const updated = { ...item };
+        const q = Math.max(0, Math.min(5, Math.round(quality)));
+
+        if (q < 3) {
+            // Lapse: start the item over but keep its (reduced) ease
+            updated.repetitions = 0;
+            updated.interval = 1;
+            updated.lapses = (item.lapses || 0) + 1;
+        } else {
+            updated.repetitions = (item.repetitions || 0) + 1;
+            if (updated.repetitions === 1) {
+                updated.interval = 1;
+            } else if (updated.repetitions === 2) {
+                updated.interval = 6;
+            } else {
+                updated.interval = Math.round((item.interval || 1) * (item.ease || this.initialEase));
+            }
+        }
+
+        const ease = (item.ease || this.initialEase) + (0.1 - (5 - q) * (0.08 + (5 - q) * 0.02));
+        updated.ease = Math.max(this.minimumEase, Math.round(ease * 100) / 100);
+
+        updated.dueDate = new Date(this.startOfDay(now).getTime() + updated.interval * DAY_MS).toISOString();
+        updated.lastReviewed = now.toISOString();
+        updated.lastQuality = q;
+        updated.reviewCount = (item.reviewCount || 0) + 1;
+
+        return updated;
+    }
+
+    // Local midnight; due dates are whole days in the learner's own time zone
+    startOfDay(date = new Date()) {
+        const start = new Date(date);
+        start.setHours(0, 0, 0, 0);
+        return start;
+    }
+
+    endOfDay(date = new Date()) {
+        return new Date(this.startOfDay(date).getTime() + DAY_MS - 1);
+    }
+
+    // ========== STORAGE ==========
+
+    // Load a user's schedule: local cache first, then merge Firestore (newest review wins)
+    async loadSchedule(userId) {
+        if (this.schedules[userId]) return this.schedules[userId];
+
+        let items = {};
+
+        try {
+            const cached = localStorage.getItem(`reviewSchedule_${userId}`);
+            if (cached) items = JSON.parse(cached);
+        } catch (error) {
+            console.warn('⚠️ Review cache unreadable, ignoring:', error);
+        }
+
+        try {
+            const scheduleDoc = await getDoc(doc(db, 'reviewSchedules', userId));
+            if (scheduleDoc.exists()) {
+                const remoteItems = scheduleDoc.data().items || {};
+                Object.entries(remoteItems).forEach(([key, remote]) => {
+                    const local = items[key];
+                    if (!local || (remote.lastReviewed || '') > (local.lastReviewed || '')) {
+                        items[key] = remote;
+                    }
+                });
+            }
+        } catch (error) {
+            console.warn('⚠️ Could not load review schedule from Firebase, using local copy:', error);
+        }
+
+        this.schedules[userId] = items;
+        this.cacheSchedule(userId);
+        return items;
+    }
+
+    cacheSchedule(userId) {
+        try {
+            localStorage.setItem(`reviewSchedule_${userId}`, JSON.stringify(this.schedules[userId] || {}));
+        } catch (error) {
+            console.warn('⚠️ Could not cache review schedule:', error);
+        }
+    }
+
+    // Write changed items only (merge keeps the rest of the map intact)
+    async saveItems(userId, changedItems) {
+        if (changedItems.length === 0) return;
+
+        this.cacheSchedule(userId);
+
+        const items = {};
+        changedItems.forEach(item => {
+            items[item.key] = item;
+        });
+
+        await setDoc(doc(db, 'reviewSchedules', userId), {
+            userId: userId,
+            items: items,
+            lastUpdated: new Date().toISOString()
+        }, { merge: true });
+    }
+
+    // ========== PUBLIC API ==========
+
+    // Add a completed lesson's items to the schedule (existing items keep their history)
+    async enrollLesson(userId, module, language, lesson) {
+        try {
+            const schedule = await this.loadSchedule(userId);
+            const now = new Date();
+
+            const newItems = this.extractItems(module, language, lesson)
+                .filter(item => !schedule[item.key])
+                .map(item => ({
+                    ...item,
+                    ease: this.initialEase,
+                    interval: 0,
+                    repetitions: 0,
+                    lapses: 0,
+                    reviewCount: 0,
+                    createdAt: now.toISOString(),
+                    dueDate: now.toISOString(),
+                    lastReviewed: null
+                }));
+
+            newItems.forEach(item => {
+                schedule[item.key] = item;
+            });
+
+            await this.saveItems(userId, newItems);
+            console.log(`🔁 Enrolled ${newItems.length} review items from ${lesson.id}`);
+
+            return { success: true, added: newItems.length };
+        } catch (error) {
+            console.error('❌ Error enrolling review items:', error);
+            return { success: false, error: error.message };
+        }
+    }
+
+    // Items due by the end of today, oldest first
+    async getDueReviews(userId, options = {}) {
+        const { language = null, limit = this.sessionSize, now = new Date() } = options;
+        const schedule = await this.loadSchedule(userId);
+        const cutoff = this.endOfDay(now).toISOString();
+
+        return Object.values(schedule)
+            .filter(item => !language || item.language === language)
+            .filter(item => item.dueDate <= cutoff)
+            .sort((a, b) => a.dueDate.localeCompare(b.dueDate))
+            .slice(0, limit);
+    }
+
+    // Counts for the home page card
+    async getReviewSummary(userId, language = null) {
+        try {
+            const schedule = await this.loadSchedule(userId);
+            const items = Object.values(schedule).filter(item => !language || item.language === language);
+            const cutoff = this.endOfDay().toISOString();
+            const upcoming = items
+                .filter(item => item.dueDate > cutoff)
+                .map(item => item.dueDate)
+                .sort();
+
+            return {
+                success: true,
+                dueToday: items.filter(item => item.dueDate <= cutoff).length,
+                total: items.length,
+                learned: items.filter(item => item.interval >= this.matureInterval).length,
+                nextDue: upcoming[0] || null
+            };
+        } catch (error) {
+            console.error('❌ Error loading review summary:', error);
+            return { success: false, error: error.message, dueToday: 0, total: 0, learned: 0, nextDue: null };
+        }
+    }
+
+    // Grade one item and persist the new due date
+    async recordReview(userId, itemKey, quality) {
+        try {
+            const schedule = await this.loadSchedule(userId);
+            const item = schedule[itemKey];
+
+            if (!item) {
+                throw new Error(`Review item not found: ${itemKey}`);
+            }
+
+            const updated = this.scheduleReview(item, quality);
+            schedule[itemKey] = updated;
+            await this.saveItems(userId, [updated]);
+
+            return { success: true, item: updated };
+        } catch (error) {
+            console.error('❌ Error recording review:', error);
+            return { success: false, error: error.message };
+        }
+    }
+
+    // ========== REVIEW SESSION UI ==========
+
+    async openReviewSession(userId, language = null) {
+        console.log('🔁 Opening review session...');
+
+        const queue = await this.getDueReviews(userId, { language });
+
+        this.session = {
+            userId,
+            queue,
+            index: 0,
+            reviewed: 0,
+            remembered: 0,
+            startedAt: Date.now()
+        };
+
+        const modal = document.createElement('div');
+        modal.id = 'reviewModal';
+        modal.className = 'review-modal-overlay';
+        modal.innerHTML = `
+            <div class="review-modal">
+                <div class="review-header">
+                    <h2>🔁 Daily Review</h2>
+                    <span id="reviewProgress" class="review-progress"></span>
+                    <button class="close-btn" onclick="window.reviewScheduler.closeReviewSession()">×</button>
+                </div>
+                <div class="review-content" id="reviewContent"></div>
+            </div>
+        `;
+        document.body.appendChild(modal);
+        setTimeout(() => modal.classList.add('active'), 10);
+
+        this.showCard();
+    }
+
+    showCard() {
+        const content = document.getElementById('reviewContent');
+        if (!content || !this.session) return;
+
+        const { queue, index } = this.session;
+
+        if (index >= queue.length) {
+            this.showSummary();
+            return;
+        }
+
+        const item = queue[index];
+        const kindLabels = { letter: '🔤 Letter', word: '📖 Word', sentence: '💬 Sentence' };
+
+        document.getElementById('reviewProgress').textContent = `${index + 1} / ${queue.length}`;
+
+        content.innerHTML = `
+            <div class="review-card">
+                <div class="review-kind">${kindLabels[item.kind] || item.kind} · ${item.lessonTitle}</div>
+                <div class="review-front">${item.front}</div>
+                <button class="review-listen" onclick="window.reviewScheduler.speakCurrent()">🔊 Listen</button>
+                <div class="review-back hidden" id="reviewBack">
+                    ${item.back ? `<div class="review-answer">${item.back}</div>` : ''}
+                    ${item.hint ? `<div class="review-hint">${item.hint}</div>` : ''}
+                    ${item.kind === 'sentence' ? '<div class="review-hint">Read it aloud, then rate how easily it came.</div>' : ''}
+                </div>
+            </div>
+            <div class="review-controls" id="reviewControls">
+                <button class="btn-primary" onclick="window.reviewScheduler.revealAnswer()">Show Answer</button>
+            </div>
+        `;
+    }
+
+    revealAnswer() {
+        document.getElementById('reviewBack')?.classList.remove('hidden');
+
+        const controls = document.getElementById('reviewControls');
+        if (!controls) return;
+
+        controls.innerHTML = this.grades.map(grade => `
+            <button class="review-grade" style="background: ${grade.color};"
+                    onclick="window.reviewScheduler.gradeCurrent(${grade.quality})">
+                ${grade.icon} ${grade.label}
+            </button>
+        `).join('');
+
+        this.speakCurrent();
+    }
+
+    async gradeCurrent(quality) {
+        if (!this.session) return;
+
+        const item = this.session.queue[this.session.index];
+        await this.recordReview(this.session.userId, item.key, quality);
+
+        this.session.reviewed++;
+        if (quality >= 3) this.session.remembered++;
+        this.session.index++;
+
+        this.showCard();
+    }
+
+    speakCurrent() {
+        if (!this.session) return;
+
+        const item = this.session.queue[this.session.index];
+        if (!item) return;
+
+        const kind = item.kind === 'sentence' ? 'sentence' : 'word';
+        speechManager.speak(item.speakText, { language: item.language, kind })
+            .catch(error => console.warn('⚠️ Review audio failed:', error.message));
+    }
+
+    showSummary() {
+        const content = document.getElementById('reviewContent');
+        const { queue, reviewed, remembered, startedAt } = this.session;
+
+        document.getElementById('reviewProgress').textContent = '';
+
+        content.innerHTML = queue.length === 0 ? `
+            <div class="review-summary">
+                <div class="review-summary-icon">🎉</div>
+                <h3>No reviews due today</h3>
+                <p>Complete more lessons to add letters, words and sentences to your review queue.</p>
+            </div>
+        ` : `
+            <div class="review-summary">
+                <div class="review-summary-icon">✅</div>
+                <h3>Review complete!</h3>
+                <p>You reviewed <strong>${reviewed}</strong> items and remembered <strong>${remembered}</strong>.</p>
+            </div>
+        `;
+
+        if (reviewed > 0) {
+            window.dispatchEvent(new CustomEvent('reviewSessionComplete', {
+                detail: {
+                    reviewed,
+                    remembered,
+                    timeSpent: Math.round((Date.now() - startedAt) / 1000)
+                }
+            }));
+        }
+    }
+
+    closeReviewSession() {
+        const modal = document.getElementById('reviewModal');
+        if (modal) {
+            modal.classList.remove('active');
+            setTimeout(() => modal.remove(), 300);
+        }
+        this.session = null;
+    }
+}
+
+// ================================================
+// STYLES
+// ================================================
+const reviewStyles = `
+.review-modal-overlay {
+    position: fixed;
+    top: 0;
+    left: 0;
+    width: 100%;
+    height: 100%;
+    background: rgba(0, 0, 0, 0.5);
+    display: flex;
+    align-items: center;
+    justify-content: center;
+    z-index: 10000;
+    opacity: 0;
+    transition: opacity 0.3s;
+}
+
+.review-modal-overlay.active {
+    opacity: 1;
+}
+
+.review-modal {
+    background: white;
+    border-radius: 20px;
+    width: 90%;
+    max-width: 600px;
+    max-height: 90vh;
+    overflow-y: auto;
+    box-shadow: 0 20px 60px rgba(0,0,0,0.3);
+}
+
+.review-header {
+    background: linear-gradient(135deg, #667eea, #764ba2);
+    color: white;
+    padding: 20px 30px;
+    border-radius: 20px 20px 0 0;
+    display: flex;
+    justify-content: space-between;
+    align-items: center;
+    gap: 15px;
+}
+
+.review-header .close-btn {
+    background: none;
+    border: none;
+    color: white;
+    font-size: 2rem;
+    cursor: pointer;
+}
+
+.review-content {
+    padding: 30px;
+    text-align: center;
+}
+
+.review-kind {
+    color: #888;
+    font-size: 0.9rem;
+    margin-bottom: 15px;
+}
+
+.review-front {
+    font-size: 3rem;
+    font-weight: bold;
+    color: #333;
+    margin-bottom: 15px;
+}
+
+.review-listen {
+    background: #f0f0ff;
+    border: 2px solid #667eea;
+    color: #667eea;
+    padding: 8px 20px;
+    border-radius: 20px;
+    cursor: pointer;
+}
+
+.review-back {
+    margin-top: 20px;
+    padding-top: 20px;
+    border-top: 2px dashed #e0e0e0;
+}
+
+.review-back.hidden {
+    display: none;
+}
+
+.review-answer {
+    font-size: 1.6rem;
+    color: #764ba2;
+}
+
+.review-hint {
+    color: #666;
+    margin-top: 8px;
+}
+
+.review-controls {
+    display: flex;
+    justify-content: center;
+    gap: 10px;
+    margin-top: 30px;
+    flex-wrap: wrap;
+}
+
+.review-controls .btn-primary,
+.review-grade {
+    border: none;
+    color: white;
+    padding: 12px 24px;
+    border-radius: 25px;
+    font-size: 1rem;
+    font-weight: 600;
+    cursor: pointer;
+}
+
+.review-controls .btn-primary {
+    background: linear-gradient(135deg, #667eea, #764ba2);
+}
+
+.review-summary-icon {
+    font-size: 4rem;
+}
+`;
+
+// Auto-inject styles
+if (typeof document !== 'undefined') {
+    const reviewStyleSheet = document.createElement('style');
+    reviewStyleSheet.textContent = reviewStyles;
+    document.head.appendChild(reviewStyleSheet);
+}
+
+// Create singleton instance
+const reviewScheduler = new ReviewScheduler();
+
+if (typeof window !== 'undefined') {
+    window.reviewScheduler = reviewScheduler;
+}
+
+export default reviewScheduler;
@@ -0,0 +1,341 @@
+// js/speech-manager.js - Language-agnostic text-to-speech for every module
+// Resolves a real voice per language, applies per-language rate/pitch and
+// reports (instead of hiding) when the device has no voice for a language.
+
+class SpeechManager {
+    constructor() {
+        this.voices = [];
+        this.voiceCache = {};
+        this.initialized = false;
+        this.supported = typeof window !== 'undefined' && 'speechSynthesis' in window;
+
+        // Per-language defaults. `locales` are tried in order; any other voice whose
+        // language subtag matches counts as a regional match. Voices of a different
+        // language are never used (no Hindi voice reading Tamil).
+        this.languageProfiles = {
+            en: { name: 'English', locales: ['en-US', 'en-GB', 'en-IN', 'en-AU'], rate: 0.8, pitch: 1, sentenceRate: 0.75 },
+            ta: { name: 'Tamil', locales: ['ta-IN', 'ta-LK', 'ta-SG', 'ta-MY'], rate: 0.7, pitch: 1, sentenceRate: 0.6 },
+            hi: { name: 'Hindi', locales: ['hi-IN'], rate: 0.8, pitch: 1, sentenceRate: 0.7 },
+            fr: { name: 'French', locales: ['fr-FR', 'fr-CA', 'fr-BE', 'fr-CH'], rate: 0.8, pitch: 1, sentenceRate: 0.7 },
+            de: { name: 'German', locales: ['de-DE', 'de-AT', 'de-CH'], rate: 0.8, pitch: 1, sentenceRate: 0.7 }
+        };
+
+        // What to do when no voice exists for a language:
+        //   'report'          - reject with code 'no-voice' and fire `speechVoiceUnavailable`
+        //   'browser-default' - still speak with utterance.lang set and let the browser choose
+        this.defaultFallbackPolicy = 'report';
+        this.fallbackPolicies = {};
+
+        // Spoken form for isolated letters (a bare consonant with pulli is read with its inherent vowel)
+        this.pronunciationMaps = {
+            ta: {
+                'க்': 'க', 'ங்': 'ங', 'ச்': 'ச', 'ஞ்': 'ஞ',
+                'ட்': 'ட', 'ண்': 'ண', 'த்': 'த', 'ந்': 'ந',
+                'ப்': 'ப', 'ம்': 'ம', 'ய்': 'ய', 'ர்': 'ர',
+                'ல்': 'ல', 'வ்': 'வ', 'ழ்': 'ழ', 'ள்': 'ள',
+                'ற்': 'ற', 'ன்': 'ன'
+            }
+        };
+
+        // Full names and locales seen in stored profiles map onto language codes
+        this.languageAliases = {
+            english: 'en', tamil: 'ta', hindi: 'hi', french: 'fr', german: 'de', spanish: 'es'
+        };
+
+        this.loadSettings();
+
+        if (this.supported) {
+            this.loadVoices();
+            if (speechSynthesis.onvoiceschanged !== undefined) {
+                speechSynthesis.addEventListener('voiceschanged', () => this.loadVoices());
+            }
+        }
+
+        console.log('🔊 Speech Manager initialized');
+    }
+
+    // ========== VOICES ==========
+
+    loadVoices() {
+        this.voices = speechSynthesis.getVoices();
+        this.voiceCache = {};
+
+        if (this.voices.length > 0) {
+            console.log('🔊 Voices loaded:', this.voices.length);
+            Object.keys(this.languageProfiles).forEach(language => {
+                const resolved = this.resolveVoice(language);
+                console.log(`🔊 ${language}:`, resolved.voice ? `${resolved.voice.name} (${resolved.voice.lang}, ${resolved.match})` : 'no voice');
+            });
+        }
+    }
+
+    // Map 'ta', 'ta-IN', 'Tamil' etc. onto a profile key
+    normalizeLanguage(language) {
+        if (!language) return 'en';
+        const value = String(language).trim();
+        const lower = value.toLowerCase();
+        if (this.languageAliases[lower]) return this.languageAliases[lower];
+        return lower.split(/[-_]/)[0];
+    }
+
+    getProfile(language) {
+        const code = this.normalizeLanguage(language);
+        return this.languageProfiles[code] || { name: code, locales: [code], rate: 0.8, pitch: 1, sentenceRate: 0.7 };
+    }
+
+    // Find the best installed voice: exact locale first, then any voice of the same language
+    resolveVoice(language) {
+        const code = this.normalizeLanguage(language);
+        if (this.voiceCache[code]) return this.voiceCache[code];
+
+        const profile = this.getProfile(code);
+        const sameLanguage = this.voices.filter(v => this.normalizeLanguage(v.lang) === code);
+        let result = { language: code, locale: profile.locales[0], voice: null, match: 'none' };
+
+        for (const locale of profile.locales) {
+            const exact = sameLanguage.filter(v => v.lang.replace('_', '-').toLowerCase() === locale.toLowerCase());
+            if (exact.length > 0) {
+                // Prefer locally installed voices; network voices fail offline
+                const voice = exact.find(v => v.localService) || exact[0];
+                result = { language: code, locale, voice, match: 'exact' };
+                break;
+            }
+        }
+
+        if (!result.voice && sameLanguage.length > 0) {
+            const voice = sameLanguage.find(v => v.localService) || sameLanguage[0];
+            result = { language: code, locale: voice.lang, voice, match: 'regional' };
+        }
+
+        // Only cache once the browser has reported its voices
+        if (this.voices.length > 0) {
+            this.voiceCache[code] = result;
+        }
+        return result;
+    }
+
+    hasVoice(language) {
+        return this.resolveVoice(language).voice !== null;
+    }
+
+    // ========== SETTINGS ==========
+
+    setFallbackPolicy(language, policy) {
+        if (!['report', 'browser-default'].includes(policy)) {
+            throw new Error(`Unknown speech fallback policy: ${policy}`);
+        }
+        this.fallbackPolicies[this.normalizeLanguage(language)] = policy;
+        this.saveSettings();
+    }
+
+    getFallbackPolicy(language) {
+        return this.fallbackPolicies[this.normalizeLanguage(language)] || this.defaultFallbackPolicy;
+    }
+
+    // Learner-adjustable rate/pitch per language
+    setLanguageSettings(language, settings = {}) {
+        const code = this.normalizeLanguage(language);
+        const profile = this.getProfile(code);
+        ['rate', 'pitch', 'sentenceRate'].forEach(key => {
+            if (typeof settings[key] === 'number') {
+                profile[key] = settings[key];
+            }
+        });
+        this.languageProfiles[code] = profile;
+        this.saveSettings();
+    }
+
+    loadSettings() {
+        try {
+            const saved = JSON.parse(localStorage.getItem('speechSettings') || '{}');
+            Object.entries(saved.languages || {}).forEach(([code, settings]) => {
+                if (this.languageProfiles[code]) {
+                    Object.assign(this.languageProfiles[code], settings);
+                }
+            });
+            this.fallbackPolicies = saved.fallbackPolicies || {};
+        } catch (error) {
+            console.warn('⚠️ Could not read speech settings:', error);
+        }
+    }
+
+    saveSettings() {
+        const languages = {};
+        Object.entries(this.languageProfiles).forEach(([code, profile]) => {
+            languages[code] = { rate: profile.rate, pitch: profile.pitch, sentenceRate: profile.sentenceRate };
+        });
+        localStorage.setItem('speechSettings', JSON.stringify({
+            languages,
+            fallbackPolicies: this.fallbackPolicies
+        }));
+    }
+
+    // ========== SPEAKING ==========
+
+    // Unlock speech synthesis from a user gesture (required by some browsers)
+    initialize() {
+        if (this.initialized) return true;
+        if (!this.supported) return false;
+
+        try {
+            const unlock = new SpeechSynthesisUtterance('');
+            unlock.volume = 0;
+            unlock.onstart = () => {
+                speechSynthesis.cancel();
+                this.initialized = true;
+            };
+            speechSynthesis.speak(unlock);
+
+            setTimeout(() => {
+                this.initialized = true;
+            }, 100);
+
+            console.log('✅ Speech unlocked with user gesture');
+            return true;
+        } catch (error) {
+            console.error('❌ Failed to initialize speech:', error);
+            return false;
+        }
+    }
+
+    isInitialized() {
+        return this.initialized;
+    }
+
+    // Build an utterance for `text` in `language`; returns { utterance } or { error }
+    createUtterance(text, options = {}) {
+        const code = this.normalizeLanguage(options.language);
+        const profile = this.getProfile(code);
+        const resolved = this.resolveVoice(code);
+
+        if (!resolved.voice && this.voices.length > 0 && this.getFallbackPolicy(code) === 'report') {
+            return { error: this.createError('no-voice', `No ${profile.name} voice is installed on this device`, code) };
+        }
+
+        const spoken = options.kind === 'letter'
+            ? (this.pronunciationMaps[code]?.[text] || text)
+            : text;
+
+        const utterance = new SpeechSynthesisUtterance(spoken);
+        if (resolved.voice) {
+            utterance.voice = resolved.voice;
+        }
+        utterance.lang = resolved.locale;
+        utterance.rate = options.rate || (options.kind === 'sentence' ? profile.sentenceRate : profile.rate);
+        utterance.pitch = options.pitch || profile.pitch;
+        utterance.volume = options.volume ?? 1;
+
+        return { utterance, resolved };
+    }
+
+    // Speak text in a language. Resolves when finished; rejects with an Error
+    // carrying `code` ('unsupported', 'no-text', 'no-voice', 'synthesis-failed').
+    speak(text, options = {}) {
+        return new Promise((resolve, reject) => {
+            if (!this.supported) {
+                reject(this.createError('unsupported', 'Speech synthesis is not supported in this browser'));
+                return;
+            }
+
+            if (!text) {
+                reject(this.createError('no-text', 'No text provided'));
+                return;
+            }
+
+            const { utterance, error } = this.createUtterance(text, options);
+            if (error) {
+                console.warn('⚠️', error.message);
+                window.dispatchEvent(new CustomEvent('speechVoiceUnavailable', {
+                    detail: { language: error.language, message: error.message }
+                }));
+                reject(error);
+                return;
+            }
+
+            if (options.interrupt !== false) {
+                speechSynthesis.cancel();
+            }
+
+            utterance.onend = () => resolve();
+            utterance.onerror = (event) => {
+                // 'interrupted'/'canceled' mean another playback took over, not a failure
+                if (event.error === 'interrupted' || event.error === 'canceled') {
+                    resolve();
+                    return;
+                }
+                console.error('❌ Speech error:', event.error);
+                reject(this.createError('synthesis-failed', event.error, utterance.lang));
+            };
+
+            try {
+                speechSynthesis.speak(utterance);
+                console.log(`🔊 Speaking (${utterance.lang}):`, text);
+            } catch (e) {
+                console.error('❌ Exception:', e);
+                reject(this.createError('synthesis-failed', e.message, utterance.lang));
+            }
+        });
+    }
+
+    speakLetter(letter, language, options = {}) {
+        return this.speak(letter, { ...options, language, kind: 'letter' });
+    }
+
+    speakWord(word, language, options = {}) {
+        return this.speak(word, { ...options, language, kind: 'word' });
+    }
+
+    speakSentence(sentence, language, options = {}) {
+        return this.speak(sentence, { ...options, language, kind: 'sentence' });
+    }
+
+    stop() {
+        if (this.supported) {
+            speechSynthesis.cancel();
+        }
+    }
+
+    // ========== DIAGNOSTICS ==========
+
+    createError(code, message, language = null) {
+        const error = new Error(message);
+        error.code = code;
+        error.language = language;
+        return error;
+    }
+
+    // Short message for status lines on lesson pages
+    describeError(error) {
+        if (error?.code === 'no-voice') {
+            return `${error.message}. Install one in your system speech settings to hear pronunciation.`;
+        }
+        if (error?.code === 'unsupported') {
+            return error.message;
+        }
+        return 'Could not play audio';
+    }
+
+    getVoiceInfo(language) {
+        const resolved = this.resolveVoice(language);
+        return {
+            initialized: this.initialized,
+            language: resolved.language,
+            locale: resolved.locale,
+            voiceAvailable: resolved.voice !== null,
+            voiceName: resolved.voice ? resolved.voice.name : 'None',
+            voiceLang: resolved.voice ? resolved.voice.lang : 'None',
+            match: resolved.match,
+            fallbackPolicy: this.getFallbackPolicy(language),
+            totalVoices: this.voices.length
+        };
+    }
+}
+
+// Create singleton instance
+const speechManager = new SpeechManager();
+
+if (typeof window !== 'undefined') {
+    window.speechManager = speechManager;
+}
+
+export default speechManager;
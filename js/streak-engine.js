@@ -0,0 +1,213 @@
+// js/streak-engine.js - Daily streaks and daily goal minutes
+// Activity is counted per calendar day in the learner's time zone and stored on the journey
+// (userJourneys/{uid}.streak, .dailyGoal, .currentStreak) through the progress store.
+import progressOutbox from './progress-outbox.js';
+import progressStore from './progress-store.js';
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+class StreakEngine {
+    constructor() {
+        this.defaultDailyGoal = 30; // minutes
+        this.maxFreezes = 2;
+        this.freezeEvery = 7;       // a streak freeze is earned every 7 days in a row
+        this.historyDays = 60;      // per-day minutes kept on the journey
+
+        // Practice sessions (and other non-lesson activity) queued while offline
+        progressOutbox.register('activity', event =>
+            progressStore.applyEvent(event, journey => this.buildActivityUpdates(journey, event)));
+
+        console.log('🔥 Streak Engine initialized');
+    }
+
+    // ========== CALENDAR DAYS ==========
+
+    getTimeZone() {
+        try {
+            return Intl.DateTimeFormat().resolvedOptions().timeZone || 'UTC';
+        } catch (error) {
+            return 'UTC';
+        }
+    }
+
+    // YYYY-MM-DD of a moment as seen in the given time zone
+    dayKey(date, timeZone = this.getTimeZone()) {
+        const moment = new Date(date);
+        try {
+            return new Intl.DateTimeFormat('en-CA', {
+                timeZone, year: 'numeric', month: '2-digit', day: '2-digit'
+            }).format(moment);
+        } catch (error) {
+            return moment.toISOString().slice(0, 10);
+        }
+    }
+
+    // Whole calendar days from one day key to another (negative when `to` is earlier)
+    daysBetween(from, to) {
+        return Math.round((Date.parse(`${to}T00:00:00Z`) - Date.parse(`${from}T00:00:00Z`)) / DAY_MS);
+    }
+
+    shiftDay(day, offset) {
+        return new Date(Date.parse(`${day}T00:00:00Z`) + offset * DAY_MS).toISOString().slice(0, 10);
+    }
+
+    // ========== RECORDING ==========
+
+    createStreak() {
+        return {
+            current: 0,
+            longest: 0,
+            lastActiveDay: null,
+            timeZone: null,
+            freezes: 0,
+            frozenDays: [],
+            goalDays: 0,    // days the daily goal was met, ever (days only keeps recent history)
+            days: {}
+        };
+    }
+
+    // Journey updates for one piece of activity. event: { recordedAt, payload: { minutes, kind, timeZone } }
+    // The day comes from when the learner did it, so results replayed from the outbox land on the right day.
+    buildActivityUpdates(journey, event) {
+        const { minutes = 0, kind = 'practice' } = event.payload;
+        const timeZone = event.payload.timeZone || this.getTimeZone();
+        const dailyGoal = journey?.dailyGoal || this.defaultDailyGoal;
+        const streak = { ...this.createStreak(), ...(journey?.streak || {}) };
+        streak.days = { ...streak.days };
+        streak.frozenDays = [...streak.frozenDays];
+
+        const day = this.dayKey(event.recordedAt, timeZone);
+        const entry = { minutes: 0, lessons: 0, practice: 0, ...(streak.days[day] || {}) };
+        entry.minutes = Math.round((entry.minutes + Math.max(0, Number(minutes) || 0)) * 10) / 10;
+        if (kind === 'lesson') entry.lessons += 1;
+        else entry.practice += 1;
+        const goalWasMet = !!entry.goalMet;
+        entry.goalMet = entry.minutes >= dailyGoal;
+        if (entry.goalMet && !goalWasMet) streak.goalDays += 1;
+        streak.days[day] = entry;
+
+        const gap = streak.lastActiveDay ? this.daysBetween(streak.lastActiveDay, day) : null;
+
+        // Same day, or an older day synced late from another device: minutes only
+        if (gap === null || gap > 0) {
+            if (gap === null || streak.current === 0) {
+                streak.current = 1;
+            } else if (gap === 1) {
+                streak.current += 1;
+            } else {
+                // Missed days are covered by freezes when there are enough of them
+                const missed = gap - 1;
+                if (streak.freezes >= missed) {
+                    streak.freezes -= missed;
+                    for (let offset = 1; offset <= missed; offset++) {
+                        streak.frozenDays.push(this.shiftDay(streak.lastActiveDay, offset));
+                    }
+                    streak.current += 1;
+                    console.log(`❄️ ${missed} streak freeze(s) used`);
+                } else {
+                    streak.current = 1;
+                }
+            }
+
+            streak.lastActiveDay = day;
+            streak.longest = Math.max(streak.longest, streak.current);
+
+            if (streak.current % this.freezeEvery === 0 && streak.freezes < this.maxFreezes) {
+                streak.freezes += 1;
+                console.log(`🧊 Streak freeze earned (${streak.current} days in a row)`);
+            }
+        }
+
+        streak.timeZone = timeZone;
+
+        // Keep the recent history only
+        const oldest = this.shiftDay(day, -this.historyDays);
+        Object.keys(streak.days).forEach(key => {
+            if (key < oldest) delete streak.days[key];
+        });
+        streak.frozenDays = streak.frozenDays.filter(key => key >= oldest);
+
+        return { streak, currentStreak: streak.current };
+    }
+
+    // Practice and other activity outside lessons (lesson time is recorded with the lesson result)
+    async recordActivity(userId, { minutes = 0, kind = 'practice' } = {}) {
+        try {
+            if (!userId) {
+                throw new Error('Missing user ID');
+            }
+
+            const event = await progressOutbox.enqueue('activity', userId, { minutes, kind, timeZone: this.getTimeZone() });
+            const results = await progressOutbox.flush(userId);
+            if (results[event.id]) return results[event.id];
+
+            return progressStore.preview(userId, this.buildActivityUpdates(progressStore.getLocal(userId), event));
+        } catch (error) {
+            console.error('❌ Error recording activity:', error);
+            return { success: false, error: error.message };
+        }
+    }
+
+    async setDailyGoal(userId, minutes) {
+        const dailyGoal = Math.max(5, Math.min(240, Math.round(minutes)));
+        return progressStore.update(userId, { dailyGoal });
+    }
+
+    // ========== STATUS ==========
+
+    // Today's status for display. A streak is still alive when the last active day was
+    // yesterday, or earlier with enough freezes left to cover the missed days.
+    getStatus(journey, now = new Date()) {
+        const streak = { ...this.createStreak(), ...(journey?.streak || {}) };
+        const timeZone = this.getTimeZone();
+        const today = this.dayKey(now, timeZone);
+        const dailyGoal = journey?.dailyGoal || this.defaultDailyGoal;
+        const entry = streak.days[today] || { minutes: 0, lessons: 0, practice: 0 };
+
+        const gap = streak.lastActiveDay ? this.daysBetween(streak.lastActiveDay, today) : null;
+        let current = streak.current;
+        let freezesNeeded = 0;
+
+        if (gap === null) {
+            current = 0;
+        } else if (gap >= 2) {
+            freezesNeeded = gap - 1;
+            if (streak.freezes < freezesNeeded) {
+                current = 0;
+                freezesNeeded = 0;
+            }
+        }
+
+        const activeToday = gap === 0;
+        return {
+            today,
+            timeZone,
+            current,
+            longest: streak.longest,
+            activeToday,
+            atRisk: !activeToday && current > 0,
+            freezes: streak.freezes,
+            freezesNeeded,
+            minutesToday: entry.minutes,
+            dailyGoal,
+            goalMet: entry.minutes >= dailyGoal,
+            goalPercent: Math.min(100, Math.round((entry.minutes / dailyGoal) * 100))
+        };
+    }
+
+    describe(status) {
+        if (status.current === 0) return 'Start a streak today!';
+        if (status.activeToday) return `${status.current}-day streak. See you tomorrow!`;
+        if (status.freezesNeeded > 0) return `Streak frozen. Practice today to keep your ${status.current}-day streak.`;
+        return `Practice today to keep your ${status.current}-day streak!`;
+    }
+}
+
+// Create singleton instance
+const streakEngine = new StreakEngine();
+
+if (typeof window !== 'undefined') {
+    window.streakEngine = streakEngine;
+}
+
+export default streakEngine;
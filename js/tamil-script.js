@@ -0,0 +1,294 @@
+// js/tamil-script.js - Tamil letter composition (uyir + mei = uyirmei)
+// Pure script data and helpers (no DOM, no Firebase) so the alphabets page and
+// the Node lesson generator (scripts/generate-tamil-grid.js) share one source.
+
+const PULLI = '்';
+const AYTHAM = 'ஃ';
+const DOTTED_CIRCLE = '◌';
+
+// உயிர் எழுத்துகள் with the vowel sign (உயிர்க்குறி) each one adds to a consonant
+const VOWELS = [
+    { letter: 'அ', sign: '', roman: 'a' },
+    { letter: 'ஆ', sign: 'ா', roman: 'aa' },
+    { letter: 'இ', sign: 'ி', roman: 'i' },
+    { letter: 'ஈ', sign: 'ீ', roman: 'ii' },
+    { letter: 'உ', sign: 'ு', roman: 'u' },
+    { letter: 'ஊ', sign: 'ூ', roman: 'uu' },
+    { letter: 'எ', sign: 'ெ', roman: 'e' },
+    { letter: 'ஏ', sign: 'ே', roman: 'ee' },
+    { letter: 'ஐ', sign: 'ை', roman: 'ai' },
+    { letter: 'ஒ', sign: 'ொ', roman: 'o' },
+    { letter: 'ஓ', sign: 'ோ', roman: 'oo' },
+    { letter: 'ஔ', sign: 'ௌ', roman: 'au' }
+];
+
+// மெய் எழுத்துகள் in traditional order; `base` carries the inherent அ
+const CONSONANTS = [
+    { base: 'க', roman: 'k', group: 'vallinam' },
+    { base: 'ங', roman: 'ng', group: 'mellinam' },
+    { base: 'ச', roman: 'ch', group: 'vallinam' },
+    { base: 'ஞ', roman: 'nj', group: 'mellinam' },
+    { base: 'ட', roman: 'd', group: 'vallinam' },
+    { base: 'ண', roman: 'N', group: 'mellinam' },
+    { base: 'த', roman: 'th', group: 'vallinam' },
+    { base: 'ந', roman: 'n', group: 'mellinam' },
+    { base: 'ப', roman: 'p', group: 'vallinam' },
+    { base: 'ம', roman: 'm', group: 'mellinam' },
+    { base: 'ய', roman: 'y', group: 'idaiyinam' },
+    { base: 'ர', roman: 'r', group: 'idaiyinam' },
+    { base: 'ல', roman: 'l', group: 'idaiyinam' },
+    { base: 'வ', roman: 'v', group: 'idaiyinam' },
+    { base: 'ழ', roman: 'zh', group: 'idaiyinam' },
+    { base: 'ள', roman: 'L', group: 'idaiyinam' },
+    { base: 'ற', roman: 'R', group: 'vallinam' },
+    { base: 'ன', roman: 'n', group: 'mellinam' }
+];
+
+const VOWEL_BY_LETTER = Object.fromEntries(VOWELS.map(v => [v.letter, v]));
+const VOWEL_BY_SIGN = Object.fromEntries(VOWELS.filter(v => v.sign).map(v => [v.sign, v]));
+const CONSONANT_BY_BASE = Object.fromEntries(CONSONANTS.map(c => [c.base, c]));
+
+class TamilScript {
+    constructor() {
+        this.vowels = VOWELS;
+        this.consonants = CONSONANTS;
+        this.pulli = PULLI;
+        this.aytham = AYTHAM;
+    }
+
+    // ========== COMPOSE / DECOMPOSE ==========
+
+    // க் (or க) + ஆ (or ா) → கா
+    compose(consonant, vowel) {
+        const base = this.toBase(consonant);
+        const vowelInfo = VOWEL_BY_LETTER[vowel] || VOWEL_BY_SIGN[vowel] || (vowel === '' ? VOWELS[0] : null);
+
+        if (!base || !vowelInfo) {
+            return null;
+        }
+        return base + vowelInfo.sign;
+    }
+
+    // கொ → { type: 'uyirmei', consonant: 'க்', vowel: 'ஒ', sign: 'ொ' }
+    decompose(letter) {
+        if (!letter) return null;
+        const text = letter.normalize('NFC');
+
+        if (VOWEL_BY_LETTER[text]) {
+            return { type: 'uyir', letter: text, consonant: null, vowel: text, sign: '' };
+        }
+        if (text === AYTHAM) {
+            return { type: 'aytham', letter: text, consonant: null, vowel: null, sign: '' };
+        }
+
+        const base = text.charAt(0);
+        if (!CONSONANT_BY_BASE[base]) return null;
+
+        const rest = text.slice(1);
+        if (rest === PULLI) {
+            return { type: 'mei', letter: text, consonant: base + PULLI, vowel: null, sign: PULLI };
+        }
+        if (rest === '') {
+            return { type: 'uyirmei', letter: text, consonant: base + PULLI, vowel: 'அ', sign: '' };
+        }
+        if (VOWEL_BY_SIGN[rest]) {
+            return { type: 'uyirmei', letter: text, consonant: base + PULLI, vowel: VOWEL_BY_SIGN[rest].letter, sign: rest };
+        }
+        return null;
+    }
+
+    // Accept க், க or any uyirmei of the row and return the bare base (க)
+    toBase(consonant) {
+        if (!consonant) return null;
+        const base = consonant.normalize('NFC').charAt(0);
+        return CONSONANT_BY_BASE[base] ? base : null;
+    }
+
+    // Split Tamil text into letters (base + vowel sign/pulli stay together)
+    splitLetters(text) {
+        const letters = [];
+        for (const char of (text || '').normalize('NFC')) {
+            const isMark = char === PULLI || VOWEL_BY_SIGN[char];
+            if (isMark && letters.length > 0) {
+                letters[letters.length - 1] += char;
+            } else {
+                letters.push(char);
+            }
+        }
+        return letters;
+    }
+
+    // Learner-friendly sound of one letter (k + aa → "kaa")
+    romanize(letter) {
+        const parts = this.decompose(letter);
+        if (!parts) return letter;
+
+        const vowelRoman = parts.vowel ? VOWEL_BY_LETTER[parts.vowel].roman : '';
+        switch (parts.type) {
+            case 'uyir': return vowelRoman;
+            case 'aytham': return 'ḵ';
+            case 'mei': return CONSONANT_BY_BASE[parts.consonant.charAt(0)].roman;
+            default: return CONSONANT_BY_BASE[parts.consonant.charAt(0)].roman + vowelRoman;
+        }
+    }
+
+    // Show a vowel sign on its own, e.g. ◌ொ
+    displaySign(sign) {
+        return sign ? DOTTED_CIRCLE + sign : '—';
+    }
+
+    // ========== GRID ==========
+
+    // 18 consonant rows × 12 vowel columns of uyirmei letters
+    getGrid() {
+        return CONSONANTS.map(consonant => ({
+            consonant: consonant.base + PULLI,
+            roman: consonant.roman,
+            cells: VOWELS.map(vowel => ({
+                vowel: vowel.letter,
+                letter: consonant.base + vowel.sign,
+                roman: consonant.roman + vowel.roman
+            }))
+        }));
+    }
+
+    // All 247 letters: 12 uyir + 1 aytham + 18 mei + 216 uyirmei
+    getAllLetters() {
+        const uyirmei = this.getGrid().flatMap(row => row.cells.map(cell => cell.letter));
+        return [
+            ...VOWELS.map(v => v.letter),
+            AYTHAM,
+            ...CONSONANTS.map(c => c.base + PULLI),
+            ...uyirmei
+        ];
+    }
+
+    // ========== LESSON GENERATION ==========
+
+    // Grid lessons in the alphabets content-pack shape, a few consonant rows each
+    generateGridLessons(options = {}) {
+        const { rowsPerLesson = 3, idPrefix = 'ta-uyirmei-' } = options;
+        const grid = this.getGrid();
+        const lessons = [];
+
+        for (let start = 0; start < grid.length; start += rowsPerLesson) {
+            const rows = grid.slice(start, start + rowsPerLesson);
+            const number = lessons.length + 1;
+            const rowNames = rows.map(row => row.cells[0].letter).join(', ');
+            const rowRomans = rows.map(row => row.roman).join(', ');
+
+            const letters = rows.flatMap(row => row.cells.map(cell => cell.letter));
+            const formation = {};
+            const phoneticGuide = {};
+            rows.forEach(row => {
+                row.cells.forEach(cell => {
+                    formation[`${row.consonant} + ${cell.vowel}`] = cell.letter;
+                    phoneticGuide[cell.letter] = cell.roman;
+                });
+            });
+
+            lessons.push({
+                id: `${idPrefix}${number}`,
+                title: `உயிர்மெய் வரிசை ${rowNames} (Compound Letters: ${rowRomans} rows)`,
+                content: `${rows.map(row => row.consonant).join(', ')} ஒவ்வொன்றும் 12 உயிர் எழுத்துகளுடன் சேர்ந்து உயிர்மெய் எழுத்துகளாகின்றன. Each consonant joins the 12 vowels; the vowel sign decides the sound.`,
+                letters,
+                examples: {},
+                formation,
+                phoneticGuide,
+                exercises: this.generateExercises(rows, number),
+                tips: [
+                    'உயிர்க்குறி (vowel sign) மெய்யெழுத்தின் வலது, இடது அல்லது இருபுறமும் வரும் - ெ, ே, ை come before the consonant',
+                    'ொ, ோ, ௌ wrap around the consonant: the left part is written first',
+                    'கு, கூ and similar letters change shape by consonant - learn them row by row'
+                ],
+                generatedBy: 'scripts/generate-tamil-grid.js'
+            });
+        }
+
+        return lessons;
+    }
+
+    // Deterministic combine / decompose / vowel-sign questions for a set of rows
+    generateExercises(rows, seed = 1) {
+        const exercises = [];
+        const signVowels = VOWELS.filter(v => v.sign);
+
+        rows.forEach((row, rowIndex) => {
+            const pick = (offset) => signVowels[(seed * 5 + rowIndex * 3 + offset) % signVowels.length];
+            const base = row.consonant.charAt(0);
+
+            // consonant + vowel → letter
+            const combineVowel = pick(0);
+            const combineAnswer = base + combineVowel.sign;
+            exercises.push({
+                type: 'combine',
+                question: `${row.consonant} + ${combineVowel.letter} = ?`,
+                options: this.rotate([combineAnswer, base + pick(1).sign, base + pick(2).sign], rowIndex),
+                answer: combineAnswer,
+                explanation: `${row.consonant} + ${combineVowel.letter} = ${combineAnswer}`,
+                audioText: combineAnswer
+            });
+
+            // letter → consonant + vowel
+            const decomposeVowel = pick(3);
+            const decomposeLetter = base + decomposeVowel.sign;
+            const decomposeAnswer = `${row.consonant} + ${decomposeVowel.letter}`;
+            exercises.push({
+                type: 'decompose',
+                question: `${decomposeLetter} எப்படி உருவாகிறது? (How is ${decomposeLetter} formed?)`,
+                options: this.rotate([
+                    decomposeAnswer,
+                    `${row.consonant} + ${pick(4).letter}`,
+                    `${row.consonant} + ${pick(5).letter}`
+                ], rowIndex + 1),
+                answer: decomposeAnswer,
+                explanation: `${decomposeLetter} = ${decomposeAnswer}`,
+                audioText: decomposeLetter
+            });
+
+            // which vowel sign is in this letter?
+            const signVowel = pick(6);
+            const signLetter = base + signVowel.sign;
+            const signAnswer = this.displaySign(signVowel.sign);
+            exercises.push({
+                type: 'vowel-sign',
+                question: `${signLetter} - இதில் உள்ள உயிர்க்குறி எது? (Which vowel sign is in ${signLetter}?)`,
+                options: this.rotate([
+                    signAnswer,
+                    ...this.confusableSigns(signVowel).map(v => this.displaySign(v.sign))
+                ], rowIndex + 2),
+                answer: signAnswer,
+                explanation: `${signLetter} = ${row.consonant} + ${signVowel.letter}; ${signVowel.letter} is written as ${signAnswer}`,
+                audioText: signLetter
+            });
+        });
+
+        return exercises;
+    }
+
+    // Two distractor vowels whose signs learners mix up with this one
+    confusableSigns(vowel) {
+        const pairs = {
+            'ா': ['ொ', 'ோ'], 'ி': ['ீ', 'ு'], 'ீ': ['ி', 'ூ'], 'ு': ['ூ', 'ி'], 'ூ': ['ு', 'ீ'],
+            'ெ': ['ே', 'ொ'], 'ே': ['ெ', 'ோ'], 'ை': ['ெ', 'ௌ'], 'ொ': ['ோ', 'ெ'], 'ோ': ['ொ', 'ே'],
+            'ௌ': ['ொ', 'ை']
+        };
+        return (pairs[vowel.sign] || []).map(sign => VOWEL_BY_SIGN[sign]);
+    }
+
+    // Move the answer off position 0 without randomness, so regenerated packs stay stable
+    rotate(options, by) {
+        const shift = by % options.length;
+        return [...options.slice(shift), ...options.slice(0, shift)];
+    }
+}
+
+// Create singleton instance
+const tamilScript = new TamilScript();
+
+if (typeof window !== 'undefined') {
+    window.tamilScript = tamilScript;
+}
+
+export { TamilScript, VOWELS, CONSONANTS, PULLI, AYTHAM };
+export default tamilScript;
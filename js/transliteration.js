@@ -0,0 +1,621 @@
+// js/transliteration.js - Romanization for Tamil and Hindi, and Latin input back to native script
+// Two schemes: ISO 15919 (exact, round-trips) and an easy learner scheme (aa/ee/zh, silent final
+// 'a' in Hindi). The core is pure so Node scripts can use it; the DOM helpers below render
+// romanization lines, the scheme picker and the Latin-typing preview on pages.
+
+// Rows are [native, iso, learner]; vowel rows are [letter, sign, iso, learner].
+// Earlier rows win when the learner scheme maps two letters to the same Latin text.
+const SCRIPTS = {
+    ta: {
+        name: 'Tamil',
+        range: /[஀-௿]/,
+        virama: '்',
+        nukta: null,
+        implicitSchwa: { iso: false, learner: false },
+        vowels: [
+            ['அ', '', 'a', 'a'],
+            ['ஆ', 'ா', 'ā', 'aa'],
+            ['இ', 'ி', 'i', 'i'],
+            ['ஈ', 'ீ', 'ī', 'ii'],
+            ['உ', 'ு', 'u', 'u'],
+            ['ஊ', 'ூ', 'ū', 'uu'],
+            ['எ', 'ெ', 'e', 'e'],
+            ['ஏ', 'ே', 'ē', 'ee'],
+            ['ஐ', 'ை', 'ai', 'ai'],
+            ['ஒ', 'ொ', 'o', 'o'],
+            ['ஓ', 'ோ', 'ō', 'oo'],
+            ['ஔ', 'ௌ', 'au', 'au']
+        ],
+        // Learner values match tamilScript.romanize() so the grid and lessons agree
+        consonants: [
+            ['க', 'k', 'k'], ['ங', 'ṅ', 'ng'], ['ச', 'c', 'ch'], ['ஞ', 'ñ', 'nj'],
+            ['ட', 'ṭ', 'd'], ['ண', 'ṇ', 'N'], ['த', 't', 'th'], ['ந', 'n', 'n'],
+            ['ப', 'p', 'p'], ['ம', 'm', 'm'], ['ய', 'y', 'y'], ['ர', 'r', 'r'],
+            ['ல', 'l', 'l'], ['வ', 'v', 'v'], ['ழ', 'ḻ', 'zh'], ['ள', 'ḷ', 'L'],
+            ['ற', 'ṟ', 'R'], ['ன', 'ṉ', 'n'],
+            // Grantha letters used in loanwords
+            ['ஜ', 'j', 'j'], ['ஷ', 'ṣ', 'sh'], ['ஸ', 's', 's'], ['ஹ', 'h', 'h'], ['ஶ', 'ś', 'sh']
+        ],
+        nuktaConsonants: [],
+        marks: [
+            ['ஃ', 'ḵ', 'h'], ['ௐ', 'ōm', 'om'],
+            ['௦', '0', '0'], ['௧', '1', '1'], ['௨', '2', '2'], ['௩', '3', '3'], ['௪', '4', '4'],
+            ['௫', '5', '5'], ['௬', '6', '6'], ['௭', '7', '7'], ['௮', '8', '8'], ['௯', '9', '9']
+        ],
+        // Extra spellings accepted when typing in the learner scheme
+        inputAliases: { learner: { g: 'க', t: 'ட', b: 'ப', w: 'வ', dh: 'த', nh: 'ண' } }
+    },
+    hi: {
+        name: 'Hindi',
+        range: /[ऀ-ॿ]/,
+        virama: '्',
+        nukta: '़',
+        implicitSchwa: { iso: false, learner: true },
+        vowels: [
+            ['अ', '', 'a', 'a'],
+            ['आ', 'ा', 'ā', 'aa'],
+            ['इ', 'ि', 'i', 'i'],
+            ['ई', 'ी', 'ī', 'ee'],
+            ['उ', 'ु', 'u', 'u'],
+            ['ऊ', 'ू', 'ū', 'oo'],
+            ['ऋ', 'ृ', 'r̥', 'ri'],
+            ['ॠ', 'ॄ', 'r̥̄', 'ree'],
+            ['ए', 'े', 'ē', 'e'],
+            ['ऐ', 'ै', 'ai', 'ai'],
+            ['ओ', 'ो', 'ō', 'o'],
+            ['औ', 'ौ', 'au', 'au'],
+            ['ऍ', 'ॅ', 'ê', 'e'],
+            ['ऑ', 'ॉ', 'ô', 'o']
+        ],
+        consonants: [
+            ['क', 'k', 'k'], ['ख', 'kh', 'kh'], ['ग', 'g', 'g'], ['घ', 'gh', 'gh'], ['ङ', 'ṅ', 'ṅ'],
+            ['च', 'c', 'ch'], ['छ', 'ch', 'chh'], ['ज', 'j', 'j'], ['झ', 'jh', 'jh'], ['ञ', 'ñ', 'ñ'],
+            ['ट', 'ṭ', 'T'], ['ठ', 'ṭh', 'Th'], ['ड', 'ḍ', 'D'], ['ढ', 'ḍh', 'Dh'], ['ण', 'ṇ', 'N'],
+            ['त', 't', 't'], ['थ', 'th', 'th'], ['द', 'd', 'd'], ['ध', 'dh', 'dh'], ['न', 'n', 'n'],
+            ['प', 'p', 'p'], ['फ', 'ph', 'ph'], ['ब', 'b', 'b'], ['भ', 'bh', 'bh'], ['म', 'm', 'm'],
+            ['य', 'y', 'y'], ['र', 'r', 'r'], ['ल', 'l', 'l'], ['ळ', 'ḷ', 'L'], ['व', 'v', 'v'],
+            ['श', 'ś', 'sh'], ['ष', 'ṣ', 'Sh'], ['स', 's', 's'], ['ह', 'h', 'h']
+        ],
+        // Consonant + nukta (NFC keeps these as two code points)
+        nuktaConsonants: [
+            ['क', 'q', 'q'], ['ख', 'k͟h', 'kh'], ['ग', 'ġ', 'g'], ['ज', 'z', 'z'],
+            ['ड', 'ṛ', 'R'], ['ढ', 'ṛh', 'Rh'], ['फ', 'f', 'f'], ['य', 'ẏ', 'y']
+        ],
+        marks: [
+            ['ं', 'ṁ', 'n'], ['ँ', 'm̐', 'n'], ['ः', 'ḥ', 'h'], ['ऽ', '’', ''], ['ॐ', 'ōṁ', 'om'],
+            ['।', '.', '.'], ['॥', '.', '.'],
+            ['०', '0', '0'], ['१', '1', '1'], ['२', '2', '2'], ['३', '3', '3'], ['४', '4', '4'],
+            ['५', '5', '5'], ['६', '6', '6'], ['७', '7', '7'], ['८', '8', '8'], ['९', '9', '9']
+        ],
+        // Conjuncts learners know by their sound rather than their parts
+        clusters: [['क्ष', 'kṣ', 'ksh'], ['ज्ञ', 'jñ', 'gy']],
+        // Anusvara is heard as 'm' before these (learner scheme)
+        labials: ['प', 'फ', 'ब', 'भ', 'म'],
+        // Typed 'n' before these stays a full न् cluster (kanyaa → कन्या) instead of the anusvara
+        clusterAfterN: ['य', 'र', 'ल', 'व', 'ह', 'न', 'म'],
+        inputAliases: {
+            learner: { ii: 'ई', uu: 'ऊ', w: 'व', c: 'च', M: 'ं', H: 'ः', x: 'क्ष' },
+            iso: { 'ṃ': 'ं' }
+        },
+        // Learner spellings that must read as ordinary letters when typed (pari is परि, not पऋ)
+        inputExclude: { learner: ['ri', 'ree'] }
+    }
+};
+
+const SCHEMES = {
+    learner: { name: 'Easy', description: 'aa, ee, zh - written the way it sounds' },
+    iso: { name: 'ISO 15919', description: 'Standard scholarly romanization' }
+};
+
+class Transliterator {
+    constructor() {
+        this.schemes = SCHEMES;
+        this.scheme = 'learner';
+        this.visible = true;
+        this.tables = {};
+        this.annotated = [];
+
+        Object.keys(SCRIPTS).forEach(language => {
+            this.tables[language] = {
+                iso: this.buildTable(language, 'iso'),
+                learner: this.buildTable(language, 'learner')
+            };
+        });
+
+        this.loadSettings();
+    }
+
+    // ========== TABLES ==========
+
+    buildTable(language, scheme) {
+        const script = SCRIPTS[language];
+        const column = scheme === 'iso' ? 0 : 1;
+        const table = {
+            script,
+            implicitSchwa: script.implicitSchwa[scheme],
+            vowels: {},
+            signs: {},
+            consonants: {},
+            clusters: {},
+            nukta: {},
+            marks: {},
+            input: {},
+            maxToken: 1
+        };
+
+        const excluded = script.inputExclude?.[scheme] || [];
+        const addInput = (latin, entry) => {
+            const token = latin.normalize('NFC');
+            if (!token || table.input[token] || excluded.includes(token)) return;
+            table.input[token] = entry;
+            table.maxToken = Math.max(table.maxToken, token.length);
+        };
+
+        script.vowels.forEach(([letter, sign, ...romans]) => {
+            const roman = romans[column];
+            table.vowels[letter] = roman;
+            if (sign) table.signs[sign] = roman;
+            addInput(roman, { type: 'vowel', letter, sign });
+        });
+
+        script.consonants.forEach(([letter, ...romans]) => {
+            table.consonants[letter] = romans[column];
+            addInput(romans[column], { type: 'consonant', letter });
+        });
+
+        (script.clusters || []).forEach(([cluster, ...romans]) => {
+            table.clusters[cluster] = romans[column];
+            addInput(romans[column], { type: 'consonant', letter: cluster });
+        });
+
+        script.nuktaConsonants.forEach(([letter, ...romans]) => {
+            table.nukta[letter] = romans[column];
+            addInput(romans[column], { type: 'consonant', letter: letter + script.nukta });
+        });
+
+        script.marks.forEach(([mark, ...romans]) => {
+            table.marks[mark] = romans[column];
+            // Only single-letter signs (ṁ, ḥ, ḵ) are typeable; digits stay Latin and
+            // "om" must not swallow the o + m of ordinary words
+            if (/^\p{L}\p{M}*$/u.test(romans[column])) {
+                addInput(romans[column], { type: 'mark', letter: mark });
+            }
+        });
+
+        Object.entries(script.inputAliases?.[scheme] || {}).forEach(([latin, native]) => {
+            const vowel = script.vowels.find(([letter]) => letter === native);
+            if (vowel) {
+                addInput(latin, { type: 'vowel', letter: vowel[0], sign: vowel[1] });
+            } else if (table.marks[native] !== undefined) {
+                addInput(latin, { type: 'mark', letter: native });
+            } else {
+                addInput(latin, { type: 'consonant', letter: native });
+            }
+        });
+
+        return table;
+    }
+
+    normalizeLanguage(language) {
+        if (!language) return null;
+        const lower = String(language).trim().toLowerCase();
+        const aliases = { tamil: 'ta', hindi: 'hi' };
+        return aliases[lower] || lower.split(/[-_]/)[0];
+    }
+
+    supports(language) {
+        return Boolean(SCRIPTS[this.normalizeLanguage(language)]);
+    }
+
+    getTable(language, scheme = this.scheme) {
+        const code = this.normalizeLanguage(language);
+        if (!this.tables[code]) return null;
+        return this.tables[code][scheme] || this.tables[code].learner;
+    }
+
+    // True if the text contains any letter of the language's script
+    hasNativeScript(text, language) {
+        const script = SCRIPTS[this.normalizeLanguage(language)];
+        return Boolean(script && text && script.range.test(text));
+    }
+
+    // ========== NATIVE → LATIN ==========
+
+    // வணக்கம் → "vaNakkam" (learner) / "vaṇakkam" (ISO). Other characters pass through.
+    romanize(text, language, scheme = this.scheme) {
+        const table = this.getTable(language, scheme);
+        if (!table || !text) return text || '';
+
+        const { script } = table;
+        const chars = Array.from(text.normalize('NFC'));
+        let output = '';
+        let pending = null;         // consonant waiting for its vowel
+        let afterVirama = false;    // last character was a virama
+        let inCluster = false;      // pending consonant follows a virama
+        let syllables = 0;          // syllables in the current word
+
+        // A consonant with no vowel sign carries the inherent 'a', which Hindi
+        // drops at the end of a word (कमल → kamal) unless it ends a cluster (मित्र → mitra)
+        const flush = (nextChar) => {
+            if (pending === null) return;
+            const wordEnds = !nextChar || !script.range.test(nextChar);
+            const silent = table.implicitSchwa && wordEnds && syllables > 1 && !inCluster;
+            output += pending + (silent ? '' : table.vowels[script.vowels[0][0]]);
+            pending = null;
+        };
+
+        for (let i = 0; i < chars.length; i++) {
+            const char = chars[i];
+            const next = chars[i + 1];
+
+            if (table.consonants[char] !== undefined) {
+                flush(char);
+                pending = table.consonants[char];
+                const cluster = char + (next || '') + (chars[i + 2] || '');
+                if (table.clusters[cluster] !== undefined) {
+                    pending = table.clusters[cluster];
+                    i += 2;
+                } else if (next === script.nukta) {
+                    pending = table.nukta[char] ?? pending;
+                    i++;
+                }
+                inCluster = afterVirama;
+                afterVirama = false;
+                if (!inCluster) syllables++;
+                continue;
+            }
+
+            if (pending !== null && table.signs[char] !== undefined) {
+                output += pending + table.signs[char];
+                pending = null;
+                afterVirama = false;
+                continue;
+            }
+
+            if (pending !== null && char === script.virama) {
+                output += pending;
+                pending = null;
+                afterVirama = true;
+                continue;
+            }
+
+            flush(char);
+            afterVirama = false;
+
+            if (table.vowels[char] !== undefined) {
+                output += table.vowels[char];
+                syllables++;
+            } else if (table.marks[char] !== undefined) {
+                const labial = scheme !== 'iso' && script.labials?.includes(next);
+                output += labial && table.marks[char] === 'n' ? 'm' : table.marks[char];
+            } else {
+                output += char;
+                if (!script.range.test(char)) syllables = 0;
+            }
+        }
+
+        flush(null);
+        return output;
+    }
+
+    // ========== LATIN → NATIVE ==========
+
+    // "vaNakkam" → வணக்கம். Uses the scheme's own spellings; capitals that mean nothing
+    // in the scheme ("Vanakkam") fall back to lower case.
+    toNative(text, language, scheme = this.scheme) {
+        const code = this.normalizeLanguage(language);
+        const table = this.getTable(code, scheme);
+        if (!table || !text) return text || '';
+
+        const { script } = table;
+        const source = text.normalize('NFC');
+        let output = '';
+        let pendingConsonant = false;
+        let atWordStart = true;
+
+        const endConsonant = () => {
+            if (pendingConsonant && !table.implicitSchwa) {
+                output += script.virama;
+            }
+            pendingConsonant = false;
+        };
+
+        let i = 0;
+        while (i < source.length) {
+            const match = this.matchToken(table, source, i);
+
+            if (!match) {
+                endConsonant();
+                output += source[i];
+                atWordStart = !/\p{L}/u.test(source[i]);
+                i++;
+                continue;
+            }
+
+            const nextMatch = this.matchToken(table, source, i + match.length);
+            const entry = scheme === 'iso'
+                ? match.entry
+                : this.resolveLearnerInput(code, match.entry, nextMatch?.entry, atWordStart);
+
+            if (entry.type === 'vowel') {
+                output += pendingConsonant ? entry.sign : entry.letter;
+                pendingConsonant = false;
+            } else if (entry.type === 'consonant') {
+                if (pendingConsonant) output += script.virama;
+                output += entry.letter;
+                pendingConsonant = true;
+            } else {
+                endConsonant();
+                output += entry.letter;
+            }
+
+            atWordStart = false;
+            i += match.length;
+        }
+
+        endConsonant();
+        return output.normalize('NFC');
+    }
+
+    // The learner scheme writes several letters as plain 'n'; pick one from context
+    resolveLearnerInput(code, entry, nextEntry, atWordStart) {
+        // Tamil: ந at the start of a word and before த, ன everywhere else
+        if (code === 'ta' && entry.letter === 'ந' && !atWordStart && nextEntry?.letter !== 'த') {
+            return { type: 'consonant', letter: 'ன' };
+        }
+        // Hindi: 'n' before a consonant is the anusvara (hindee → हिंदी, angoor → अंगूर)
+        if (code === 'hi' && entry.letter === 'न' && nextEntry?.type === 'consonant' &&
+            !SCRIPTS.hi.clusterAfterN.includes(nextEntry.letter)) {
+            return { type: 'mark', letter: 'ं' };
+        }
+        return entry;
+    }
+
+    // Longest Latin token at `index`; exact case first, then lower case
+    matchToken(table, source, index) {
+        for (let length = Math.min(table.maxToken, source.length - index); length > 0; length--) {
+            const piece = source.slice(index, index + length);
+            const entry = table.input[piece] || table.input[piece.toLowerCase()];
+            if (entry) {
+                return { entry, length };
+            }
+        }
+        return null;
+    }
+
+    // ========== CONTENT HELPERS ==========
+
+    // Hand-typed pronunciation is only useful when it is not just the native text again
+    filterPronunciation(pronunciation, language) {
+        if (!pronunciation || this.hasNativeScript(pronunciation, language)) return '';
+        return pronunciation;
+    }
+
+    // ========== SETTINGS ==========
+
+    setScheme(scheme) {
+        if (!SCHEMES[scheme]) {
+            throw new Error(`Unknown romanization scheme: ${scheme}`);
+        }
+        this.scheme = scheme;
+        this.saveSettings();
+        this.refresh();
+    }
+
+    setVisible(visible) {
+        this.visible = Boolean(visible);
+        this.saveSettings();
+        this.refresh();
+    }
+
+    loadSettings() {
+        if (typeof localStorage === 'undefined') return;
+        try {
+            const saved = JSON.parse(localStorage.getItem('romanizationSettings') || '{}');
+            if (SCHEMES[saved.scheme]) this.scheme = saved.scheme;
+            if (typeof saved.visible === 'boolean') this.visible = saved.visible;
+        } catch (error) {
+            console.warn('⚠️ Could not read romanization settings:', error);
+        }
+    }
+
+    saveSettings() {
+        if (typeof localStorage === 'undefined') return;
+        localStorage.setItem('romanizationSettings', JSON.stringify({
+            scheme: this.scheme,
+            visible: this.visible
+        }));
+    }
+
+    // ========== PAGE RENDERING ==========
+
+    // Add a romanization line under every matching element whose text is in the native script.
+    // Lesson pages use the elements already tagged for playback ([data-speak]).
+    annotate(root, language, selector = '[data-speak], [data-romanize]') {
+        const container = root || document;
+        const existing = this.annotated.find(entry => entry.root === container && entry.selector === selector);
+        if (existing) {
+            existing.language = language;
+        } else {
+            this.annotated.push({ root: container, language, selector });
+        }
+
+        container.querySelectorAll('.romanization[data-generated]').forEach(line => line.remove());
+        if (!this.visible || !this.supports(language)) return;
+
+        container.querySelectorAll(selector).forEach(element => {
+            const text = element.dataset.romanize || element.textContent.trim();
+            if (!this.hasNativeScript(text, language)) return;
+
+            const roman = this.romanize(text, language);
+
+            // Buttons (word chips) can't hold a line underneath without breaking their layout
+            if (element.matches('button')) {
+                element.title = roman;
+                return;
+            }
+
+            const line = document.createElement('div');
+            line.className = 'romanization';
+            line.dataset.generated = 'true';
+            line.lang = `${this.normalizeLanguage(language)}-Latn`;
+            line.textContent = roman;
+
+            // Inline text (a quoted example inside a sentence) gets its line after the block around it
+            const target = getComputedStyle(element).display === 'inline' ? element.parentElement : element;
+            target.insertAdjacentElement('afterend', line);
+        });
+    }
+
+    // HTML for one romanization line, for templates that build markup as strings
+    renderLine(text, language) {
+        if (!this.visible || !this.hasNativeScript(text, language)) return '';
+        const code = this.normalizeLanguage(language);
+        const div = document.createElement('div');
+        div.textContent = this.romanize(text, code);
+        return `<div class="romanization" lang="${code}-Latn">${div.innerHTML}</div>`;
+    }
+
+    // Re-render everything annotated so far (after a settings change)
+    refresh() {
+        if (typeof document === 'undefined') return;
+        this.annotated = this.annotated.filter(entry => entry.root.isConnected);
+        this.annotated.forEach(entry => this.annotate(entry.root, entry.language, entry.selector));
+        window.dispatchEvent(new CustomEvent('romanizationChanged', {
+            detail: { scheme: this.scheme, visible: this.visible }
+        }));
+    }
+
+    // Scheme picker for lesson pages
+    attachControls(containerId, language) {
+        const container = document.getElementById(containerId);
+        if (!container) return;
+
+        if (!this.supports(language)) {
+            container.style.display = 'none';
+            return;
+        }
+
+        const current = this.visible ? this.scheme : 'off';
+        container.style.display = '';
+        container.className = 'romanization-controls';
+        container.innerHTML = `
+            <label for="romanizationScheme">🔤 Romanization:</label>
+            <select id="romanizationScheme" onchange="window.transliterator.applyChoice(this.value)">
+                ${Object.entries(SCHEMES).map(([key, scheme]) => `
+                    <option value="${key}" title="${scheme.description}" ${current === key ? 'selected' : ''}>${scheme.name}</option>
+                `).join('')}
+                <option value="off" ${current === 'off' ? 'selected' : ''}>Off</option>
+            </select>
+        `;
+    }
+
+    applyChoice(value) {
+        if (value === 'off') {
+            this.setVisible(false);
+            return;
+        }
+        this.visible = true;
+        this.setScheme(value);
+    }
+
+    // Let learners type Latin into an answer box: shows the native-script version
+    // underneath and swaps it in on click. `language` may be a function for inputs
+    // whose language changes (the dictionary search box); `anchor` is the element the
+    // preview goes after when the input sits in a flex row.
+    attachInput(input, language, anchor = input) {
+        if (!input || input.dataset.transliteration) return;
+        input.dataset.transliteration = 'attached';
+
+        const resolveLanguage = typeof language === 'function' ? language : () => language;
+        const preview = document.createElement('button');
+        preview.type = 'button';
+        preview.className = 'romanization-input-preview';
+        preview.style.display = 'none';
+        anchor.insertAdjacentElement('afterend', preview);
+
+        const update = () => {
+            const code = resolveLanguage();
+            const value = input.value;
+            const converted = this.supports(code) && /[a-z]/i.test(value) ? this.toNative(value, code) : value;
+
+            if (converted === value) {
+                preview.style.display = 'none';
+                return;
+            }
+
+            preview.dataset.value = converted;
+            preview.textContent = `⌨️ ${converted} - use this`;
+            preview.title = `Typed in ${SCHEMES[this.scheme].name} romanization`;
+            preview.style.display = '';
+        };
+
+        input.addEventListener('input', update);
+        // Keep focus in the input so blur-to-check handlers don't grade the Latin text
+        preview.addEventListener('mousedown', (event) => event.preventDefault());
+        preview.addEventListener('click', () => {
+            input.value = preview.dataset.value;
+            preview.style.display = 'none';
+            input.focus();
+            input.dispatchEvent(new Event('input', { bubbles: true }));
+        });
+    }
+}
+
+// ================================================
+// STYLES
+// ================================================
+const romanizationStyles = `
+.romanization {
+    font-size: 13px;
+    color: #667eea;
+    font-style: italic;
+    margin-top: 4px;
+    letter-spacing: 0.3px;
+}
+
+.romanization-controls {
+    display: flex;
+    align-items: center;
+    justify-content: center;
+    gap: 8px;
+    font-size: 14px;
+    color: #666;
+    padding: 5px;
+}
+
+.romanization-controls select {
+    padding: 5px 10px;
+    border: 2px solid #667eea;
+    border-radius: 15px;
+    color: #667eea;
+    background: white;
+}
+
+.romanization-input-preview {
+    display: block;
+    margin-top: 6px;
+    padding: 6px 12px;
+    background: #f0f3ff;
+    border: 1px dashed #667eea;
+    border-radius: 8px;
+    color: #333;
+    font-size: 16px;
+    cursor: pointer;
+    text-align: left;
+}
+`;
+
+// Create singleton instance
+const transliterator = new Transliterator();
+
+if (typeof window !== 'undefined') {
+    const romanizationStyleSheet = document.createElement('style');
+    romanizationStyleSheet.textContent = romanizationStyles;
+    document.head.appendChild(romanizationStyleSheet);
+
+    window.transliterator = transliterator;
+}
+
+export { Transliterator, SCRIPTS, SCHEMES };
+export default transliterator;
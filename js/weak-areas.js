@@ -0,0 +1,169 @@
+// js/weak-areas.js - Weak-area detection on the learner's device
+// After every progress change the learning event log and the latest assessment section results
+// are scored against the manifest `skills` (js/learning-analytics.js). Weak skills, the modules
+// they belong to and lesson / practice-type recommendations are written to the profile
+// (users/{uid}.aiAnalytics), where the home page and personalizedLearningPath read them.
+import { db, doc, setDoc } from '../config/firebase-config.js';
+import learningEvents from './learning-events.js';
+import learningAnalytics from './learning-analytics.js';
+import curriculumManifest from './curriculum-manifest.js';
+
+const SECTIONS_PREFIX = 'assessmentSections_';
+
+class WeakAreaAnalyzer {
+    constructor() {
+        this.packRequests = {};
+        this.delay = 1500;           // ms; a lesson completion fires several progress changes
+        this.timers = {};
+
+        if (typeof window !== 'undefined') {
+            window.addEventListener('progressChanged', (event) => {
+                this.schedule(event.detail.userId, event.detail.journey);
+            });
+        }
+
+        console.log('🩺 Weak Area Analyzer initialized');
+    }
+
+    // ========== CURRICULUM ==========
+
+    // Packs of one language, for lesson titles in recommendations
+    async loadPacks(language) {
+        if (!language) return {};
+        if (!this.packRequests[language]) {
+            this.packRequests[language] = curriculumManifest.load().then(async manifest => {
+                const packs = {};
+                for (const [module, languages] of Object.entries(manifest.modules || {})) {
+                    const entry = languages[language];
+                    if (!entry) continue;
+                    try {
+                        const response = await fetch(curriculumManifest.resolve(entry.path));
+                        if (response.ok) packs[module] = await response.json();
+                    } catch (error) {
+                        console.warn(`⚠️ Could not load ${entry.path} for recommendations`);
+                    }
+                }
+                return packs;
+            });
+        }
+        return this.packRequests[language];
+    }
+
+    // ========== ASSESSMENT SECTIONS ==========
+
+    // Latest section breakdown of an assessment: { name, correct, total } per section
+    recordSections(userId, lessonId, language, sectionResults) {
+        if (!userId || !lessonId) return;
+
+        const sections = this.readLocal(userId);
+        sections[lessonId] = {
+            language,
+            recordedAt: new Date().toISOString(),
+            sections: sectionResults.map(({ name, correct, total }) => ({ name, correct, total }))
+        };
+        localStorage.setItem(`${SECTIONS_PREFIX}${userId}`, JSON.stringify(sections));
+    }
+
+    readLocal(userId) {
+        try {
+            return JSON.parse(localStorage.getItem(`${SECTIONS_PREFIX}${userId}`)) || {};
+        } catch (error) {
+            return {};
+        }
+    }
+
+    readProfile() {
+        try {
+            return JSON.parse(sessionStorage.getItem('userProfile')) || null;
+        } catch (error) {
+            return null;
+        }
+    }
+
+    // Section results from this device and from the profile (other devices); the newer one wins
+    getSections(userId) {
+        const profile = this.readProfile();
+        const merged = profile?.userId === userId ? { ...(profile.aiAnalytics?.assessmentSections || {}) } : {};
+        Object.entries(this.readLocal(userId)).forEach(([lessonId, result]) => {
+            if (!merged[lessonId] || merged[lessonId].recordedAt < result.recordedAt) {
+                merged[lessonId] = result;
+            }
+        });
+        return merged;
+    }
+
+    // ========== ANALYSIS ==========
+
+    schedule(userId, journey) {
+        if (!userId || !journey) return;
+        clearTimeout(this.timers[userId]);
+        this.timers[userId] = setTimeout(() => {
+            delete this.timers[userId];
+            this.analyze(userId, journey);
+        }, this.delay);
+    }
+
+    async analyze(userId, journey) {
+        try {
+            if (!userId) {
+                throw new Error('Missing user ID');
+            }
+
+            const manifest = await curriculumManifest.load();
+            const sections = this.getSections(userId);
+            const result = learningAnalytics.analyze(journey, learningEvents.getEvents(userId), {
+                packs: await this.loadPacks(journey?.targetLanguage),
+                skills: manifest.skills || [],
+                sections
+            });
+
+            const aiAnalytics = {
+                learningPattern: result.learningPattern,
+                pace: result.pace,
+                strongAreas: result.strongAreas,
+                weakAreas: result.weakAreas,
+                weakSkills: result.weakSkills,
+                recommendations: result.recommendations,
+                lastAnalysis: result.lastAnalysis,
+                assessmentSections: sections
+            };
+            await this.save(userId, aiAnalytics);
+
+            console.log(`🩺 Weak skills: ${aiAnalytics.weakSkills.map(skill => `${skill.name} ${skill.score}%`).join(', ') || 'none'}`);
+            if (typeof window !== 'undefined') {
+                window.dispatchEvent(new CustomEvent('weakAreasUpdated', {
+                    detail: { userId, aiAnalytics }
+                }));
+            }
+            return { success: true, data: aiAnalytics };
+        } catch (error) {
+            console.error('❌ Error analyzing weak areas:', error);
+            return { success: false, error: error.message };
+        }
+    }
+
+    // The page copy is updated right away; Firestore merges into the existing aiAnalytics
+    // (practiceHistory and other fields are kept)
+    async save(userId, aiAnalytics) {
+        const profile = this.readProfile();
+        if (profile?.userId === userId) {
+            profile.aiAnalytics = { ...(profile.aiAnalytics || {}), ...aiAnalytics };
+            sessionStorage.setItem('userProfile', JSON.stringify(profile));
+        }
+
+        try {
+            await setDoc(doc(db, 'users', userId), { aiAnalytics }, { merge: true });
+        } catch (error) {
+            console.warn('📡 Weak areas kept on this device:', error.message);
+        }
+    }
+}
+
+// Create singleton instance
+const weakAreaAnalyzer = new WeakAreaAnalyzer();
+
+if (typeof window !== 'undefined') {
+    window.weakAreaAnalyzer = weakAreaAnalyzer;
+}
+
+export default weakAreaAnalyzer;
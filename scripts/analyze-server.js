@@ -0,0 +1,354 @@
+// scripts/analyze-server.js - Local analytics service for /api/v1/analyze
+// Usage: node scripts/analyze-server.js [--port 8000] [--data <dir>]
+//   --port  port to listen on (default 8000, or $PORT)
+//   --data  where learner progress is stored (default .analyze-data/ in the repo root)
+//
+// Plain Node (no packages). Progress posted to /learning-analytics is stored per learner and
+// analyzed with js/learning-analytics.js; content comes from content/curriculum.
+//
+// Contract (JSON in, JSON out; errors are { success: false, error } with a 4xx/5xx status)
+//
+//   POST /api/v1/analyze/initialize-session
+//     in:  { user_id, timestamp? }
+//     out: { success, session_id, user_id, started_at, analytics }
+//          analytics is the last analysis of stored progress, or null for a new learner
+//
+//   POST /api/v1/analyze/learning-analytics
+//     in:  { user_id, progress_data, events?, sections?, timestamp? }
+//          progress_data: the journey (userJourneys/{uid})
+//          events: recent learning events (js/learning-events.js), oldest first
+//          sections: assessment section results by lesson id (users/{uid}.aiAnalytics.assessmentSections)
+//     out: { success, user_id, learningPattern, pace, strongAreas, weakAreas, weakSkills, areaScores,
+//            skillScores, recommendations: [{ module, lessonId, reason, message, skill?, practiceType? }],
+//            stats, lastAnalysis }
+//          learningPattern: 'visual' | 'auditory' | 'verbal' | 'adaptive'
+//          pace: 'fast' | 'moderate' | 'slow'; weakAreas / strongAreas: module names
+//          weakSkills: [{ id, name, module, score, answers }] from the manifest `skills`
+//
+//   POST /api/v1/analyze/personalized-content
+//     in:  { user_id, content_type, native_language?, target_language? }
+//          content_type: a curriculum module (alphabets, vocabulary, grammar, assessment);
+//          target_language defaults to the stored journey's language
+//     out: { success, user_id, content_type, language, native_language, title, version,
+//            lessons: [lesson + { reason: 'review' | 'next' | 'refresh', bestScore }],
+//            weakAreas, learningPattern, pace, generatedAt }
+//
+//   GET /api/v1/analyze/health -> { success, status: 'ok' }
+import http from 'node:http';
+import { readFile, writeFile, mkdir, rename } from 'node:fs/promises';
+import { fileURLToPath } from 'node:url';
+import path from 'node:path';
+import { randomUUID } from 'node:crypto';
+import { LearningAnalytics } from '../js/learning-analytics.js';
+
+const rootDir = path.resolve(path.dirname(fileURLToPath(import.meta.url)), '..');
+const contentDir = path.join(rootDir, 'content', 'curriculum');
+
+const args = process.argv.slice(2);
+const option = (name, fallback) => {
+    const index = args.indexOf(name);
+    return index !== -1 && args[index + 1] ? args[index + 1] : fallback;
+};
+const port = Number(option('--port', process.env.PORT || 8000));
+const dataDir = path.resolve(option('--data', path.join(rootDir, '.analyze-data')));
+
+const MAX_BODY_BYTES = 1024 * 1024;
+const MAX_STORED_EVENTS = 500;
+const API_PREFIX = '/api/v1/analyze';
+
+const analytics = new LearningAnalytics();
+
+class HttpError extends Error {
+    constructor(status, message) {
+        super(message);
+        this.status = status;
+    }
+}
+
+// ========== CURRICULUM ==========
+
+let manifestRequest = null;
+
+async function readJSON(file) {
+    return JSON.parse(await readFile(file, 'utf8'));
+}
+
+function loadManifest() {
+    if (!manifestRequest) {
+        manifestRequest = readJSON(path.join(contentDir, 'manifest.json')).catch(error => {
+            manifestRequest = null;
+            throw error;
+        });
+    }
+    return manifestRequest;
+}
+
+// module and language come from request bodies, so only the manifest's own keys are looked up
+// (never inherited ones such as __proto__ or toString)
+async function loadPack(module, language) {
+    if (typeof module !== 'string' || typeof language !== 'string') return null;
+    const manifest = await loadManifest();
+    const modules = manifest.modules || {};
+    if (!Object.hasOwn(modules, module) || !Object.hasOwn(modules[module], language)) return null;
+    const entry = modules[module][language];
+    if (typeof entry?.path !== 'string') return null;
+    return readJSON(path.join(contentDir, entry.path));
+}
+
+async function loadPacks(language) {
+    if (typeof language !== 'string' || !language) return {};
+    const manifest = await loadManifest();
+    const packs = {};
+    for (const module of Object.keys(manifest.modules || {})) {
+        const pack = await loadPack(module, language);
+        if (pack) packs[module] = pack;
+    }
+    return packs;
+}
+
+// ========== LEARNER STORE ==========
+// One JSON file per learner: { userId, progress, events, sections, analytics, sessions, updatedAt }
+
+function learnerFile(userId) {
+    return path.join(dataDir, `${encodeURIComponent(userId)}.json`);
+}
+
+async function readLearner(userId) {
+    try {
+        return await readJSON(learnerFile(userId));
+    } catch (error) {
+        if (error.code !== 'ENOENT') console.warn(`⚠️ Could not read stored progress for ${userId}:`, error.message);
+        return { userId, progress: null, events: [], sections: {}, analytics: null, sessions: [], updatedAt: null };
+    }
+}
+
+// Write to a temp file and rename, so a crash never leaves half a record behind
+// (each write gets its own temp file, so two writes never rename the same one)
+async function writeLearner(record) {
+    await mkdir(dataDir, { recursive: true });
+    const file = learnerFile(record.userId);
+    const temp = `${file}.${randomUUID()}.tmp`;
+    await writeFile(temp, JSON.stringify({ ...record, updatedAt: new Date().toISOString() }, null, 2));
+    await rename(temp, file);
+}
+
+// Read-modify-write of one learner's record, one at a time per learner, so concurrent requests
+// never drop each other's changes. change(learner) edits the record; the saved record is returned.
+const learnerQueues = new Map();
+
+function updateLearner(userId, change) {
+    const run = (learnerQueues.get(userId) || Promise.resolve()).then(async () => {
+        const learner = await readLearner(userId);
+        await change(learner);
+        await writeLearner(learner);
+        return learner;
+    });
+
+    const settled = run.catch(() => {});
+    learnerQueues.set(userId, settled);
+    settled.then(() => {
+        if (learnerQueues.get(userId) === settled) learnerQueues.delete(userId);
+    });
+    return run;
+}
+
+// Events are merged by id: the front end resends its recent window with every update
+function mergeEvents(stored = [], incoming = []) {
+    const byId = new Map(stored.map(event => [event.id, event]));
+    incoming.filter(event => event && event.id && event.exerciseId).forEach(event => {
+        byId.set(event.id, event);
+    });
+    return [...byId.values()]
+        .sort((a, b) => String(a.timestamp).localeCompare(String(b.timestamp)))
+        .slice(-MAX_STORED_EVENTS);
+}
+
+// ========== HANDLERS ==========
+
+function requireUser(body) {
+    if (!body.user_id || typeof body.user_id !== 'string') {
+        throw new HttpError(400, 'user_id is required');
+    }
+    return body.user_id;
+}
+
+async function initializeSession(body) {
+    const userId = requireUser(body);
+    const session = {
+        id: randomUUID(),
+        startedAt: new Date().toISOString(),
+        clientTime: body.timestamp || null
+    };
+    const learner = await updateLearner(userId, learner => {
+        learner.sessions = [...(learner.sessions || []), session].slice(-20);
+    });
+
+    console.log(`🧠 Session ${session.id} started for ${userId}`);
+    return {
+        success: true,
+        session_id: session.id,
+        user_id: userId,
+        started_at: session.startedAt,
+        analytics: learner.analytics
+    };
+}
+
+async function learningAnalytics(body) {
+    const userId = requireUser(body);
+    if (!body.progress_data || typeof body.progress_data !== 'object') {
+        throw new HttpError(400, 'progress_data must be an object');
+    }
+    if (!body.progress_data.modules || typeof body.progress_data.modules !== 'object') {
+        throw new HttpError(400, 'progress_data must be a journey with modules');
+    }
+    if (body.events !== undefined && !Array.isArray(body.events)) {
+        throw new HttpError(400, 'events must be an array');
+    }
+
+    const manifest = await loadManifest();
+    const packs = await loadPacks(body.progress_data.targetLanguage);
+    const learner = await updateLearner(userId, learner => {
+        learner.progress = body.progress_data;
+        learner.events = mergeEvents(learner.events, body.events || []);
+        if (body.sections && typeof body.sections === 'object') {
+            learner.sections = { ...(learner.sections || {}), ...body.sections };
+        }
+
+        learner.analytics = analytics.analyze(learner.progress, learner.events, {
+            packs,
+            skills: manifest.skills || [],
+            sections: learner.sections || {}
+        });
+    });
+
+    console.log(`📊 ${userId}: ${learner.analytics.learningPattern}, ${learner.analytics.pace}, weak [${learner.analytics.weakAreas.join(', ')}]`);
+    return { success: true, user_id: userId, ...learner.analytics };
+}
+
+async function personalizedContent(body) {
+    const userId = requireUser(body);
+    if (!body.content_type) {
+        throw new HttpError(400, 'content_type is required');
+    }
+    if (typeof body.content_type !== 'string') {
+        throw new HttpError(400, 'content_type must be a string');
+    }
+    if (body.target_language !== undefined && typeof body.target_language !== 'string') {
+        throw new HttpError(400, 'target_language must be a string');
+    }
+
+    const manifest = await loadManifest();
+    if (!Object.hasOwn(manifest.modules || {}, body.content_type)) {
+        throw new HttpError(404, `Unknown content_type "${body.content_type}"`);
+    }
+
+    const learner = await readLearner(userId);
+    const language = body.target_language || learner.progress?.targetLanguage;
+    if (!language || typeof language !== 'string') {
+        throw new HttpError(400, 'target_language is required for a learner with no stored progress');
+    }
+
+    const pack = await loadPack(body.content_type, language);
+    if (!pack) {
+        throw new HttpError(404, `No ${body.content_type} content for language "${language}"`);
+    }
+
+    const lessons = analytics.selectContent(pack, learner.progress || {}, learner.events || []);
+    return {
+        success: true,
+        user_id: userId,
+        content_type: body.content_type,
+        language,
+        native_language: body.native_language || learner.progress?.teachingLanguage || null,
+        title: pack.title,
+        version: pack.version,
+        lessons,
+        weakAreas: learner.analytics?.weakAreas || [],
+        learningPattern: learner.analytics?.learningPattern || 'adaptive',
+        pace: learner.analytics?.pace || 'moderate',
+        generatedAt: new Date().toISOString()
+    };
+}
+
+const ROUTES = {
+    'initialize-session': initializeSession,
+    'learning-analytics': learningAnalytics,
+    'personalized-content': personalizedContent
+};
+
+// ========== HTTP ==========
+
+function readBody(request) {
+    return new Promise((resolve, reject) => {
+        const chunks = [];
+        let size = 0;
+        request.on('data', chunk => {
+            size += chunk.length;
+            if (size > MAX_BODY_BYTES) {
+                reject(new HttpError(413, 'Request body is too large'));
+                request.destroy();
+                return;
+            }
+            chunks.push(chunk);
+        });
+        request.on('end', () => {
+            const text = Buffer.concat(chunks).toString('utf8');
+            try {
+                const body = text ? JSON.parse(text) : {};
+                if (!body || typeof body !== 'object' || Array.isArray(body)) {
+                    throw new Error('not an object');
+                }
+                resolve(body);
+            } catch (error) {
+                reject(new HttpError(400, 'Body must be a JSON object'));
+            }
+        });
+        request.on('error', reject);
+    });
+}
+
+function send(response, status, payload) {
+    response.writeHead(status, {
+        'Content-Type': 'application/json; charset=utf-8',
+        // The pages are served from another origin (file server or Live Server)
+        'Access-Control-Allow-Origin': '*',
+        'Access-Control-Allow-Methods': 'GET, POST, OPTIONS',
+        'Access-Control-Allow-Headers': 'Content-Type'
+    });
+    response.end(payload === null ? '' : JSON.stringify(payload));
+}
+
+async function handleRequest(request, response) {
+    const { pathname } = new URL(request.url, 'http://localhost');
+
+    if (request.method === 'OPTIONS') return send(response, 204, null);
+    if (!pathname.startsWith(`${API_PREFIX}/`)) throw new HttpError(404, `Unknown endpoint ${pathname}`);
+
+    const endpoint = pathname.slice(API_PREFIX.length + 1);
+    if (endpoint === 'health' && request.method === 'GET') {
+        return send(response, 200, { success: true, status: 'ok' });
+    }
+
+    const handler = ROUTES[endpoint];
+    if (!handler) throw new HttpError(404, `Unknown endpoint ${pathname}`);
+    if (request.method !== 'POST') throw new HttpError(405, `${pathname} only accepts POST`);
+
+    const body = await readBody(request);
+    return send(response, 200, await handler(body));
+}
+
+const server = http.createServer((request, response) => {
+    handleRequest(request, response).catch(error => {
+        const status = error.status || 500;
+        if (status === 500) console.error(`❌ ${request.method} ${request.url}:`, error);
+        if (!response.headersSent) send(response, status, { success: false, error: error.message });
+    });
+});
+
+server.listen(port, () => {
+    console.log(`🧠 Analytics service on http://localhost:${port}${API_PREFIX}`);
+    console.log(`💾 Learner progress stored in ${dataDir}`);
+});
+
+process.on('SIGINT', () => server.close(() => process.exit(0)));
+process.on('SIGTERM', () => server.close(() => process.exit(0)));
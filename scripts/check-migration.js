@@ -0,0 +1,98 @@
+// scripts/check-migration.js - Headless check of the userJourneys migration
+// Usage: node scripts/check-migration.js [fixture.json]
+// Migrates a journey written before the current document model (scripts/fixtures/baseline-journey.json
+// by default) and checks the result, including that the learner's own write passes the
+// userJourneys rules in firestore.rules. Keep ownerMayCreate/ownerMayUpdate in step with those rules.
+import { readFile } from 'node:fs/promises';
+import { fileURLToPath } from 'node:url';
+import { isDeepStrictEqual } from 'node:util';
+import path from 'node:path';
+import { MODULES, SCHEMA_VERSION, migrateJourney } from '../js/journey-model.js';
+
+const rootDir = path.resolve(path.dirname(fileURLToPath(import.meta.url)), '..');
+const fixturePath = process.argv[2] || path.join(rootDir, 'scripts', 'fixtures', 'baseline-journey.json');
+
+const EMPTY_OVERRIDES = { modules: {}, lessons: {} };
+
+async function readJSON(file) {
+    return JSON.parse(await readFile(file, 'utf8'));
+}
+
+// ========== RULES (firestore.rules, match /userJourneys/{userId}) ==========
+
+// Keys a full-document write (setDoc) adds, removes or changes
+function changedKeys(before, after) {
+    const keys = new Set([...Object.keys(before), ...Object.keys(after)]);
+    return [...keys].filter(key => !isDeepStrictEqual(before[key], after[key]));
+}
+
+function ownerMayCreate(after) {
+    return isDeepStrictEqual(after.prerequisiteOverrides ?? EMPTY_OVERRIDES, EMPTY_OVERRIDES);
+}
+
+function ownerMayUpdate(before, after) {
+    if (!changedKeys(before, after).includes('prerequisiteOverrides')) return true;
+    return !('prerequisiteOverrides' in before)
+        && isDeepStrictEqual(after.prerequisiteOverrides ?? EMPTY_OVERRIDES, EMPTY_OVERRIDES);
+}
+
+// ========== CHECKS ==========
+
+function checkMigration(fixture) {
+    const failures = [];
+    const expect = (condition, message) => {
+        if (!condition) failures.push(message);
+    };
+
+    const legacy = { tracker: fixture.userProgress || null, profile: fixture.users || null };
+    const baseline = fixture.userJourneys;
+    const migrated = migrateJourney(fixture.userId, structuredClone(baseline), legacy);
+
+    // The learner's own migration write
+    expect(ownerMayUpdate(baseline, migrated), `owner update is rejected (changes ${changedKeys(baseline, migrated).join(', ')})`);
+    expect(('prerequisiteOverrides' in migrated) === ('prerequisiteOverrides' in baseline), 'migration adds or drops prerequisiteOverrides');
+    expect(migrated.schemaVersion === SCHEMA_VERSION, `schemaVersion is ${migrated.schemaVersion}, expected ${SCHEMA_VERSION}`);
+
+    // Highest progress wins, a module completed anywhere stays completed
+    MODULES.forEach(module => {
+        const sources = [baseline.modules?.[module], legacy.tracker?.modules?.[module], legacy.profile?.modules?.[module]];
+        const completed = sources.some(source => source?.completed);
+        const progress = completed ? 100 : Math.max(0, ...sources.map(source => Math.min(100, source?.progress || 0)));
+        const result = migrated.modules[module];
+        expect(result?.completed === completed, `${module}: completed is ${result?.completed}, expected ${completed}`);
+        expect(result?.progress === progress, `${module}: progress is ${result?.progress}, expected ${progress}`);
+        expect(result?.lessons && typeof result.lessons === 'object', `${module}: lesson records missing`);
+    });
+    expect(migrated.currentStreak === 0 || Boolean(migrated.streak), 'the hard-coded streak survived migration');
+
+    // Migrating again, after a teacher has set overrides, keeps them and still passes the rules
+    const overridden = {
+        ...migrated,
+        schemaVersion: 1,
+        prerequisiteOverrides: { modules: { grammar: { unlocked: true } }, lessons: {} }
+    };
+    const remigrated = migrateJourney(fixture.userId, structuredClone(overridden), legacy);
+    expect(ownerMayUpdate(overridden, remigrated), 'owner update is rejected after a teacher override');
+    expect(isDeepStrictEqual(remigrated.prerequisiteOverrides, overridden.prerequisiteOverrides), 'migration changes teacher overrides');
+
+    // A learner with no journey yet gets one they may create
+    const created = migrateJourney(fixture.userId, null, legacy);
+    expect(ownerMayCreate(created), 'owner create is rejected');
+
+    return { migrated, failures };
+}
+
+async function main() {
+    const fixture = await readJSON(fixturePath);
+    const { migrated, failures } = checkMigration(fixture);
+
+    failures.forEach(failure => console.log(`  ❌ ${failure}`));
+    console.log(`\n🔀 ${path.relative(rootDir, fixturePath)}: ${migrated.overallProgress}% overall (sources: ${migrated.migration.sources.join(', ') || 'none'}), ${failures.length} failures`);
+    console.log(failures.length ? '❌ Migration check failed' : '✅ Migration is valid');
+    process.exitCode = failures.length ? 1 : 0;
+}
+
+main().catch(error => {
+    console.error('❌ Could not check migration:', error.message);
+    process.exitCode = 1;
+});
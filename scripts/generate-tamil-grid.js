@@ -0,0 +1,60 @@
+// scripts/generate-tamil-grid.js - Writes the uyirmei grid lessons into the Tamil alphabets pack
+// Usage: node scripts/generate-tamil-grid.js [--rows 3]
+// Re-running replaces previously generated lessons (matched by `generatedBy`) and
+// bumps the pack and manifest versions so browsers fetch the new content.
+import { readFile, writeFile } from 'node:fs/promises';
+import { fileURLToPath } from 'node:url';
+import path from 'node:path';
+import tamilScript from '../js/tamil-script.js';
+
+const GENERATOR = 'scripts/generate-tamil-grid.js';
+
+const rootDir = path.resolve(path.dirname(fileURLToPath(import.meta.url)), '..');
+const contentDir = path.join(rootDir, 'content', 'curriculum');
+const packPath = path.join(contentDir, 'alphabets', 'ta.json');
+const manifestPath = path.join(contentDir, 'manifest.json');
+
+const rowsArg = process.argv.indexOf('--rows');
+const rowsPerLesson = rowsArg > -1 ? parseInt(process.argv[rowsArg + 1], 10) : 3;
+
+async function readJSON(file) {
+    return JSON.parse(await readFile(file, 'utf8'));
+}
+
+async function writeJSON(file, data) {
+    await writeFile(file, JSON.stringify(data, null, 4) + '\n', 'utf8');
+}
+
+async function main() {
+    const pack = await readJSON(packPath);
+    const manifest = await readJSON(manifestPath);
+
+    const handWritten = pack.lessons.filter(lesson => lesson.generatedBy !== GENERATOR);
+    const generated = tamilScript.generateGridLessons({ rowsPerLesson });
+
+    const before = JSON.stringify(pack.lessons);
+    pack.lessons = [...handWritten, ...generated];
+
+    if (JSON.stringify(pack.lessons) === before) {
+        console.log('✅ Tamil grid lessons already up to date');
+        return;
+    }
+
+    pack.version += 1;
+    const entry = manifest.modules.alphabets.ta;
+    entry.version = pack.version;
+    entry.lessonCount = pack.lessons.length;
+    manifest.version += 1;
+    manifest.updatedAt = new Date().toISOString().slice(0, 10);
+
+    await writeJSON(packPath, pack);
+    await writeJSON(manifestPath, manifest);
+
+    const letterCount = generated.reduce((sum, lesson) => sum + lesson.letters.length, 0);
+    console.log(`✅ Wrote ${generated.length} grid lessons (${letterCount} uyirmei letters) to alphabets/ta.json v${pack.version}`);
+}
+
+main().catch(error => {
+    console.error('❌ Could not generate Tamil grid lessons:', error.message);
+    process.exitCode = 1;
+});
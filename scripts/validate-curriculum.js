@@ -0,0 +1,53 @@
+// scripts/validate-curriculum.js - Headless curriculum check
+// Usage: node scripts/validate-curriculum.js [--strict] [--quiet]
+//   --strict  treat warnings (type aliases, missing speakText) as failures
+//   --quiet   print only the summary line
+import { readFile } from 'node:fs/promises';
+import { fileURLToPath } from 'node:url';
+import path from 'node:path';
+import { CurriculumValidator } from '../js/curriculum-validator.js';
+
+const rootDir = path.resolve(path.dirname(fileURLToPath(import.meta.url)), '..');
+const contentDir = path.join(rootDir, 'content', 'curriculum');
+
+const args = process.argv.slice(2);
+const strict = args.includes('--strict');
+const quiet = args.includes('--quiet');
+
+async function readJSON(file) {
+    return JSON.parse(await readFile(file, 'utf8'));
+}
+
+function printIssues(label, issues) {
+    if (issues.length === 0) return;
+    console.log(`\n${label} (${issues.length})`);
+    issues.forEach(issue => {
+        console.log(`  [${issue.code}] ${issue.path}: ${issue.message}`);
+    });
+}
+
+async function main() {
+    const manifest = await readJSON(path.join(contentDir, 'manifest.json'));
+    const validator = new CurriculumValidator();
+
+    const report = await validator.validateCurriculum(manifest, (module, language, entry) => {
+        return readJSON(path.join(contentDir, entry.path));
+    });
+
+    if (!quiet) {
+        printIssues('❌ Errors', report.errors);
+        printIssues('⚠️ Warnings', report.warnings);
+    }
+
+    const { packs, lessons, exercises, strokeTemplates } = report.stats;
+    console.log(`\n📦 ${packs} packs, ${lessons} lessons, ${exercises} exercises, ${strokeTemplates} stroke templates: ${report.errors.length} errors, ${report.warnings.length} warnings`);
+
+    const failed = !report.valid || (strict && report.warnings.length > 0);
+    console.log(failed ? '❌ Curriculum validation failed' : '✅ Curriculum is valid');
+    process.exitCode = failed ? 1 : 0;
+}
+
+main().catch(error => {
+    console.error('❌ Could not validate curriculum:', error.message);
+    process.exitCode = 1;
+});